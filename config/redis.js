@@ -62,6 +62,18 @@ const getRedisClient = () => {
     return redisClient;
 };
 
+// Open another connection to the same server (a subscribed connection can't run other commands)
+const duplicateRedisClient = async (label) => {
+    const client = redisClient.duplicate();
+
+    client.on('error', (err) => {
+        console.log(`Redis (${label}): ${err.message}`);
+    });
+
+    await client.connect();
+    return client;
+};
+
 const disconnectRedis = async () => {
     if (redisClient) {
         try {
@@ -80,6 +92,7 @@ const isRedisConnected = () => {
 module.exports = {
     connectRedis,
     getRedisClient,
+    duplicateRedisClient,
     disconnectRedis,
     isRedisConnected
 };
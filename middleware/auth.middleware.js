@@ -1,54 +1,60 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const HttpError = require('../utils/httpError');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'disaster-relief-secret-key-2025';
 
-// Verify JWT token
-const verifyToken = async (req, res, next) => {
-    try {
-        const authHeader = req.headers.authorization;
+/**
+ * Resolve the active user a JWT belongs to
+ * @param {string} token - JWT
+ * @returns {Promise<Object>} User
+ * @throws {HttpError} 401 when the token is missing, invalid or expired, or the user cannot sign in
+ */
+const authenticateToken = async (token) => {
+    if (!token) {
+        throw new HttpError(401, 'Access denied. No token provided.');
+    }
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Access denied. No token provided.'
-            });
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new HttpError(401, 'Token expired. Please login again.');
         }
+        if (error.name === 'JsonWebTokenError') {
+            throw new HttpError(401, 'Invalid token.');
+        }
+        throw error;
+    }
 
-        const token = authHeader.split(' ')[1];
+    const user = await User.findById(decoded.userId);
 
-        const decoded = jwt.verify(token, JWT_SECRET);
+    if (!user) {
+        throw new HttpError(401, 'Invalid token. User not found.');
+    }
 
-        const user = await User.findById(decoded.userId);
+    if (!user.isActive) {
+        throw new HttpError(401, 'Account is deactivated.');
+    }
 
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid token. User not found.'
-            });
-        }
+    return user;
+};
 
-        if (!user.isActive) {
-            return res.status(401).json({
-                success: false,
-                message: 'Account is deactivated.'
-            });
-        }
+// Verify JWT token
+const verifyToken = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+        const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
 
-        req.user = user;
+        req.user = await authenticateToken(token);
         next();
     } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({
-                success: false,
-                message: 'Token expired. Please login again.'
-            });
-        }
-
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Invalid token.'
+                message: error.message
             });
         }
 
@@ -60,6 +66,26 @@ const verifyToken = async (req, res, next) => {
     }
 };
 
+// Verify the JWT of a Socket.io handshake ({ auth: { token } } or an Authorization header)
+const verifySocketToken = async (socket, next) => {
+    try {
+        const authHeader = socket.handshake.headers.authorization;
+        const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+            (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+        socket.user = await authenticateToken(token);
+        next();
+    } catch (error) {
+        if (!error.status) {
+            console.error('Socket auth error:', error);
+        }
+
+        const denied = new Error(error.status ? error.message : 'Authentication error.');
+        denied.data = { status: error.status || 500 };
+        next(denied);
+    }
+};
+
 // Check if user has required role
 const requireRole = (...roles) => {
     return (req, res, next) => {
@@ -81,6 +107,36 @@ const requireRole = (...roles) => {
     };
 };
 
+// Verify the shared secret of an SMS/USSD gateway (X-Gateway-Token header only, so
+// it never shows up in URLs and access logs)
+const verifyGatewayToken = (req, res, next) => {
+    const expected = process.env.SMS_GATEWAY_TOKEN;
+
+    if (!expected) {
+        // Unauthenticated gateways (e.g. the local stub) need an explicit opt-in
+        if (process.env.SMS_GATEWAY_INSECURE === '1' && process.env.NODE_ENV !== 'production') {
+            return next();
+        }
+        return res.status(503).json({
+            success: false,
+            message: 'SMS gateway is not configured.'
+        });
+    }
+
+    const provided = Buffer.from((req.headers['x-gateway-token'] || '').toString());
+    const secret = Buffer.from(expected);
+    const valid = provided.length === secret.length && crypto.timingSafeEqual(provided, secret);
+
+    if (!valid) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid gateway token.'
+        });
+    }
+
+    next();
+};
+
 // Generate JWT token
 const generateToken = (userId, role) => {
     return jwt.sign(
@@ -91,8 +147,11 @@ const generateToken = (userId, role) => {
 };
 
 module.exports = {
+    authenticateToken,
     verifyToken,
+    verifySocketToken,
     requireRole,
+    verifyGatewayToken,
     generateToken,
     JWT_SECRET
 };
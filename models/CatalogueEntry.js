@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { CATALOGUE_KINDS } = require('../utils/catalogue');
+
+// An aid type or vulnerability category requests can use
+const catalogueEntrySchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        required: true,
+        enum: Object.values(CATALOGUE_KINDS)
+    },
+    // Stable identifier stored on requests (e.g. "baby-formula")
+    key: {
+        type: String,
+        required: [true, 'Key is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Key may only contain lowercase letters, digits and dashes']
+    },
+    // Display label per locale (e.g. { en: "Baby Formula", hi: "शिशु आहार" })
+    labels: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    // Short code typed in SMS requests (e.g. "BF")
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [4, 'Code can be at most 4 characters'],
+        match: [/^[A-Z]+$/i, 'Code may only contain letters'],
+        default: null
+    },
+    // Retired entries stay valid on existing requests but cannot be chosen for new ones
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Convert to the plain shape used by utils/catalogue
+catalogueEntrySchema.methods.toCatalogueObject = function () {
+    return {
+        kind: this.kind,
+        key: this.key,
+        labels: Object.fromEntries(this.labels),
+        code: this.code,
+        isActive: this.isActive,
+        sortOrder: this.sortOrder
+    };
+};
+
+catalogueEntrySchema.index({ kind: 1, key: 1 }, { unique: true });
+
+const CatalogueEntry = mongoose.model('CatalogueEntry', catalogueEntrySchema);
+
+module.exports = CatalogueEntry;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } = require('../utils/notificationTemplates');
+
+// Outbox entry: one message to one user on one channel, retried until sent
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    request: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReliefRequest',
+        default: null
+    },
+    event: {
+        type: String,
+        enum: Object.values(NOTIFICATION_EVENTS),
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: NOTIFICATION_CHANNELS,
+        required: true
+    },
+    // Phone number, email address, push subscription or URL, depending on the channel
+    to: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    subject: {
+        type: String,
+        default: ''
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    // SENDING entries are claimed by a worker until lockedUntil
+    status: {
+        type: String,
+        enum: ['PENDING', 'SENDING', 'SENT', 'FAILED'],
+        default: 'PENDING'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
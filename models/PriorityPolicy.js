@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { WEIGHTS, DEFAULT_POLICY } = require('../utils/priorityCalculator');
+
+// Each save creates a new version; the highest version is the active policy
+const priorityPolicySchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+        unique: true,
+        min: 1
+    },
+    weights: {
+        vulnerability: {
+            type: Number,
+            required: [true, 'Vulnerability weight is required'],
+            min: [0, 'Weights cannot be negative']
+        },
+        medicalUrgency: {
+            type: Number,
+            required: [true, 'Medical urgency weight is required'],
+            min: [0, 'Weights cannot be negative']
+        }
+    },
+    agingRate: {
+        type: Number,
+        required: [true, 'Aging rate is required'],
+        min: [0, 'Aging rate cannot be negative']
+    },
+    // Share of each additional household member's vulnerability score
+    householdWeight: {
+        type: Number,
+        default: WEIGHTS.HOUSEHOLD_MEMBER,
+        min: [0, 'Household weight cannot be negative']
+    },
+    // Share of each additional aid item's medical urgency score
+    itemWeight: {
+        type: Number,
+        default: WEIGHTS.ADDITIONAL_ITEM,
+        min: [0, 'Item weight cannot be negative']
+    },
+    vulnerabilityScores: {
+        type: Map,
+        of: Number,
+        required: true
+    },
+    medicalUrgencyScores: {
+        type: Map,
+        of: Number,
+        required: true
+    },
+    caps: {
+        vulnerabilityScore: {
+            type: Number,
+            default: null
+        },
+        medicalUrgencyScore: {
+            type: Number,
+            default: null
+        },
+        householdVulnerabilityScore: {
+            type: Number,
+            default: DEFAULT_POLICY.caps.householdVulnerabilityScore
+        }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Convert to the plain shape used by utils/priorityCalculator
+priorityPolicySchema.methods.toPolicyObject = function () {
+    return {
+        version: this.version,
+        weights: {
+            vulnerability: this.weights.vulnerability,
+            medicalUrgency: this.weights.medicalUrgency
+        },
+        agingRate: this.agingRate,
+        householdWeight: this.householdWeight,
+        itemWeight: this.itemWeight,
+        vulnerabilityScores: Object.fromEntries(this.vulnerabilityScores),
+        medicalUrgencyScores: Object.fromEntries(this.medicalUrgencyScores),
+        caps: {
+            vulnerabilityScore: this.caps.vulnerabilityScore,
+            medicalUrgencyScore: this.caps.medicalUrgencyScore,
+            householdVulnerabilityScore: this.caps.householdVulnerabilityScore
+        },
+        notes: this.notes,
+        createdBy: this.createdBy,
+        createdAt: this.createdAt
+    };
+};
+
+// Get the latest (active) policy version
+priorityPolicySchema.statics.findLatest = function () {
+    return this.findOne().sort({ version: -1 });
+};
+
+const PriorityPolicy = mongoose.model('PriorityPolicy', priorityPolicySchema);
+
+module.exports = PriorityPolicy;
@@ -1,23 +1,104 @@
 const mongoose = require('mongoose');
+const {
+    calculatePriority,
+    getHouseholdVulnerabilityScore,
+    getRequestCategories,
+    getMixedMedicalUrgencyScore,
+    getRequestAidTypes,
+    getVulnerabilityScores,
+    getMedicalUrgencyScores,
+    getActivePolicy
+} = require('../utils/priorityCalculator');
+const { REQUEST_STATUSES } = require('../utils/requestStateMachine');
+const { normalizePhone } = require('../utils/stringSimilarity');
+const { getKitsForHeadcount, MAX_HEADCOUNT } = require('../utils/aidRequirements');
+const { isKnownAidType, isKnownVulnerabilityCategory } = require('../utils/catalogue');
 
-// Vulnerability category to score mapping
-const VULNERABILITY_SCORES = {
-    'pregnant': 5,
-    'elderly': 4,
-    'child': 4,
-    'disabled': 3,
-    'adult': 1
+// Aid types and categories must exist in the admin-managed catalogue
+const knownAidType = {
+    validator: isKnownAidType,
+    message: props => `Unknown aid type: ${props.value}`
 };
-
-// Medical urgency type to score mapping
-const MEDICAL_URGENCY_SCORES = {
-    'life-saving-medicine': 5,
-    'serious-injury': 4,
-    'regular-medicine': 3,
-    'food-water': 2,
-    'shelter': 1
+const knownVulnerabilityCategory = {
+    validator: isKnownVulnerabilityCategory,
+    message: props => `Unknown vulnerability category: ${props.value}`
 };
 
+// One entry per status change (who changed what, when and why)
+const statusHistorySchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: [...Object.values(REQUEST_STATUSES), null],
+        default: null
+    },
+    to: {
+        type: String,
+        enum: Object.values(REQUEST_STATUSES),
+        required: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // null = changed by the system
+    },
+    role: {
+        type: String,
+        trim: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// A person covered by a household request
+const memberSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    vulnerabilityCategory: {
+        type: String,
+        required: [true, 'Member vulnerability category is required'],
+        validate: knownVulnerabilityCategory
+    },
+    age: {
+        type: Number,
+        min: 0,
+        default: null
+    }
+}, {
+    _id: false
+});
+
+// One aid item of a request and how much of it was delivered
+const itemSchema = new mongoose.Schema({
+    aidType: {
+        type: String,
+        required: [true, 'Item aid type is required'],
+        validate: knownAidType
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Item quantity must be at least 1']
+    },
+    fulfilledQuantity: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, {
+    _id: false
+});
+
 const reliefRequestSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -41,39 +122,81 @@ const reliefRequestSchema = new mongoose.Schema({
         address: {
             type: String,
             trim: true
+        },
+        // GeoJSON point derived from latitude/longitude (for 2dsphere queries)
+        geo: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined
+            }
         }
     },
+    // For several items: the most urgent item still outstanding
     aidType: {
         type: String,
         required: [true, 'Aid type is required'],
-        enum: ['life-saving-medicine', 'serious-injury', 'regular-medicine', 'food-water', 'shelter']
+        validate: knownAidType
+    },
+    // Aid items (line items) with partial fulfilment tracking
+    items: {
+        type: [itemSchema],
+        default: []
     },
+    // For households: the category of the most vulnerable member
     vulnerabilityCategory: {
         type: String,
         required: [true, 'Vulnerability category is required'],
-        enum: ['pregnant', 'elderly', 'child', 'disabled', 'adult']
+        validate: knownVulnerabilityCategory
+    },
+    // Household members scored for vulnerability (empty for single-person requests)
+    members: {
+        type: [memberSchema],
+        default: [],
+        validate: {
+            validator: members => members.length <= MAX_HEADCOUNT,
+            message: `A request can list at most ${MAX_HEADCOUNT} members`
+        }
+    },
+    // People the aid is for (at least the number of listed members)
+    headcount: {
+        type: Number,
+        min: [1, 'Headcount must be at least 1'],
+        max: [MAX_HEADCOUNT, `Headcount can be at most ${MAX_HEADCOUNT}`],
+        default: 1
     },
+    // Component scores are bounded by the caps of the priority policy
     vulnerabilityScore: {
         type: Number,
         required: true,
-        min: 1,
-        max: 5
+        min: 0
     },
     medicalUrgencyScore: {
         type: Number,
         required: true,
-        min: 1,
-        max: 5
+        min: 0
     },
     priorityScore: {
         type: Number,
         default: 0
     },
+    // Version of the priority policy that produced the scores (0 = built-in default)
+    policyVersion: {
+        type: Number,
+        default: 0
+    },
     status: {
         type: String,
-        enum: ['PENDING', 'IN_TRANSIT', 'DELIVERED'],
+        enum: Object.values(REQUEST_STATUSES),
         default: 'PENDING'
     },
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: []
+    },
     description: {
         type: String,
         trim: true,
@@ -83,6 +206,23 @@ const reliefRequestSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Digits-only contactPhone for duplicate matching (set on save)
+    contactPhoneNormalized: {
+        type: String,
+        default: ''
+    },
+    // How the request came in
+    channel: {
+        type: String,
+        enum: ['app', 'sms', 'ussd', 'import'],
+        default: 'app'
+    },
+    // Short code the victim uses to follow the request (e.g. by SMS)
+    trackingCode: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
     requestedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -93,43 +233,167 @@ const reliefRequestSchema = new mongoose.Schema({
         ref: 'User',
         default: null
     },
+    assignedAt: {
+        type: Date,
+        default: null
+    },
+    // Last sign of life from the assigned volunteer (assignment, progress report)
+    lastProgressAt: {
+        type: Date,
+        default: null
+    },
+    // How many times the request was re-queued after an assignment timed out
+    reassignmentCount: {
+        type: Number,
+        default: 0
+    },
+    // Result of duplicate detection at submission and its admin review
+    duplicateCheck: {
+        status: {
+            type: String,
+            enum: ['CLEAR', 'FLAGGED', 'DISMISSED', 'MERGED'],
+            default: 'CLEAR'
+        },
+        candidates: {
+            type: [{
+                request: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'ReliefRequest'
+                },
+                score: Number,
+                reasons: [String]
+            }],
+            default: []
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        reviewedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Set when an admin merged this request into another one
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReliefRequest',
+        default: null
+    },
+    mergedRequests: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReliefRequest'
+        }],
+        default: []
+    },
+    // Stock held for this request while it is being delivered
+    stockReservations: {
+        type: [{
+            stockItem: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'StockItem',
+                required: true
+            },
+            warehouse: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Warehouse',
+                required: true
+            },
+            aidType: {
+                type: String,
+                required: true
+            },
+            quantity: {
+                type: Number,
+                required: true,
+                min: 1
+            },
+            consumedAt: {
+                type: Date,
+                default: null
+            }
+        }],
+        default: []
+    },
+    // One-time code given to the victim at dequeue; the volunteer submits it on delivery
+    deliveryCode: {
+        type: String,
+        select: false
+    },
+    deliveryConfirmation: {
+        method: {
+            type: String,
+            enum: ['code', 'victim', 'admin']
+        },
+        confirmedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        confirmedAt: {
+            type: Date
+        }
+    },
     deliveredAt: {
         type: Date,
         default: null
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    // Every save bumps __v (the record version); saving a stale copy fails with a VersionError
+    optimisticConcurrency: true,
+    toJSON: {
+        // Never serialize the delivery code; routes expose it to the victim explicitly
+        transform: (doc, ret) => {
+            delete ret.deliveryCode;
+            return ret;
+        }
+    }
 });
 
-// Calculate priority score based on the formula
+// Calculate priority score using the active priority policy
 reliefRequestSchema.methods.calculatePriority = function () {
-    const now = new Date();
-    const waitingTimeMs = now - new Date(this.createdAt);
-    const waitingTimeMinutes = waitingTimeMs / 60000;
-
-    // Priority formula: (vulnerabilityScore × 5) + (medicalUrgencyScore × 10) + (waitingTimeInMinutes × 0.1)
-    const W1 = 5;   // Weight for vulnerability
-    const W2 = 10;  // Weight for medical urgency
-    const W3 = 0.1; // Weight for waiting time
-
-    this.priorityScore =
-        (this.vulnerabilityScore * W1) +
-        (this.medicalUrgencyScore * W2) +
-        (waitingTimeMinutes * W3);
+    this.priorityScore = calculatePriority(
+        this.vulnerabilityScore,
+        this.medicalUrgencyScore,
+        this.createdAt || new Date()
+    );
 
     return this.priorityScore;
 };
 
 // Pre-save hook to set scores from categories and calculate priority
 reliefRequestSchema.pre('save', function (next) {
-    // Set vulnerability score from category if not already set
+    if (this.members.length > this.headcount) {
+        this.headcount = this.members.length;
+    }
+
+    // Set vulnerability score from category (or household members) if not already set
     if (this.vulnerabilityCategory && !this.vulnerabilityScore) {
-        this.vulnerabilityScore = VULNERABILITY_SCORES[this.vulnerabilityCategory] || 1;
+        this.vulnerabilityScore = getHouseholdVulnerabilityScore(getRequestCategories(this));
+        this.policyVersion = getActivePolicy().version;
+    }
+
+    // Single-aid-type requests carry one item scaled to the headcount
+    if (this.items.length === 0 && this.aidType) {
+        this.items = [{ aidType: this.aidType, quantity: getKitsForHeadcount(this) }];
     }
 
-    // Set medical urgency score from aid type if not already set
+    // Set medical urgency score from aid type (or outstanding items) if not already set
     if (this.aidType && !this.medicalUrgencyScore) {
-        this.medicalUrgencyScore = MEDICAL_URGENCY_SCORES[this.aidType] || 1;
+        this.medicalUrgencyScore = getMixedMedicalUrgencyScore(getRequestAidTypes(this));
+        this.policyVersion = getActivePolicy().version;
+    }
+
+    this.contactPhoneNormalized = normalizePhone(this.contactPhone);
+
+    // Keep the GeoJSON point in sync with latitude/longitude
+    const { latitude, longitude } = this.location || {};
+    if (typeof latitude === 'number' && typeof longitude === 'number') {
+        this.location.geo = { type: 'Point', coordinates: [longitude, latitude] };
+    } else if (this.location) {
+        this.location.geo = undefined;
     }
 
     // Calculate initial priority
@@ -138,19 +402,25 @@ reliefRequestSchema.pre('save', function (next) {
     next();
 });
 
-// Static method to get priority scores mapping
+// Static method to get priority scores mapping (from the active policy)
 reliefRequestSchema.statics.getVulnerabilityScores = function () {
-    return VULNERABILITY_SCORES;
+    return getVulnerabilityScores();
 };
 
 reliefRequestSchema.statics.getMedicalUrgencyScores = function () {
-    return MEDICAL_URGENCY_SCORES;
+    return getMedicalUrgencyScores();
 };
 
 // Index for efficient queries
 reliefRequestSchema.index({ status: 1, priorityScore: -1 });
 reliefRequestSchema.index({ requestedBy: 1 });
 reliefRequestSchema.index({ assignedTo: 1 });
+reliefRequestSchema.index({ 'statusHistory.changedBy': 1, updatedAt: 1 });
+reliefRequestSchema.index({ status: 1, lastProgressAt: 1 });
+reliefRequestSchema.index({ contactPhoneNormalized: 1, status: 1 });
+reliefRequestSchema.index({ 'duplicateCheck.status': 1 });
+reliefRequestSchema.index({ trackingCode: 1 }, { unique: true, sparse: true });
+reliefRequestSchema.index({ 'location.geo': '2dsphere' });
 
 const ReliefRequest = mongoose.model('ReliefRequest', reliefRequestSchema);
 
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const stockItemSchema = new mongoose.Schema({
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: true
+    },
+    aidType: {
+        type: String,
+        required: [true, 'Aid type is required'],
+        trim: true
+    },
+    // Units physically in the warehouse
+    quantity: {
+        type: Number,
+        required: true,
+        min: [0, 'Quantity cannot be negative'],
+        default: 0
+    },
+    // Units held for requests that are on their way (part of quantity)
+    reserved: {
+        type: Number,
+        min: [0, 'Reserved cannot be negative'],
+        default: 0
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Units that can still be reserved
+stockItemSchema.virtual('available').get(function () {
+    return Math.max(0, this.quantity - this.reserved);
+});
+
+stockItemSchema.index({ warehouse: 1, aidType: 1 }, { unique: true });
+
+const StockItem = mongoose.model('StockItem', stockItemSchema);
+
+module.exports = StockItem;
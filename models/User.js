@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { normalizePhone } = require('../utils/stringSimilarity');
+const { NOTIFICATION_EVENTS } = require('../utils/notificationTemplates');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -31,6 +33,79 @@ const userSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Digits-only phone for lookups by SMS/USSD sender (set on save)
+    phoneNormalized: {
+        type: String,
+        default: ''
+    },
+    // Districts a volunteer serves (scopes their queue and dequeue)
+    servedDistricts: {
+        type: [{
+            type: String,
+            trim: true
+        }],
+        default: []
+    },
+    // What a volunteer can carry on one trip (used by batch dequeue)
+    volunteerProfile: {
+        vehicleType: {
+            type: String,
+            enum: ['foot', 'bicycle', 'motorbike', 'car', 'truck', 'boat', 'other'],
+            default: 'foot'
+        },
+        capacity: {
+            type: Number,
+            min: [1, 'Capacity must be at least 1'],
+            default: 1
+        },
+        // Empty means every aid type
+        supportedAidTypes: {
+            type: [String],
+            default: []
+        }
+    },
+    // Victims registered by an SMS/USSD request have a placeholder email and no usable password
+    registeredVia: {
+        type: String,
+        enum: ['app', 'sms', 'ussd'],
+        default: 'app'
+    },
+    // Channels a user wants request notifications on (see services/notification.service.js)
+    notificationPreferences: {
+        sms: {
+            type: Boolean,
+            default: true
+        },
+        email: {
+            type: Boolean,
+            default: true
+        },
+        push: {
+            type: Boolean,
+            default: false
+        },
+        webhook: {
+            type: Boolean,
+            default: false
+        },
+        mutedEvents: {
+            type: [{
+                type: String,
+                enum: Object.values(NOTIFICATION_EVENTS)
+            }],
+            default: []
+        },
+        // Browser push subscription ({ endpoint, keys: { p256dh, auth } })
+        pushSubscription: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        webhookUrl: {
+            type: String,
+            trim: true,
+            default: ''
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -41,6 +116,8 @@ const userSchema = new mongoose.Schema({
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
+    this.phoneNormalized = normalizePhone(this.phone);
+
     if (!this.isModified('password')) {
         return next();
     }
@@ -67,10 +144,15 @@ userSchema.methods.toPublicJSON = function () {
         email: this.email,
         role: this.role,
         phone: this.phone,
+        servedDistricts: this.servedDistricts,
+        volunteerProfile: this.role === 'victim' ? undefined : this.volunteerProfile,
+        notificationPreferences: this.notificationPreferences,
         createdAt: this.createdAt
     };
 };
 
+userSchema.index({ phoneNormalized: 1 });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const warehouseSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    // Region served: requests in this district draw stock from here
+    district: {
+        type: String,
+        required: [true, 'District is required'],
+        trim: true
+    },
+    location: {
+        latitude: {
+            type: Number,
+            default: null
+        },
+        longitude: {
+            type: Number,
+            default: null
+        },
+        address: {
+            type: String,
+            trim: true
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+warehouseSchema.index({ district: 1, isActive: 1 });
+
+const Warehouse = mongoose.model('Warehouse', warehouseSchema);
+
+module.exports = Warehouse;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/webhookSignature');
+
+// One attempt-tracked delivery of an event to a subscription (the delivery log)
+const webhookDeliverySchema = new mongoose.Schema({
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookSubscription',
+        required: true
+    },
+    event: {
+        type: String,
+        enum: Object.values(WEBHOOK_EVENTS),
+        required: true
+    },
+    // Event ID shared by every delivery (and replay) of the same event, for receivers to de-duplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // SENDING deliveries are claimed by a worker until lockedUntil
+    status: {
+        type: String,
+        enum: ['PENDING', 'SENDING', 'DELIVERED', 'FAILED'],
+        default: 'PENDING'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    // Delivery this one re-sends
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
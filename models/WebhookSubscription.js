@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/webhookSignature');
+
+// A partner organisation's endpoint and the events it receives
+const webhookSubscriptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: Object.values(WEBHOOK_EVENTS)
+        }],
+        validate: {
+            validator: events => events.length > 0,
+            message: 'Subscribe to at least one event'
+        }
+    },
+    // Shared secret payloads are signed with (shown once, when created or rotated)
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
@@ -0,0 +1,631 @@
+const express = require('express');
+const router = express.Router();
+const ReliefRequest = require('../models/ReliefRequest');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { getActivePolicy } = require('../utils/priorityCalculator');
+const { updatePriorityPolicy, getPolicyHistory } = require('../services/priorityPolicy.service');
+const { broadcastQueueUpdate } = require('../services/queueBroadcast.service');
+const { emitRequestEvent } = require('../services/socketRooms.service');
+const { mergeDuplicate, dismissDuplicateFlag } = require('../services/duplicateDetection.service');
+const { createEntry, updateEntry } = require('../services/catalogue.service');
+const { getAnalytics } = require('../services/analytics.service');
+const { streamRequestExport } = require('../services/export.service');
+const { IMPORT_FORMATS, resolveImportFormat, importReliefRequests } = require('../services/requestImport.service');
+const {
+    createSubscription,
+    updateSubscription,
+    publishStatusChange,
+    replayDelivery
+} = require('../services/webhook.service');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { CATALOGUE_KINDS, getEntries } = require('../utils/catalogue');
+
+// Get socket.io instance (will be set by server.js)
+let io = null;
+const setSocketIO = (socketIO) => {
+    io = socketIO;
+};
+
+// Every admin route requires an authenticated admin
+router.use(verifyToken, requireRole('admin'));
+
+// URL segment of each catalogue kind
+const CATALOGUE_PATHS = {
+    'aid-types': CATALOGUE_KINDS.AID_TYPE,
+    'vulnerability-categories': CATALOGUE_KINDS.VULNERABILITY_CATEGORY
+};
+
+// Send the status of an HttpError or mongoose validation error, otherwise a 500
+const handleServiceError = (res, error, context) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid ID'
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+            success: false,
+            message: messages.join(', ')
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`
+    });
+};
+
+// Resolve :kind or answer 404
+const resolveCatalogueKind = (req, res) => {
+    const kind = CATALOGUE_PATHS[req.params.kind];
+    if (!kind) {
+        res.status(404).json({
+            success: false,
+            message: `Unknown catalogue. Use one of: ${Object.keys(CATALOGUE_PATHS).join(', ')}`
+        });
+    }
+    return kind;
+};
+
+/**
+ * @route   GET /api/admin/priority-policy
+ * @desc    Get the active priority policy
+ * @access  Private (Admin only)
+ */
+router.get('/priority-policy', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            policy: getActivePolicy()
+        }
+    });
+});
+
+/**
+ * @route   GET /api/admin/priority-policy/history
+ * @desc    List every saved priority policy version (newest first)
+ * @access  Private (Admin only)
+ */
+router.get('/priority-policy/history', async (req, res) => {
+    try {
+        const policies = await getPolicyHistory();
+
+        res.json({
+            success: true,
+            data: {
+                policies,
+                count: policies.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get policy history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching policy history'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/priority-policy
+ * @desc    Save a new priority policy version and re-score all pending requests.
+ *          Body may contain any of: weights, agingRate, householdWeight, itemWeight,
+ *          vulnerabilityScores, medicalUrgencyScores, caps, notes (omitted fields keep their current value)
+ * @access  Private (Admin only)
+ */
+router.put('/priority-policy', async (req, res) => {
+    try {
+        const { policy, rescoredCount } = await updatePriorityPolicy(req.body, req.user);
+
+        broadcastQueueUpdate(io);
+
+        res.json({
+            success: true,
+            message: `Priority policy v${policy.version} activated`,
+            data: {
+                policy,
+                rescoredCount
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Update policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating priority policy'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/admin/duplicates
+ * @desc    List requests flagged as possible duplicates, with their candidates
+ * @access  Private (Admin only)
+ */
+router.get('/duplicates', async (req, res) => {
+    try {
+        const requests = await ReliefRequest.find({ 'duplicateCheck.status': 'FLAGGED' })
+            .sort({ createdAt: -1 })
+            .populate('requestedBy', 'name email phone')
+            .populate('duplicateCheck.candidates.request', 'name location aidType status contactPhone createdAt');
+
+        res.json({
+            success: true,
+            data: {
+                requests,
+                count: requests.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get duplicates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching flagged duplicates'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/duplicates/:id/merge
+ * @desc    Approve a flagged duplicate: reject it and merge it into another open request.
+ *          Body: { into } (defaults to the best-scoring candidate)
+ * @access  Private (Admin only)
+ */
+router.post('/duplicates/:id/merge', async (req, res) => {
+    try {
+        const duplicate = await ReliefRequest.findById(req.params.id);
+
+        if (!duplicate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        const primaryId = req.body.into || duplicate.duplicateCheck.candidates[0]?.request;
+        if (!primaryId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Specify the request to merge into'
+            });
+        }
+
+        const primary = await ReliefRequest.findById(primaryId);
+
+        if (!primary) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request to merge into not found'
+            });
+        }
+
+        const { previousStatus } = await mergeDuplicate(duplicate, primary, req.user);
+
+        broadcastQueueUpdate(io, [duplicate.location.district]);
+
+        if (io) {
+            emitRequestEvent(io, 'statusUpdated', duplicate, {
+                requestId: duplicate._id,
+                previousStatus,
+                newStatus: duplicate.status,
+                request: duplicate
+            });
+        }
+
+        await publishStatusChange(duplicate, previousStatus);
+
+        res.json({
+            success: true,
+            message: 'Duplicate merged successfully',
+            data: {
+                duplicate,
+                primary
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request ID'
+            });
+        }
+
+        console.error('Merge duplicate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while merging duplicate'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/duplicates/:id/dismiss
+ * @desc    Clear a duplicate flag (the request is genuine)
+ * @access  Private (Admin only)
+ */
+router.post('/duplicates/:id/dismiss', async (req, res) => {
+    try {
+        const request = await ReliefRequest.findById(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        await dismissDuplicateFlag(request, req.user);
+
+        res.json({
+            success: true,
+            message: 'Duplicate flag dismissed',
+            data: {
+                request
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Dismissing duplicate flag');
+    }
+});
+
+/**
+ * @route   GET /api/admin/catalogue
+ * @desc    List every aid type and vulnerability category, including retired ones
+ * @access  Private (Admin only)
+ */
+router.get('/catalogue', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            aidTypes: getEntries(CATALOGUE_KINDS.AID_TYPE, { includeInactive: true }),
+            vulnerabilityCategories: getEntries(CATALOGUE_KINDS.VULNERABILITY_CATEGORY, { includeInactive: true })
+        }
+    });
+});
+
+/**
+ * @route   POST /api/admin/catalogue/:kind
+ * @desc    Add an aid type or vulnerability category (:kind = aid-types | vulnerability-categories).
+ *          Body: { key, labels: { en, hi, ... }, code, sortOrder, score }. A score is saved as a
+ *          new priority policy version.
+ * @access  Private (Admin only)
+ */
+router.post('/catalogue/:kind', async (req, res) => {
+    try {
+        const kind = resolveCatalogueKind(req, res);
+        if (!kind) return;
+
+        const { entry, policy } = await createEntry(kind, req.body, req.user);
+
+        if (policy) {
+            broadcastQueueUpdate(io);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${entry.key} added to the catalogue`,
+            data: {
+                entry,
+                policy
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Creating catalogue entry');
+    }
+});
+
+/**
+ * @route   PUT /api/admin/catalogue/:kind/:key
+ * @desc    Update labels, code, sortOrder, isActive or score of a catalogue entry
+ * @access  Private (Admin only)
+ */
+router.put('/catalogue/:kind/:key', async (req, res) => {
+    try {
+        const kind = resolveCatalogueKind(req, res);
+        if (!kind) return;
+
+        const { entry, policy } = await updateEntry(kind, req.params.key, req.body, req.user);
+
+        if (policy) {
+            broadcastQueueUpdate(io);
+        }
+
+        res.json({
+            success: true,
+            message: `${entry.key} updated`,
+            data: {
+                entry,
+                policy
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Updating catalogue entry');
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/catalogue/:kind/:key
+ * @desc    Retire a catalogue entry: existing requests keep it, new requests cannot use it
+ * @access  Private (Admin only)
+ */
+router.delete('/catalogue/:kind/:key', async (req, res) => {
+    try {
+        const kind = resolveCatalogueKind(req, res);
+        if (!kind) return;
+
+        const { entry } = await updateEntry(kind, req.params.key, { isActive: false }, req.user);
+
+        res.json({
+            success: true,
+            message: `${entry.key} retired`,
+            data: {
+                entry
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Retiring catalogue entry');
+    }
+});
+
+/**
+ * @route   GET /api/admin/webhooks
+ * @desc    List partner webhooks
+ * @access  Private (Admin only)
+ */
+router.get('/webhooks', async (req, res) => {
+    try {
+        const subscriptions = await WebhookSubscription.find()
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'name email');
+
+        res.json({
+            success: true,
+            data: {
+                subscriptions,
+                count: subscriptions.length
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Fetching webhooks');
+    }
+});
+
+/**
+ * @route   POST /api/admin/webhooks
+ * @desc    Register a partner webhook. Body: { name, url, events }
+ *          (events: newRequest, highPriorityAlert, statusUpdated, requestDelivered).
+ *          The signing secret is only returned in this response.
+ * @access  Private (Admin only)
+ */
+router.post('/webhooks', async (req, res) => {
+    try {
+        const { subscription, secret } = await createSubscription(req.body, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Webhook ${subscription.name} registered`,
+            data: {
+                subscription,
+                secret
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Registering webhook');
+    }
+});
+
+/**
+ * @route   PUT /api/admin/webhooks/:id
+ * @desc    Update a webhook's name, url, events or isActive; { rotateSecret: true } issues a new secret
+ * @access  Private (Admin only)
+ */
+router.put('/webhooks/:id', async (req, res) => {
+    try {
+        const { subscription, secret } = await updateSubscription(req.params.id, req.body);
+
+        res.json({
+            success: true,
+            message: `Webhook ${subscription.name} updated`,
+            data: {
+                subscription,
+                ...(secret && { secret })
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Updating webhook');
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/webhooks/:id
+ * @desc    Deactivate a webhook (its delivery log is kept)
+ * @access  Private (Admin only)
+ */
+router.delete('/webhooks/:id', async (req, res) => {
+    try {
+        const { subscription } = await updateSubscription(req.params.id, { isActive: false });
+
+        res.json({
+            success: true,
+            message: `Webhook ${subscription.name} deactivated`,
+            data: {
+                subscription
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Deactivating webhook');
+    }
+});
+
+/**
+ * @route   GET /api/admin/webhooks/:id/deliveries?status=FAILED&limit=50
+ * @desc    Delivery log of a webhook, newest first
+ * @access  Private (Admin only)
+ */
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+    try {
+        const filter = { subscription: req.params.id };
+        if (req.query.status) {
+            filter.status = req.query.status.toString().toUpperCase();
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.json({
+            success: true,
+            data: {
+                deliveries,
+                count: deliveries.length
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Fetching webhook deliveries');
+    }
+});
+
+/**
+ * @route   POST /api/admin/webhooks/deliveries/:deliveryId/replay
+ * @desc    Send a logged delivery again (same event ID and payload)
+ * @access  Private (Admin only)
+ */
+router.post('/webhooks/deliveries/:deliveryId/replay', async (req, res) => {
+    try {
+        const delivery = await replayDelivery(req.params.deliveryId);
+
+        res.status(202).json({
+            success: true,
+            message: 'Delivery queued for replay',
+            data: {
+                delivery
+            }
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Replaying webhook delivery');
+    }
+});
+
+/**
+ * @route   GET /api/admin/analytics
+ * @desc    Requests created vs delivered per ?interval=hour|day, median and p90 time to
+ *          dequeue and to delivery, district backlog, aid type fulfilment and volunteer
+ *          throughput. Scoped with ?from=&to= (default: last 7 days) and ?district=
+ * @access  Private (Admin only)
+ */
+router.get('/analytics', async (req, res) => {
+    try {
+        const analytics = await getAnalytics(req.query);
+
+        res.json({
+            success: true,
+            data: analytics
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Fetching analytics');
+    }
+});
+
+/**
+ * @route   GET /api/admin/export/:dataset
+ * @desc    Stream requests (`requests`) or delivered requests (`deliveries`) as
+ *          ?format=csv|jsonl|geojson, with the filters of GET /api/requests.
+ *          ?redact=names,contacts,address,notes,coordinates (or all) removes personal data.
+ * @access  Private (Admin only)
+ */
+router.get('/export/:dataset', async (req, res) => {
+    try {
+        await streamRequestExport(res, req.params.dataset, req.query);
+    } catch (error) {
+        if (res.headersSent) {
+            // The export was cut short; the client sees a truncated file
+            if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Export error:', error);
+            }
+            return;
+        }
+
+        handleServiceError(res, error, 'Exporting requests');
+    }
+});
+
+// Import files arrive as the raw request body
+const readImportFile = express.text({
+    type: [...Object.values(IMPORT_FORMATS).flat(), 'text/plain'],
+    limit: '5mb'
+});
+
+/**
+ * @route   POST /api/admin/import/requests
+ * @desc    Bulk import requests from a CSV or JSON Lines body (?format=csv|jsonl, or
+ *          from the content type). Rows are validated like POST /api/request and
+ *          invalid ones reported by row number; ?dryRun=true only validates.
+ * @access  Private (Admin only)
+ */
+router.post('/import/requests', readImportFile, async (req, res) => {
+    try {
+        const format = resolveImportFormat(req.query.format, req.get('Content-Type'));
+        const dryRun = req.query.dryRun === 'true';
+
+        const report = await importReliefRequests(req.body, req.user, { format, dryRun, io });
+
+        if (report.imported > 0) {
+            broadcastQueueUpdate(io, [...new Set(report.requests.map(request => request.district))]);
+        }
+
+        res.status(report.imported > 0 ? 201 : 200).json({
+            success: true,
+            message: dryRun
+                ? `${report.valid} of ${report.total} rows are valid`
+                : `Imported ${report.imported} of ${report.total} rows`,
+            data: report
+        });
+
+    } catch (error) {
+        handleServiceError(res, error, 'Importing requests');
+    }
+});
+
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { generateToken } = require('../middleware/auth.middleware');
+const { getAidTypeKeys } = require('../utils/catalogue');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } = require('../utils/notificationTemplates');
+const { isStaff } = require('../services/socketRooms.service');
+const { isAllowedCallbackUrl, resolvesToPublicHost } = require('../utils/urls');
 
 /**
  * @route   POST /api/auth/register
@@ -152,7 +156,7 @@ router.post('/login', async (req, res) => {
  * @desc    Get current user profile
  * @access  Private
  */
-const { verifyToken } = require('../middleware/auth.middleware');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
 
 router.get('/me', verifyToken, async (req, res) => {
     try {
@@ -171,4 +175,196 @@ router.get('/me', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @route   PUT /api/auth/me/districts
+ * @desc    Register the districts a volunteer serves
+ * @access  Private (Volunteer/Admin)
+ */
+router.put('/me/districts', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const { districts } = req.body;
+
+        if (!Array.isArray(districts) || districts.some(district => typeof district !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide districts as an array of district names'
+            });
+        }
+
+        // Trim, drop empties and de-duplicate (case-insensitive)
+        const seen = new Set();
+        req.user.servedDistricts = districts
+            .map(district => district.trim())
+            .filter(district => {
+                const key = district.toLowerCase();
+                if (!district || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Served districts updated successfully',
+            data: {
+                user: req.user.toPublicJSON()
+            }
+        });
+    } catch (error) {
+        console.error('Update districts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating districts'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/auth/me/volunteer-profile
+ * @desc    Update vehicle type, carrying capacity and supported aid types
+ * @access  Private (Volunteer/Admin)
+ */
+router.put('/me/volunteer-profile', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const { vehicleType, capacity, supportedAidTypes } = req.body;
+
+        if (supportedAidTypes !== undefined) {
+            const aidTypes = getAidTypeKeys();
+            const invalid = Array.isArray(supportedAidTypes)
+                ? supportedAidTypes.filter(aidType => !aidTypes.includes(aidType))
+                : [supportedAidTypes];
+
+            if (invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid aid type(s): ${invalid.join(', ')}. Must be one of: ${aidTypes.join(', ')}`
+                });
+            }
+
+            req.user.volunteerProfile.supportedAidTypes = [...new Set(supportedAidTypes)];
+        }
+
+        if (vehicleType !== undefined) {
+            req.user.volunteerProfile.vehicleType = vehicleType;
+        }
+
+        if (capacity !== undefined) {
+            req.user.volunteerProfile.capacity = capacity;
+        }
+
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Volunteer profile updated successfully',
+            data: {
+                user: req.user.toPublicJSON()
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            const messages = error.errors
+                ? Object.values(error.errors).map(err => err.message)
+                : [error.message];
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        console.error('Update volunteer profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating volunteer profile'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/auth/me/notifications
+ * @desc    Update notification preferences: channels on/off ({ sms, email, push, webhook }),
+ *          mutedEvents, pushSubscription and webhookUrl
+ * @access  Private
+ */
+router.put('/me/notifications', verifyToken, async (req, res) => {
+    try {
+        const { mutedEvents, pushSubscription, webhookUrl } = req.body;
+        const preferences = req.user.notificationPreferences;
+
+        const invalidChannel = NOTIFICATION_CHANNELS.find(channel =>
+            req.body[channel] !== undefined && typeof req.body[channel] !== 'boolean');
+        if (invalidChannel) {
+            return res.status(400).json({
+                success: false,
+                message: `${invalidChannel} must be true or false`
+            });
+        }
+
+        const events = Object.values(NOTIFICATION_EVENTS);
+        if (mutedEvents !== undefined &&
+            (!Array.isArray(mutedEvents) || mutedEvents.some(event => !events.includes(event)))) {
+            return res.status(400).json({
+                success: false,
+                message: `mutedEvents must be a list of: ${events.join(', ')}`
+            });
+        }
+
+        if (pushSubscription && (typeof pushSubscription !== 'object' || !isAllowedCallbackUrl(pushSubscription.endpoint))) {
+            return res.status(400).json({
+                success: false,
+                message: 'pushSubscription must be a browser push subscription with an endpoint URL'
+            });
+        }
+
+        if (webhookUrl && !isStaff(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only volunteers and admins can receive notifications by webhook'
+            });
+        }
+
+        if (webhookUrl && (!isAllowedCallbackUrl(webhookUrl) || !(await resolvesToPublicHost(webhookUrl)))) {
+            return res.status(400).json({
+                success: false,
+                message: 'webhookUrl must be a valid https URL on a public host'
+            });
+        }
+
+        NOTIFICATION_CHANNELS.forEach((channel) => {
+            if (req.body[channel] !== undefined) {
+                preferences[channel] = req.body[channel];
+            }
+        });
+
+        if (mutedEvents !== undefined) {
+            preferences.mutedEvents = [...new Set(mutedEvents)];
+        }
+
+        if (pushSubscription !== undefined) {
+            preferences.pushSubscription = pushSubscription || null;
+        }
+
+        if (webhookUrl !== undefined) {
+            preferences.webhookUrl = webhookUrl || '';
+        }
+
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Notification preferences updated successfully',
+            data: {
+                user: req.user.toPublicJSON()
+            }
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating notification preferences'
+        });
+    }
+});
+
 module.exports = router;
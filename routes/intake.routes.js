@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { verifyGatewayToken } = require('../middleware/auth.middleware');
+const { handleSmsMessage, handleUssdSession } = require('../services/smsIntake.service');
+const { announceNewRequest } = require('../services/requestIntake.service');
+
+// Get socket.io instance (will be set by server.js)
+let io = null;
+const setSocketIO = (socketIO) => {
+    io = socketIO;
+};
+
+// Gateways post form-encoded (or JSON) webhooks and relay the plain-text reply
+router.use(verifyGatewayToken);
+
+// Field names differ between gateway providers
+const pickField = (body, names) => {
+    const name = names.find(field => body[field] !== undefined && body[field] !== '');
+    return name ? body[name].toString() : '';
+};
+
+/**
+ * @route   POST /api/intake/sms
+ * @desc    Incoming SMS from the gateway. Body: { From, Body }
+ *          "HELP district, aid code(s), category code[, people][, name]" submits a request,
+ *          "STATUS <tracking code>" reports on one. Replies with the SMS text to send back.
+ * @access  Gateway (X-Gateway-Token)
+ */
+router.post('/sms', async (req, res) => {
+    try {
+        const { reply, request } = await handleSmsMessage({
+            from: pickField(req.body, ['From', 'from', 'phone', 'phoneNumber']),
+            text: pickField(req.body, ['Body', 'body', 'text', 'message'])
+        });
+
+        if (request) {
+            await announceNewRequest(io, request);
+        }
+
+        res.type('text/plain').send(reply);
+
+    } catch (error) {
+        console.error('SMS intake error:', error);
+        res.status(500).type('text/plain').send('Sorry, we could not process your message. Please try again.');
+    }
+});
+
+/**
+ * @route   POST /api/intake/ussd
+ * @desc    USSD session step from the gateway. Body: { sessionId, serviceCode, phoneNumber, text }
+ *          where text is every answer so far joined by "*". Replies "CON ..." or "END ...".
+ * @access  Gateway (X-Gateway-Token)
+ */
+router.post('/ussd', async (req, res) => {
+    try {
+        const { reply, request } = await handleUssdSession({
+            phoneNumber: pickField(req.body, ['phoneNumber', 'From', 'from', 'phone']),
+            text: pickField(req.body, ['text', 'Body', 'body'])
+        });
+
+        if (request) {
+            await announceNewRequest(io, request);
+        }
+
+        res.type('text/plain').send(reply);
+
+    } catch (error) {
+        console.error('USSD intake error:', error);
+        res.status(500).type('text/plain').send('END Sorry, we could not process your request. Please try again.');
+    }
+});
+
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
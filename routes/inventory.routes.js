@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const Warehouse = require('../models/Warehouse');
+const StockItem = require('../models/StockItem');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { getAidTypeKeys } = require('../utils/catalogue');
+const { getStockAvailability } = require('../services/inventory.service');
+const { normalizeDistrict } = require('../utils/dispatchCalculator');
+
+// Send a 400 for mongoose validation/cast errors, otherwise a 500
+const handleError = (res, error, context) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+            success: false,
+            message: messages.join(', ')
+        });
+    }
+
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid ID'
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`
+    });
+};
+
+/**
+ * @route   GET /api/inventory/warehouses
+ * @desc    List warehouses (optionally ?district=Bhopal)
+ * @access  Private (Volunteer/Admin)
+ */
+router.get('/warehouses', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.district) {
+            filter.district = req.query.district.trim();
+        }
+
+        const warehouses = await Warehouse.find(filter)
+            .collation({ locale: 'en', strength: 2 })
+            .sort({ district: 1, name: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                warehouses,
+                count: warehouses.length
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Fetching warehouses');
+    }
+});
+
+/**
+ * @route   POST /api/inventory/warehouses
+ * @desc    Register a warehouse
+ * @access  Private (Admin only)
+ */
+router.post('/warehouses', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { name, district, location } = req.body;
+
+        const warehouse = await Warehouse.create({
+            name,
+            district,
+            location: {
+                latitude: location?.latitude ?? null,
+                longitude: location?.longitude ?? null,
+                address: location?.address || ''
+            },
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Warehouse created successfully',
+            data: {
+                warehouse
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Creating warehouse');
+    }
+});
+
+/**
+ * @route   PUT /api/inventory/warehouses/:id
+ * @desc    Update a warehouse (name, district, location, isActive)
+ * @access  Private (Admin only)
+ */
+router.put('/warehouses/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const warehouse = await Warehouse.findById(req.params.id);
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Warehouse not found'
+            });
+        }
+
+        const { name, district, location, isActive } = req.body;
+        if (name !== undefined) warehouse.name = name;
+        if (district !== undefined) warehouse.district = district;
+        if (isActive !== undefined) warehouse.isActive = Boolean(isActive);
+        if (location !== undefined) {
+            warehouse.location = { ...warehouse.location.toObject(), ...location };
+        }
+
+        await warehouse.save();
+
+        res.json({
+            success: true,
+            message: 'Warehouse updated successfully',
+            data: {
+                warehouse
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Updating warehouse');
+    }
+});
+
+/**
+ * @route   GET /api/inventory/warehouses/:id/stock
+ * @desc    Stock levels of a warehouse
+ * @access  Private (Volunteer/Admin)
+ */
+router.get('/warehouses/:id/stock', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const warehouse = await Warehouse.findById(req.params.id);
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Warehouse not found'
+            });
+        }
+
+        const stock = await StockItem.find({ warehouse: warehouse._id }).sort({ aidType: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                warehouse,
+                stock
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Fetching stock');
+    }
+});
+
+/**
+ * @route   PUT /api/inventory/warehouses/:id/stock/:aidType
+ * @desc    Set a stock level. Body: { quantity } (absolute) or { adjustment } (relative)
+ * @access  Private (Admin only)
+ */
+router.put('/warehouses/:id/stock/:aidType', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { aidType } = req.params;
+        const { quantity, adjustment } = req.body;
+
+        const aidTypes = getAidTypeKeys({ includeInactive: true });
+        if (!aidTypes.includes(aidType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid aid type. Must be one of: ${aidTypes.join(', ')}`
+            });
+        }
+
+        const isInteger = (value) => Number.isInteger(value);
+        if ((quantity === undefined) === (adjustment === undefined) ||
+            (quantity !== undefined && (!isInteger(quantity) || quantity < 0)) ||
+            (adjustment !== undefined && !isInteger(adjustment))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide either a non-negative integer quantity or an integer adjustment'
+            });
+        }
+
+        const warehouse = await Warehouse.findById(req.params.id);
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Warehouse not found'
+            });
+        }
+
+        const key = { warehouse: warehouse._id, aidType };
+
+        // Make sure the stock item exists; a concurrent first write may create it instead
+        await StockItem.updateOne(key, { $setOnInsert: { quantity: 0, reserved: 0 } }, { upsert: true })
+            .catch((error) => {
+                if (error.code !== 11000) throw error;
+            });
+
+        // Update in place, like reservations do, so a concurrent reservation is never overwritten.
+        // Units already promised to requests in transit cannot be removed.
+        const item = await StockItem.findOneAndUpdate(
+            quantity !== undefined
+                ? { ...key, reserved: { $lte: quantity } }
+                : { ...key, $expr: { $gte: [{ $add: ['$quantity', adjustment] }, '$reserved'] } },
+            quantity !== undefined ? { $set: { quantity } } : { $inc: { quantity: adjustment } },
+            { new: true }
+        );
+
+        if (!item) {
+            const current = await StockItem.findOne(key).select('reserved').lean();
+            return res.status(409).json({
+                success: false,
+                message: `Quantity cannot drop below the ${current ? current.reserved : 0} unit(s) reserved for requests in transit`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Stock updated successfully',
+            data: {
+                stockItem: item
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Updating stock');
+    }
+});
+
+/**
+ * @route   GET /api/inventory/stock
+ * @desc    Available stock per district and aid type (optionally ?district=Bhopal)
+ * @access  Private (Volunteer/Admin)
+ */
+router.get('/stock', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const availability = await getStockAvailability();
+        const districtKey = req.query.district ? normalizeDistrict(req.query.district) : null;
+
+        const summary = [...availability.entries()]
+            .filter(([key]) => !districtKey || key === districtKey)
+            .map(([key, byAidType]) => ({
+                district: key,
+                available: Object.fromEntries(byAidType)
+            }));
+
+        res.json({
+            success: true,
+            data: {
+                stock: summary
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Fetching stock summary');
+    }
+});
+
+module.exports = router;
@@ -2,8 +2,26 @@ const express = require('express');
 const router = express.Router();
 const ReliefRequest = require('../models/ReliefRequest');
 const { verifyToken, requireRole } = require('../middleware/auth.middleware');
-const { getPriorityQueue } = require('../services/priorityQueue.service');
-const { calculateFullPriority, VULNERABILITY_SCORES, MEDICAL_URGENCY_SCORES } = require('../utils/priorityCalculator');
+const { getPriorityQueue, CLAIM_ATTEMPTS } = require('../services/priorityQueue.service');
+const {
+    calculatePriorityBreakdown,
+    getVulnerabilityScore,
+    getMedicalUrgencyScore
+} = require('../utils/priorityCalculator');
+const {
+    CATALOGUE_KINDS,
+    getEntries,
+    getLabel
+} = require('../utils/catalogue');
+const { calculateDispatchScore, hasCoordinates, selectBatch } = require('../utils/dispatchCalculator');
+const { getRequestLoad } = require('../utils/aidRequirements');
+const { parseList, parseInteger, encodeCursor, buildRequestSearch } = require('../utils/requestFilters');
+const { broadcastQueueUpdate } = require('../services/queueBroadcast.service');
+const { transitionStatus, recordPartialDelivery } = require('../services/requestStatus.service');
+const { buildStockFilter, STOCK_ENFORCEMENT } = require('../services/inventory.service');
+const { submitReliefRequest, announceNewRequest } = require('../services/requestIntake.service');
+const { publishStatusChange } = require('../services/webhook.service');
+const { emitRequestEvent } = require('../services/socketRooms.service');
 
 // Get socket.io instance (will be set by server.js)
 let io = null;
@@ -11,105 +29,51 @@ const setSocketIO = (socketIO) => {
     io = socketIO;
 };
 
+// Window used to estimate dequeue throughput for wait projections
+const THROUGHPUT_WINDOW_MINUTES = 60;
+
+// Page size limits for GET /api/queue
+const QUEUE_PAGE_SIZE = 50;
+const MAX_QUEUE_PAGE_SIZE = 500;
+
+// Districts a dequeue is scoped to: ?district=..., else the volunteer's served districts
+const getDequeueScope = (req) => parseList(req.query.district) ||
+    (req.user.role === 'volunteer' ? parseList(req.user.servedDistricts) : undefined);
+
 /**
  * @route   POST /api/request
- * @desc    Submit a new relief request
+ * @desc    Submit a new relief request. For a household, send `members`
+ *          ([{ name, vulnerabilityCategory, age }]) and optionally `headcount`;
+ *          for several aid types, send `items` ([{ aidType, quantity }]) instead of `aidType`
  * @access  Private (Victim only)
  */
 router.post('/', verifyToken, requireRole('victim', 'admin'), async (req, res) => {
     try {
-        const {
-            name,
-            location,
-            aidType,
-            vulnerabilityCategory,
-            description,
-            contactPhone
-        } = req.body;
-
-        // Validate required fields
-        if (!name || !location?.district || !aidType || !vulnerabilityCategory) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide name, district, aid type, and vulnerability category'
-            });
-        }
-
-        // Validate aid type
-        if (!Object.keys(MEDICAL_URGENCY_SCORES).includes(aidType)) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid aid type. Must be one of: ${Object.keys(MEDICAL_URGENCY_SCORES).join(', ')}`
-            });
-        }
-
-        // Validate vulnerability category
-        if (!Object.keys(VULNERABILITY_SCORES).includes(vulnerabilityCategory)) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid vulnerability category. Must be one of: ${Object.keys(VULNERABILITY_SCORES).join(', ')}`
-            });
-        }
-
-        // Calculate initial priority
-        const { vulnerabilityScore, medicalUrgencyScore, priorityScore } = calculateFullPriority(
-            vulnerabilityCategory,
-            aidType,
-            new Date()
-        );
-
-        // Create new relief request
-        const reliefRequest = new ReliefRequest({
-            name,
-            location: {
-                district: location.district,
-                latitude: location.latitude || null,
-                longitude: location.longitude || null,
-                address: location.address || ''
-            },
-            aidType,
-            vulnerabilityCategory,
-            vulnerabilityScore,
-            medicalUrgencyScore,
-            priorityScore,
-            description: description || '',
-            contactPhone: contactPhone || '',
-            requestedBy: req.user._id,
-            status: 'PENDING'
-        });
-
-        await reliefRequest.save();
-
-        // Add to priority queue
-        const queue = getPriorityQueue();
-        queue.insert(reliefRequest.toObject());
+        const { request: reliefRequest, duplicates, queueSize } = await submitReliefRequest(req.body, req.user);
 
         // Emit real-time event
-        if (io) {
-            io.emit('newRequest', {
-                request: reliefRequest,
-                queueSize: queue.size()
-            });
-
-            // If this is a high priority request, emit a special alert
-            if (priorityScore >= 50) {
-                io.emit('highPriorityAlert', {
-                    message: `High priority request received: ${name} - ${aidType}`,
-                    request: reliefRequest
-                });
-            }
-        }
+        await announceNewRequest(io, reliefRequest);
 
         res.status(201).json({
             success: true,
-            message: 'Relief request submitted successfully',
+            message: duplicates.length > 0
+                ? 'Relief request submitted and flagged as a possible duplicate for review'
+                : 'Relief request submitted successfully',
             data: {
                 request: reliefRequest,
-                queuePosition: queue.size()
+                queuePosition: queueSize,
+                possibleDuplicates: reliefRequest.duplicateCheck.candidates
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Create request error:', error);
 
         if (error.name === 'ValidationError') {
@@ -129,22 +93,39 @@ router.post('/', verifyToken, requireRole('victim', 'admin'), async (req, res) =
 
 /**
  * @route   GET /api/queue
- * @desc    Get current priority queue
+ * @desc    Get a page of the priority queue, highest priority first
+ *          (?limit=&offset=, optionally scoped with ?district=Bhopal,Indore)
  * @access  Private (Volunteer/Admin)
  */
 router.get('/queue', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
     try {
         const queue = getPriorityQueue();
+        const districts = parseList(req.query.district);
 
-        // Get all requests sorted by priority
-        const requests = queue.getAll();
+        const limit = parseInteger(req.query.limit, { defaultValue: QUEUE_PAGE_SIZE, min: 1, max: MAX_QUEUE_PAGE_SIZE });
+        const offset = parseInteger(req.query.offset, { defaultValue: 0 });
+
+        if (limit === null || offset === null) {
+            return res.status(400).json({
+                success: false,
+                message: `limit must be a whole number from 1 to ${MAX_QUEUE_PAGE_SIZE} and offset a whole number from 0`
+            });
+        }
+
+        // Only the requests up to the end of the page are read from the heap
+        const requests = queue.getTop(offset + limit, districts).slice(offset);
+        const size = queue.size(districts);
 
         res.json({
             success: true,
             data: {
                 queue: requests,
-                size: requests.length,
-                highestPriority: queue.peek()
+                size,
+                limit,
+                offset,
+                hasMore: offset + requests.length < size,
+                highestPriority: queue.peek(districts),
+                districts: queue.getDistricts()
             }
         });
 
@@ -159,39 +140,91 @@ router.get('/queue', verifyToken, requireRole('volunteer', 'admin'), async (req,
 
 /**
  * @route   POST /api/dequeue
- * @desc    Dequeue highest priority request and assign to volunteer
+ * @desc    Dequeue highest priority request and assign to volunteer.
+ *          Optional body { latitude, longitude, district } blends priority with distance.
+ *          Scoped to ?district=... or, for volunteers, to the districts they serve.
  * @access  Private (Volunteer only)
  */
 router.post('/dequeue', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
     try {
         const queue = getPriorityQueue();
+        const scope = getDequeueScope(req);
 
-        if (queue.isEmpty()) {
+        if (queue.isEmpty(scope)) {
             return res.status(404).json({
                 success: false,
-                message: 'Queue is empty. No pending requests.'
+                message: scope
+                    ? `Queue is empty for ${scope.join(', ')}. No pending requests.`
+                    : 'Queue is empty. No pending requests.'
+            });
+        }
+
+        // Volunteer origin for geo-aware dispatch
+        const { latitude, longitude, district } = req.body || {};
+        const origin = {
+            latitude: latitude !== undefined && latitude !== null ? Number(latitude) : undefined,
+            longitude: longitude !== undefined && longitude !== null ? Number(longitude) : undefined,
+            district
+        };
+
+        const hasOrigin = origin.latitude !== undefined || origin.longitude !== undefined;
+        if (hasOrigin && (!hasCoordinates(origin) ||
+            Math.abs(origin.latitude) > 90 || Math.abs(origin.longitude) > 180)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid coordinates. Provide numeric latitude (-90 to 90) and longitude (-180 to 180)'
             });
         }
 
-        // Extract highest priority request
-        const highestPriority = queue.extractMax();
+        // Pick the best request: pure priority, or priority blended with distance
+        const geoAware = hasOrigin || Boolean(district);
+        const scoreFn = (request) => {
+            if (!geoAware) return request.priorityScore;
+            const dispatch = calculateDispatchScore(request, origin);
+            return dispatch ? dispatch.dispatchScore : null;
+        };
+
+        const stockFilter = await buildStockFilter();
+
+        // Claim the pick; when another server instance took it first, pick again
+        let highestPriority = null;
+        for (let attempt = 0; attempt < CLAIM_ATTEMPTS && !highestPriority; attempt++) {
+            let candidate = geoAware ? queue.findBest(scoreFn, scope) : queue.peek(scope);
+
+            // Skip (or refuse) requests whose aid type is out of stock in their region
+            if (candidate && stockFilter && !stockFilter(candidate)) {
+                if (STOCK_ENFORCEMENT === 'refuse') {
+                    return res.status(409).json({
+                        success: false,
+                        message: `${candidate.aidType} is out of stock in ${candidate.location.district}. ` +
+                            'Restock before dispatching this request.'
+                    });
+                }
+
+                candidate = queue.findBest(request => (stockFilter(request) ? scoreFn(request) : null), scope);
+            }
+
+            if (!candidate) {
+                return res.status(404).json({
+                    success: false,
+                    message: geoAware ? 'No pending requests within range' : 'No pending requests found'
+                });
+            }
+
+            [highestPriority] = await queue.extractMany([candidate._id]);
+        }
 
         if (!highestPriority) {
-            return res.status(404).json({
+            return res.status(409).json({
                 success: false,
-                message: 'No pending requests found'
+                message: 'The queue changed while dequeuing. Please try again.'
             });
         }
 
+        const dispatch = geoAware ? calculateDispatchScore(highestPriority, origin) : null;
+
         // Update request in database
-        const updatedRequest = await ReliefRequest.findByIdAndUpdate(
-            highestPriority._id,
-            {
-                status: 'IN_TRANSIT',
-                assignedTo: req.user._id
-            },
-            { new: true }
-        ).populate('requestedBy', 'name email phone');
+        const updatedRequest = await ReliefRequest.findById(highestPriority._id);
 
         if (!updatedRequest) {
             return res.status(404).json({
@@ -200,30 +233,52 @@ router.post('/dequeue', verifyToken, requireRole('volunteer', 'admin'), async (r
             });
         }
 
+        try {
+            await transitionStatus(updatedRequest, 'IN_TRANSIT', {
+                user: req.user,
+                reason: 'Dequeued by volunteer',
+                claimed: true
+            });
+        } catch (error) {
+            // Still pending (e.g. stock ran out meanwhile): put it back in the queue
+            if (updatedRequest.status === 'PENDING') {
+                await queue.insert(updatedRequest.toObject());
+            }
+            throw error;
+        }
+        await updatedRequest.populate('requestedBy', 'name email phone');
+
         // Emit real-time event
         if (io) {
-            io.emit('requestDequeued', {
+            emitRequestEvent(io, 'requestDequeued', updatedRequest, {
                 request: updatedRequest,
                 assignedTo: req.user.name,
                 queueSize: queue.size()
             });
 
-            io.emit('queueUpdated', {
-                queue: queue.getAll(),
-                size: queue.size()
-            });
+            broadcastQueueUpdate(io, updatedRequest.location.district);
         }
 
+        await publishStatusChange(updatedRequest, 'PENDING');
+
         res.json({
             success: true,
             message: 'Request assigned successfully',
             data: {
                 request: updatedRequest,
-                remainingQueueSize: queue.size()
+                distanceKm: dispatch ? dispatch.distanceKm : null,
+                remainingQueueSize: queue.size(scope)
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Dequeue error:', error);
         res.status(500).json({
             success: false,
@@ -233,37 +288,135 @@ router.post('/dequeue', verifyToken, requireRole('volunteer', 'admin'), async (r
 });
 
 /**
- * @route   PUT /api/update-status/:id
- * @desc    Update request status
+ * @route   POST /api/dequeue/batch
+ * @desc    Dequeue a batch for one trip: the highest-priority request the volunteer
+ *          can carry plus compatible requests clustered around it, up to capacity.
+ *          Optional body { capacity } lowers the profile capacity for this trip.
  * @access  Private (Volunteer only)
  */
-router.put('/update-status/:id', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+router.post('/dequeue/batch', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
+        const queue = getPriorityQueue();
+        const scope = getDequeueScope(req);
+        const profile = req.user.volunteerProfile || {};
+
+        const profileCapacity = profile.capacity || 1;
+        const requestedCapacity = req.body && req.body.capacity !== undefined ? Number(req.body.capacity) : null;
 
-        // Validate status
-        const validStatuses = ['PENDING', 'IN_TRANSIT', 'DELIVERED'];
-        if (!status || !validStatuses.includes(status)) {
+        if (requestedCapacity !== null && (!Number.isInteger(requestedCapacity) || requestedCapacity < 1)) {
             return res.status(400).json({
                 success: false,
-                message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+                message: 'Capacity must be a positive integer'
             });
         }
 
-        const updateData = { status };
+        const capacity = requestedCapacity !== null ? Math.min(requestedCapacity, profileCapacity) : profileCapacity;
 
-        // If delivered, set delivery time
-        if (status === 'DELIVERED') {
-            updateData.deliveredAt = new Date();
+        // Only offer requests that are in stock in their region
+        const stockFilter = await buildStockFilter();
+        const candidates = stockFilter ? queue.getAll(scope).filter(stockFilter) : queue.getAll(scope);
+
+        const selection = selectBatch(candidates, {
+            capacity,
+            supportedAidTypes: profile.supportedAidTypes || []
+        });
+
+        if (selection.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No pending requests match your capacity and supported aid types'
+            });
         }
 
-        const updatedRequest = await ReliefRequest.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true }
-        ).populate('requestedBy', 'name email phone')
-            .populate('assignedTo', 'name email phone');
+        const extracted = await queue.extractMany(selection.map(entry => entry.request._id));
+        const distances = new Map(selection.map(entry => [entry.request._id.toString(), entry.distanceFromHeadKm]));
+
+        // Assign each request; skip any that changed status in the meantime
+        const assigned = [];
+        for (const queued of extracted) {
+            const request = await ReliefRequest.findById(queued._id);
+            if (!request) continue;
+
+            try {
+                await transitionStatus(request, 'IN_TRANSIT', {
+                    user: req.user,
+                    reason: `Dequeued by volunteer in a batch of ${extracted.length}`,
+                    claimed: true
+                });
+            } catch (error) {
+                if (request.status === 'PENDING') {
+                    await queue.insert(request.toObject());
+                }
+                if (!error.status) throw error;
+                console.error(`Batch dequeue skipped request ${request._id}: ${error.message}`);
+                continue;
+            }
+
+            await request.populate('requestedBy', 'name email phone');
+            assigned.push({
+                request,
+                distanceFromHeadKm: distances.get(request._id.toString())
+            });
+        }
+
+        if (assigned.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Selected requests were no longer pending. Please try again.'
+            });
+        }
+
+        // Emit real-time events
+        if (io) {
+            assigned.forEach(({ request }) => {
+                emitRequestEvent(io, 'requestDequeued', request, {
+                    request,
+                    assignedTo: req.user.name,
+                    queueSize: queue.size()
+                });
+            });
+
+            broadcastQueueUpdate(io, assigned.map(({ request }) => request.location.district));
+        }
+
+        for (const { request } of assigned) {
+            await publishStatusChange(request, 'PENDING');
+        }
+
+        res.json({
+            success: true,
+            message: `${assigned.length} request(s) assigned successfully`,
+            data: {
+                requests: assigned,
+                capacity,
+                load: assigned.reduce((total, { request }) => total + getRequestLoad(request), 0),
+                remainingQueueSize: queue.size(scope)
+            }
+        });
+
+    } catch (error) {
+        console.error('Batch dequeue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while dequeuing batch'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/update-status/:id
+ * @desc    Update request status following the request state machine.
+ *          Body: { status, reason, deliveryCode, version }. A volunteer marking DELIVERED
+ *          without the victim's delivery code moves the request to DELIVERY_DISPUTED.
+ *          With `version` (the request's __v), a request changed since then is a 409 conflict.
+ * @access  Private (Volunteer/Admin; victims may cancel their own requests)
+ */
+router.put('/update-status/:id', verifyToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason, deliveryCode, version } = req.body;
+
+        const updatedRequest = await ReliefRequest.findById(id);
 
         if (!updatedRequest) {
             return res.status(404).json({
@@ -272,30 +425,64 @@ router.put('/update-status/:id', verifyToken, requireRole('volunteer', 'admin'),
             });
         }
 
-        // If status is changed back to PENDING, add back to queue
-        if (status === 'PENDING') {
-            const queue = getPriorityQueue();
-            queue.insert(updatedRequest.toObject());
-        }
+        const previousStatus = updatedRequest.status;
+
+        await transitionStatus(updatedRequest, status, {
+            user: req.user,
+            reason,
+            deliveryCode,
+            expectedVersion: version
+        });
+        const disputed = status === 'DELIVERED' && updatedRequest.status === 'DELIVERY_DISPUTED';
+
+        await updatedRequest.populate([
+            { path: 'requestedBy', select: 'name email phone' },
+            { path: 'assignedTo', select: 'name email phone' }
+        ]);
 
         // Emit real-time event
         if (io) {
-            io.emit('statusUpdated', {
+            emitRequestEvent(io, 'statusUpdated', updatedRequest, {
                 requestId: id,
-                newStatus: status,
+                previousStatus,
+                newStatus: updatedRequest.status,
                 request: updatedRequest
             });
+
+            // The request entered or left the queue
+            if (previousStatus === 'PENDING' || updatedRequest.status === 'PENDING') {
+                broadcastQueueUpdate(io, updatedRequest.location.district);
+            }
         }
 
+        await publishStatusChange(updatedRequest, previousStatus);
+
         res.json({
             success: true,
-            message: 'Status updated successfully',
+            message: disputed
+                ? 'Delivery code missing or incorrect. Request marked DELIVERY_DISPUTED for admin review.'
+                : 'Status updated successfully',
             data: {
                 request: updatedRequest
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.details && { data: error.details })
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request ID'
+            });
+        }
+
         console.error('Update status error:', error);
         res.status(500).json({
             success: false,
@@ -304,21 +491,401 @@ router.put('/update-status/:id', verifyToken, requireRole('volunteer', 'admin'),
     }
 });
 
+/**
+ * @route   POST /api/request/:id/progress
+ * @desc    Assigned volunteer reports progress on an IN_TRANSIT request,
+ *          which keeps the assignment from timing out. Body: { note }
+ * @access  Private (Assigned volunteer/Admin)
+ */
+router.post('/:id/progress', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const request = await ReliefRequest.findById(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        if (request.status !== 'IN_TRANSIT') {
+            return res.status(409).json({
+                success: false,
+                message: `Progress can only be reported for IN_TRANSIT requests (current: ${request.status})`
+            });
+        }
+
+        if (req.user.role !== 'admin' && !request.assignedTo?.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. This request is assigned to another volunteer.'
+            });
+        }
+
+        request.lastProgressAt = new Date();
+        await request.save();
+
+        if (io) {
+            emitRequestEvent(io, 'deliveryProgress', request, {
+                requestId: request._id,
+                note: req.body.note || '',
+                reportedAt: request.lastProgressAt
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Progress recorded',
+            data: {
+                requestId: request._id,
+                lastProgressAt: request.lastProgressAt
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request ID'
+            });
+        }
+
+        console.error('Report progress error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording progress'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/request/:id/partial-delivery
+ * @desc    Report that only part of the items were delivered. Body: { items: [{ aidType, quantity }], reason }.
+ *          The delivered units are recorded and the rest goes back to the queue.
+ * @access  Private (Assigned volunteer/Admin)
+ */
+router.post('/:id/partial-delivery', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const request = await ReliefRequest.findById(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        await recordPartialDelivery(request, req.body.items, {
+            user: req.user,
+            reason: req.body.reason
+        });
+
+        if (io) {
+            emitRequestEvent(io, 'statusUpdated', request, {
+                requestId: request._id,
+                previousStatus: 'IN_TRANSIT',
+                newStatus: request.status,
+                request
+            });
+        }
+
+        broadcastQueueUpdate(io, [request.location.district]);
+
+        await publishStatusChange(request, 'IN_TRANSIT');
+
+        res.json({
+            success: true,
+            message: 'Partial delivery recorded; remaining items returned to the queue',
+            data: {
+                request
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request ID'
+            });
+        }
+
+        console.error('Partial delivery error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording partial delivery'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/request/:id/confirm-delivery
+ * @desc    Victim confirms in-app that their aid arrived (marks DELIVERED)
+ * @access  Private (Victim, own request)
+ */
+router.post('/:id/confirm-delivery', verifyToken, requireRole('victim'), async (req, res) => {
+    try {
+        const request = await ReliefRequest.findById(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        await transitionStatus(request, 'DELIVERED', {
+            user: req.user,
+            reason: req.body.reason || 'Delivery confirmed by victim'
+        });
+
+        if (io) {
+            emitRequestEvent(io, 'statusUpdated', request, {
+                requestId: request._id,
+                previousStatus: 'IN_TRANSIT',
+                newStatus: request.status,
+                request
+            });
+        }
+
+        await publishStatusChange(request, 'IN_TRANSIT');
+
+        res.json({
+            success: true,
+            message: 'Delivery confirmed',
+            data: {
+                request
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request ID'
+            });
+        }
+
+        console.error('Confirm delivery error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while confirming delivery'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/request/:id/history
+ * @desc    Get the status history of a request
+ * @access  Private (Owner, Volunteer/Admin)
+ */
+router.get('/:id/history', verifyToken, async (req, res) => {
+    try {
+        const request = await ReliefRequest.findById(req.params.id)
+            .select('status statusHistory requestedBy')
+            .populate('statusHistory.changedBy', 'name role');
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        // Victims may only inspect their own requests
+        if (req.user.role === 'victim' && !request.requestedBy.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only view your own requests.'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                requestId: request._id,
+                status: request.status,
+                history: request.statusHistory
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request ID'
+            });
+        }
+
+        console.error('Get status history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching status history'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/request/:id/priority
+ * @desc    Explain a request's priority: score breakdown, current rank in the
+ *          queue and projected wait until it reaches the top
+ * @access  Private (Owner, Volunteer/Admin)
+ */
+router.get('/:id/priority', verifyToken, async (req, res) => {
+    try {
+        const request = await ReliefRequest.findById(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        // Victims may only inspect their own requests
+        if (req.user.role === 'victim' && !request.requestedBy.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only view your own requests.'
+            });
+        }
+
+        const breakdown = calculatePriorityBreakdown(
+            request.vulnerabilityScore,
+            request.medicalUrgencyScore,
+            request.createdAt
+        );
+
+        // Rank and projected wait, globally and within the request's district
+        const queue = getPriorityQueue();
+        const describePosition = (districts) => {
+            const position = queue.getRank(request._id, districts);
+            if (!position) return null;
+
+            const throughputPerMinute = queue.getDequeueThroughput(THROUGHPUT_WINDOW_MINUTES, districts);
+            const ahead = position.rank - 1;
+
+            return {
+                rank: position.rank,
+                queueSize: position.size,
+                dequeuesPerHour: Math.round(throughputPerMinute * 60 * 100) / 100,
+                projectedMinutesToTop: ahead === 0
+                    ? 0
+                    : throughputPerMinute > 0 ? Math.round(ahead / throughputPerMinute) : null
+            };
+        };
+
+        res.json({
+            success: true,
+            data: {
+                requestId: request._id,
+                status: request.status,
+                queued: queue.has(request._id),
+                breakdown,
+                global: describePosition(),
+                district: describePosition([request.location.district])
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request ID'
+            });
+        }
+
+        console.error('Get priority explanation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while explaining priority'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/requests
+ * @desc    Search requests. Filters: status, district, aidType, vulnerabilityCategory
+ *          (comma-separated), from/to (created), assignedTo (user ID or "me"),
+ *          minPriority/maxPriority and q (name, description or address).
+ *          Paged with ?limit= and the nextCursor of the previous page as ?cursor=;
+ *          ?sort=newest (default) or priority.
+ * @access  Private (Volunteer/Admin)
+ */
+router.get('/requests', verifyToken, requireRole('volunteer', 'admin'), async (req, res) => {
+    try {
+        const { filter, sort, sortSpec, limit, errors } = buildRequestSearch(req.query, { userId: req.user._id });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join(', ')
+            });
+        }
+
+        // One extra request tells whether another page follows
+        const requests = await ReliefRequest.find(filter)
+            .sort(sortSpec)
+            .limit(limit + 1)
+            .populate('requestedBy', 'name email phone')
+            .populate('assignedTo', 'name email phone');
+
+        const page = requests.slice(0, limit);
+        const hasMore = requests.length > limit;
+
+        res.json({
+            success: true,
+            data: {
+                requests: page,
+                count: page.length,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Search requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while searching requests'
+        });
+    }
+});
+
 /**
  * @route   GET /api/my-requests
- * @desc    Get current user's requests
+ * @desc    Get current user's requests (with the delivery code while in transit)
  * @access  Private
  */
 router.get('/my-requests', verifyToken, async (req, res) => {
     try {
         const requests = await ReliefRequest.find({ requestedBy: req.user._id })
+            .select('+deliveryCode')
             .sort({ createdAt: -1 })
             .populate('assignedTo', 'name email phone');
 
+        // The delivery code is only ever shown to the victim who owns the request
+        const withCodes = requests.map(request => ({
+            ...request.toJSON(),
+            deliveryCode: request.status === 'IN_TRANSIT' ? request.deliveryCode || null : null
+        }));
+
         res.json({
             success: true,
             data: {
-                requests,
+                requests: withCodes,
                 count: requests.length
             }
         });
@@ -341,7 +908,7 @@ router.get('/assigned-requests', verifyToken, requireRole('volunteer', 'admin'),
     try {
         const requests = await ReliefRequest.find({
             assignedTo: req.user._id,
-            status: { $in: ['IN_TRANSIT', 'DELIVERED'] }
+            status: { $in: ['IN_TRANSIT', 'DELIVERED', 'VERIFIED', 'FAILED_DELIVERY'] }
         })
             .sort({ createdAt: -1 })
             .populate('requestedBy', 'name email phone');
@@ -374,7 +941,8 @@ router.get('/stats', verifyToken, requireRole('admin'), async (req, res) => {
             ReliefRequest.countDocuments(),
             ReliefRequest.countDocuments({ status: 'PENDING' }),
             ReliefRequest.countDocuments({ status: 'IN_TRANSIT' }),
-            ReliefRequest.countDocuments({ status: 'DELIVERED' })
+            // Verified deliveries were delivered too
+            ReliefRequest.countDocuments({ status: { $in: ['DELIVERED', 'VERIFIED'] } })
         ]);
 
         // Get aid type distribution
@@ -387,6 +955,11 @@ router.get('/stats', verifyToken, requireRole('admin'), async (req, res) => {
             { $group: { _id: '$vulnerabilityCategory', count: { $sum: 1 } } }
         ]);
 
+        // Get status distribution (covers every lifecycle state)
+        const statusStats = await ReliefRequest.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+
         res.json({
             success: true,
             data: {
@@ -397,7 +970,8 @@ router.get('/stats', verifyToken, requireRole('admin'), async (req, res) => {
                     delivered
                 },
                 aidTypeDistribution: aidTypeStats,
-                vulnerabilityDistribution: vulnerabilityStats
+                vulnerabilityDistribution: vulnerabilityStats,
+                statusDistribution: statusStats
             }
         });
 
@@ -412,23 +986,30 @@ router.get('/stats', verifyToken, requireRole('admin'), async (req, res) => {
 
 /**
  * @route   GET /api/config
- * @desc    Get configuration options (aid types, vulnerability categories)
+ * @desc    Get configuration options (aid types, vulnerability categories) from the
+ *          catalogue, labelled in ?lang= or the Accept-Language locale
  * @access  Public
  */
 router.get('/config', (req, res) => {
+    const locale = req.query.lang ||
+        (req.headers['accept-language'] || '').split(',')[0].split(';')[0].trim() ||
+        undefined;
+
+    const describe = (entry, score) => ({
+        value: entry.key,
+        label: getLabel(entry, locale),
+        labels: entry.labels,
+        code: entry.code,
+        score
+    });
+
     res.json({
         success: true,
         data: {
-            vulnerabilityCategories: Object.entries(VULNERABILITY_SCORES).map(([key, score]) => ({
-                value: key,
-                label: key.charAt(0).toUpperCase() + key.slice(1),
-                score
-            })),
-            aidTypes: Object.entries(MEDICAL_URGENCY_SCORES).map(([key, score]) => ({
-                value: key,
-                label: key.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
-                score
-            }))
+            vulnerabilityCategories: getEntries(CATALOGUE_KINDS.VULNERABILITY_CATEGORY)
+                .map(entry => describe(entry, getVulnerabilityScore(entry.key))),
+            aidTypes: getEntries(CATALOGUE_KINDS.AID_TYPE)
+                .map(entry => describe(entry, getMedicalUrgencyScore(entry.key)))
         }
     });
 });
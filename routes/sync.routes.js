@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { getAssignmentDeltas, applyOfflineChanges } = require('../services/sync.service');
+const { broadcastQueueUpdate } = require('../services/queueBroadcast.service');
+const { publishStatusChange } = require('../services/webhook.service');
+const { emitRequestEvent } = require('../services/socketRooms.service');
+
+// Get socket.io instance (will be set by server.js)
+let io = null;
+const setSocketIO = (socketIO) => {
+    io = socketIO;
+};
+
+// Offline sync is for the volunteers working assignments in the field
+router.use(verifyToken, requireRole('volunteer', 'admin'));
+
+/**
+ * @route   GET /api/sync?since=2024-01-01T10:00:00.000Z
+ * @desc    Assigned requests changed since the last sync (full snapshot without `since`).
+ *          Use the returned serverTime as the next `since`.
+ * @access  Private (Volunteer/Admin)
+ */
+router.get('/', async (req, res) => {
+    try {
+        let since = null;
+
+        if (req.query.since) {
+            since = new Date(req.query.since);
+
+            if (Number.isNaN(since.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'since must be an ISO date'
+                });
+            }
+        }
+
+        const { serverTime, requests, revoked } = await getAssignmentDeltas(req.user, since);
+
+        res.json({
+            success: true,
+            data: {
+                serverTime,
+                requests,
+                revoked
+            }
+        });
+
+    } catch (error) {
+        console.error('Sync pull error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching changes'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/sync
+ * @desc    Apply status changes queued offline, in order.
+ *          Body: { changes: [{ requestId, status, reason, deliveryCode, baseVersion, changedAt }] }
+ *          Each result is 'applied', 'conflict' (the request changed since baseVersion) or 'rejected'.
+ * @access  Private (Volunteer/Admin)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const results = await applyOfflineChanges(req.user, req.body.changes);
+        const applied = results.filter(entry => entry.result === 'applied');
+
+        if (io) {
+            applied.forEach(({ request, previousStatus }) => {
+                emitRequestEvent(io, 'statusUpdated', request, {
+                    requestId: request._id,
+                    previousStatus,
+                    newStatus: request.status,
+                    request
+                });
+            });
+        }
+
+        const queueDistricts = applied
+            .filter(({ request, previousStatus }) => previousStatus === 'PENDING' || request.status === 'PENDING')
+            .map(({ request }) => request.location.district);
+
+        if (queueDistricts.length > 0) {
+            broadcastQueueUpdate(io, queueDistricts);
+        }
+
+        for (const { request, previousStatus } of applied) {
+            await publishStatusChange(request, previousStatus);
+        }
+
+        res.json({
+            success: true,
+            message: `${applied.length} of ${results.length} change(s) applied`,
+            data: {
+                results
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Sync push error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while applying offline changes'
+        });
+    }
+});
+
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
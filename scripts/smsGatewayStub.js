@@ -0,0 +1,48 @@
+/**
+ * Local stand-in for an SMS/USSD gateway: posts a form-encoded webhook to the
+ * running API and prints the reply the gateway would send to the phone.
+ *
+ * Usage:
+ *   node scripts/smsGatewayStub.js +919800000001 "HELP Bhopal, F+S, P, 4, Ram"
+ *   node scripts/smsGatewayStub.js +919800000001 "STATUS ABCD2345"
+ *   node scripts/smsGatewayStub.js --ussd +919800000001 "1*Bhopal*4*1*3"
+ *
+ * API_URL (default http://localhost:5000) and SMS_GATEWAY_TOKEN are read from the environment.
+ */
+require('dotenv').config();
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const ussd = args[0] === '--ussd';
+    const [phone, text = ''] = ussd ? args.slice(1) : args;
+
+    if (!phone) {
+        console.error('Usage: node scripts/smsGatewayStub.js [--ussd] <phone> "<message>"');
+        process.exit(1);
+    }
+
+    const body = ussd
+        ? new URLSearchParams({ sessionId: `stub-${Date.now()}`, serviceCode: '*384#', phoneNumber: phone, text })
+        : new URLSearchParams({ From: phone, Body: text });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (process.env.SMS_GATEWAY_TOKEN) {
+        headers['X-Gateway-Token'] = process.env.SMS_GATEWAY_TOKEN;
+    }
+
+    const response = await fetch(`${API_URL}/api/intake/${ussd ? 'ussd' : 'sms'}`, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(10000)
+    });
+
+    console.log(`[${response.status}] ${await response.text()}`);
+};
+
+main().catch((error) => {
+    console.error('Gateway stub failed:', error.message);
+    process.exit(1);
+});
@@ -3,22 +3,63 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 
 // Config imports
 const connectDB = require('./config/db');
-const { connectRedis } = require('./config/redis');
+const { connectRedis, duplicateRedisClient } = require('./config/redis');
 
 // Route imports
 const authRoutes = require('./routes/auth.routes');
 const requestRoutes = require('./routes/request.routes');
+const adminRoutes = require('./routes/admin.routes');
+const inventoryRoutes = require('./routes/inventory.routes');
+const syncRoutes = require('./routes/sync.routes');
+const intakeRoutes = require('./routes/intake.routes');
 const { setSocketIO } = require('./routes/request.routes');
 
+// Middleware imports
+const { verifySocketToken } = require('./middleware/auth.middleware');
+
 // Service imports
-const { getPriorityQueue } = require('./services/priorityQueue.service');
-const ReliefRequest = require('./models/ReliefRequest');
+const {
+    SharedPriorityQueue,
+    getPriorityQueue,
+    initPriorityQueue,
+    reconcilePriorityQueue
+} = require('./services/priorityQueue.service');
+const { loadActivePolicy } = require('./services/priorityPolicy.service');
+const { loadCatalogue } = require('./services/catalogue.service');
+const {
+    ASSIGNMENT_SLA_MINUTES,
+    ASSIGNMENT_CHECK_INTERVAL_MINUTES,
+    requeueStaleAssignments
+} = require('./services/assignmentTimeout.service');
+const {
+    NOTIFICATION_OUTBOX_INTERVAL_SECONDS,
+    processOutbox
+} = require('./services/notification.service');
+const { getEnabledChannels } = require('./services/notificationTransport.service');
+const {
+    WEBHOOK_DISPATCH_INTERVAL_SECONDS,
+    processWebhookDeliveries
+} = require('./services/webhook.service');
+const {
+    GLOBAL_QUEUE_ROOM,
+    getDistrictRoom,
+    getQueueState,
+    broadcastQueueUpdate
+} = require('./services/queueBroadcast.service');
+const {
+    STAFF_ROOM,
+    getRequestRoom,
+    getUserRoom,
+    isStaff,
+    canSubscribeToRequest
+} = require('./services/socketRooms.service');
 
 // Initialize Express app
 const app = express();
@@ -33,8 +74,11 @@ const io = new Server(server, {
     }
 });
 
-// Set Socket.io in request routes
+// Set Socket.io in request, admin, sync and intake routes
 setSocketIO(io);
+adminRoutes.setSocketIO(io);
+syncRoutes.setSocketIO(io);
+intakeRoutes.setSocketIO(io);
 
 // Middleware
 app.use(helmet({
@@ -44,12 +88,18 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
     credentials: true
 }));
+// Keep secrets sent as ?token= (e.g. by a misconfigured gateway) out of the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/gi, '$1[redacted]'));
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/intake', intakeRoutes);
 app.use('/api/request', requestRoutes);
 app.use('/api', requestRoutes); // Also mount at /api for /api/queue, /api/dequeue, etc.
 
@@ -70,6 +120,10 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             auth: '/api/auth',
+            admin: '/api/admin',
+            inventory: '/api/inventory',
+            sync: '/api/sync',
+            intake: '/api/intake',
             requests: '/api/request',
             queue: '/api/queue',
             health: '/health'
@@ -77,38 +131,131 @@ app.get('/', (req, res) => {
     });
 });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-    console.log(`Client connected: ${socket.id}`);
+// Socket.io: every connection must carry a valid JWT ({ auth: { token } })
+io.use(verifySocketToken);
 
-    // Send current queue state on connection
-    const queue = getPriorityQueue();
-    socket.emit('queueState', {
-        queue: queue.getAll(),
-        size: queue.size()
-    });
+// Tell a socket a subscription was refused (through the ack callback when given)
+const denySubscription = (socket, event, message, ack) => {
+    const response = { success: false, message };
+    if (typeof ack === 'function') {
+        ack(response);
+    } else {
+        socket.emit('subscriptionDenied', { event, ...response });
+    }
+};
+
+const acknowledge = (ack) => {
+    if (typeof ack === 'function') {
+        ack({ success: true });
+    }
+};
+
+io.on('connection', (socket) => {
+    const { user } = socket;
+    const staff = isStaff(user);
+    console.log(`Client connected: ${socket.id} (${user.role} ${user._id})`);
+
+    // Personal events (assignmentExpired, updates on the user's own requests)
+    socket.join(getUserRoom(user._id));
+
+    // Volunteers and admins follow new requests and the queue. They join the district
+    // rooms requested in the handshake (?districts=Bhopal,Indore), or the global
+    // queue room when none are given, and get the current state
+    if (staff) {
+        socket.join(STAFF_ROOM);
+
+        const handshakeDistricts = (socket.handshake.query.districts || '')
+            .toString()
+            .split(',')
+            .map(district => district.trim())
+            .filter(Boolean);
+
+        if (handshakeDistricts.length > 0) {
+            handshakeDistricts.forEach((district) => {
+                socket.join(getDistrictRoom(district));
+                socket.emit('queueState', getQueueState(district));
+            });
+        } else {
+            socket.join(GLOBAL_QUEUE_ROOM);
+            socket.emit('queueState', getQueueState());
+        }
+    }
 
     // Handle disconnect
     socket.on('disconnect', () => {
         console.log(`Client disconnected: ${socket.id}`);
     });
 
-    // Handle request for queue update
-    socket.on('requestQueueUpdate', () => {
-        const currentQueue = getPriorityQueue();
-        socket.emit('queueState', {
-            queue: currentQueue.getAll(),
-            size: currentQueue.size()
-        });
+    // Handle request for queue update (optionally for a single district)
+    socket.on('requestQueueUpdate', (district, ack) => {
+        if (!staff) {
+            return denySubscription(socket, 'requestQueueUpdate', 'Only volunteers and admins can view the queue', ack);
+        }
+        socket.emit('queueState', getQueueState(district));
+        acknowledge(ack);
     });
 
-    // Handle subscription to specific request updates
-    socket.on('subscribeToRequest', (requestId) => {
-        socket.join(`request:${requestId}`);
+    // Handle subscription to a district's queue
+    socket.on('subscribeToDistrict', (district, ack) => {
+        if (!district) return;
+        if (!staff) {
+            return denySubscription(socket, 'subscribeToDistrict', 'Only volunteers and admins can view the queue', ack);
+        }
+        socket.join(getDistrictRoom(district));
+        socket.emit('queueState', getQueueState(district));
+        acknowledge(ack);
+    });
+
+    socket.on('unsubscribeFromDistrict', (district) => {
+        if (!district) return;
+        socket.leave(getDistrictRoom(district));
+    });
+
+    // Handle subscription to the queue across all districts
+    socket.on('subscribeToQueue', (ack) => {
+        if (!staff) {
+            return denySubscription(socket, 'subscribeToQueue', 'Only volunteers and admins can view the queue', ack);
+        }
+        socket.join(GLOBAL_QUEUE_ROOM);
+        socket.emit('queueState', getQueueState());
+        acknowledge(ack);
+    });
+
+    socket.on('unsubscribeFromQueue', () => {
+        socket.leave(GLOBAL_QUEUE_ROOM);
+    });
+
+    // Handle subscription to specific request updates (victims: own requests only)
+    socket.on('subscribeToRequest', async (requestId, ack) => {
+        try {
+            if (!requestId || !(await canSubscribeToRequest(user, requestId))) {
+                return denySubscription(socket, 'subscribeToRequest', 'You can only follow your own requests', ack);
+            }
+            socket.join(getRequestRoom(requestId));
+            acknowledge(ack);
+        } catch (error) {
+            denySubscription(socket, 'subscribeToRequest', 'Invalid request ID', ack);
+        }
     });
 
     socket.on('unsubscribeFromRequest', (requestId) => {
-        socket.leave(`request:${requestId}`);
+        socket.leave(getRequestRoom(requestId));
+    });
+
+    // Handle subscription to a user's personal notifications (own only; admins any)
+    socket.on('subscribeToUser', (userId, ack) => {
+        if (!userId || (user.role !== 'admin' && userId.toString() !== user._id.toString())) {
+            return denySubscription(socket, 'subscribeToUser', 'You can only follow your own notifications', ack);
+        }
+        socket.join(getUserRoom(userId));
+        acknowledge(ack);
+    });
+
+    socket.on('unsubscribeFromUser', (userId) => {
+        // Sockets always stay in their own room
+        if (userId && userId.toString() !== user._id.toString()) {
+            socket.leave(getUserRoom(userId));
+        }
     });
 });
 
@@ -147,29 +294,85 @@ const startServer = async () => {
             console.log('Running without Redis (using in-memory queue)');
         }
 
-        // Load existing pending requests into priority queue
-        const queue = getPriorityQueue();
-        const pendingRequests = await ReliefRequest.find({ status: 'PENDING' }).lean();
-
-        if (pendingRequests.length > 0) {
-            queue.loadFromArray(pendingRequests);
-            console.log(`Loaded ${pendingRequests.length} pending requests into priority queue`);
+        // Load the active priority policy before scoring anything
+        const policy = await loadActivePolicy();
+        console.log(`Using priority policy v${policy.version}`);
+
+        // Load the aid type / vulnerability category catalogue (seeded on first run)
+        const catalogue = await loadCatalogue();
+        console.log(`Loaded ${catalogue.length} catalogue entries`);
+
+        // Share the queue (and Socket.io broadcasts) with other instances through Redis
+        const queue = await initPriorityQueue();
+        if (queue instanceof SharedPriorityQueue) {
+            const [pubClient, subClient] = await Promise.all([
+                duplicateRedisClient('socket.io pub'),
+                duplicateRedisClient('socket.io sub')
+            ]);
+            io.adapter(createAdapter(pubClient, subClient));
+            console.log(`Priority queue shared through Redis (${queue.size()} queued)`);
+        } else {
+            console.log('Priority queue kept in memory (single instance)');
         }
 
-        // Start periodic priority recalculation (every 5 minutes)
-        setInterval(() => {
-            const currentQueue = getPriorityQueue();
-            currentQueue.recalculateAllPriorities();
-
-            // Broadcast updated queue
-            io.emit('queueUpdated', {
-                queue: currentQueue.getAll(),
-                size: currentQueue.size()
-            });
-
-            console.log('Priority scores recalculated');
+        // Match the queue restored from Redis against the pending requests in MongoDB
+        const { restored, removed, added } = await reconcilePriorityQueue(queue);
+        console.log(`Priority queue: ${restored} restored, ${added} added from MongoDB, ${removed} no longer pending`);
+
+        // Scores age on read, so nothing is recalculated; every 5 minutes send clients the
+        // aged queue (a shared queue first re-reads Redis in case a pub/sub event was missed)
+        setInterval(async () => {
+            try {
+                const currentQueue = getPriorityQueue();
+                if (currentQueue instanceof SharedPriorityQueue) {
+                    await currentQueue.reload();
+                }
+
+                // Broadcast updated queue to every district room
+                broadcastQueueUpdate(io);
+            } catch (error) {
+                console.error('Queue refresh failed:', error);
+            }
         }, 5 * 60 * 1000);
 
+        // Re-queue stale IN_TRANSIT assignments past the SLA
+        setInterval(async () => {
+            try {
+                const requeued = await requeueStaleAssignments(io);
+                if (requeued > 0) {
+                    console.log(`Re-queued ${requeued} stale assignment(s) (SLA ${ASSIGNMENT_SLA_MINUTES} min)`);
+                }
+            } catch (error) {
+                console.error('Assignment timeout check failed:', error);
+            }
+        }, ASSIGNMENT_CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+        // Send queued notifications, retrying failed ones (the outbox survives restarts)
+        const notificationChannels = getEnabledChannels();
+        console.log(`Notification channels: ${notificationChannels.join(', ') || 'none'}`);
+        setInterval(async () => {
+            try {
+                const { sent, failed } = await processOutbox();
+                if (sent > 0 || failed > 0) {
+                    console.log(`Notification outbox: ${sent} sent, ${failed} failed`);
+                }
+            } catch (error) {
+                console.error('Notification outbox error:', error);
+            }
+        }, NOTIFICATION_OUTBOX_INTERVAL_SECONDS * 1000);
+
+        // Send partner webhook deliveries, retrying failed ones with backoff
+        setInterval(async () => {
+            try {
+                const { delivered, failed } = await processWebhookDeliveries();
+                if (delivered > 0 || failed > 0) {
+                    console.log(`Webhooks: ${delivered} delivered, ${failed} failed`);
+                }
+            } catch (error) {
+                console.error('Webhook dispatch error:', error);
+            }
+        }, WEBHOOK_DISPATCH_INTERVAL_SECONDS * 1000);
+
         // Start server
         server.listen(PORT, () => {
             console.log(`\n🚀 Server running on port ${PORT}`);
@@ -179,13 +382,36 @@ const startServer = async () => {
             console.log(`   POST /api/auth/register - Register new user`);
             console.log(`   POST /api/auth/login - Login`);
             console.log(`   GET  /api/auth/me - Get current user`);
+            console.log(`   PUT  /api/auth/me/districts - Register served districts`);
+            console.log(`   PUT  /api/auth/me/volunteer-profile - Set vehicle capacity`);
+            console.log(`   PUT  /api/auth/me/notifications - Set notification preferences`);
             console.log(`   POST /api/request - Submit relief request`);
-            console.log(`   GET  /api/queue - View priority queue`);
+            console.log(`   GET  /api/queue - View priority queue (paged)`);
+            console.log(`   GET  /api/requests - Search requests`);
             console.log(`   POST /api/dequeue - Get highest priority request`);
+            console.log(`   POST /api/dequeue/batch - Get a batch up to vehicle capacity`);
             console.log(`   PUT  /api/update-status/:id - Update request status`);
+            console.log(`   GET  /api/request/:id/priority - Explain a request's priority`);
+            console.log(`   GET  /api/request/:id/history - Get request status history`);
+            console.log(`   POST /api/request/:id/confirm-delivery - Victim confirms delivery`);
+            console.log(`   POST /api/request/:id/progress - Report delivery progress`);
+            console.log(`   POST /api/request/:id/partial-delivery - Report a partial delivery`);
             console.log(`   GET  /api/my-requests - Get user's requests`);
             console.log(`   GET  /api/stats - Get admin statistics`);
-            console.log(`   GET  /api/config - Get configuration options\n`);
+            console.log(`   GET  /api/config - Get configuration options`);
+            console.log(`   GET  /api/admin/priority-policy - View priority policy`);
+            console.log(`   PUT  /api/admin/priority-policy - Update priority policy`);
+            console.log(`   GET  /api/admin/duplicates - Review flagged duplicates`);
+            console.log(`   GET  /api/admin/catalogue - Manage aid types and vulnerability categories`);
+            console.log(`   GET  /api/admin/webhooks - Manage partner webhooks`);
+            console.log(`   GET  /api/admin/analytics - Time series and delivery metrics`);
+            console.log(`   GET  /api/admin/export/:dataset - Export requests as CSV, JSON Lines or GeoJSON`);
+            console.log(`   POST /api/admin/import/requests - Bulk import requests from CSV or JSON Lines`);
+            console.log(`   GET  /api/inventory/stock - Available stock per district`);
+            console.log(`   GET  /api/sync?since= - Assigned request changes for offline clients`);
+            console.log(`   POST /api/sync - Apply status changes made offline`);
+            console.log(`   POST /api/intake/sms - SMS gateway webhook`);
+            console.log(`   POST /api/intake/ussd - USSD gateway webhook\n`);
         });
 
     } catch (error) {
@@ -0,0 +1,353 @@
+const ReliefRequest = require('../models/ReliefRequest');
+const User = require('../models/User');
+const { parseList, matchDistricts } = require('../utils/requestFilters');
+const HttpError = require('../utils/httpError');
+
+// Range used when none is given
+const DEFAULT_RANGE_DAYS = 7;
+
+// Longest range per bucket size, to keep time series a reasonable length
+const MAX_RANGE_DAYS = {
+    hour: 31,
+    day: 366
+};
+
+const BUCKET_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// $dateToString format of each bucket size (UTC)
+const BUCKET_FORMATS = {
+    hour: '%Y-%m-%dT%H:00:00.000Z',
+    day: '%Y-%m-%dT00:00:00.000Z'
+};
+
+// Requests that were never going to be delivered
+const WITHDRAWN_STATUSES = ['CANCELLED', 'REJECTED_DUPLICATE'];
+
+const DELIVERED_STATUSES = ['DELIVERED', 'VERIFIED'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Read the date range, bucket size and districts of an analytics query
+ * @param {Object} query - { from, to, interval, district }
+ * @returns {Object} { from, to, interval, districts }
+ */
+const parseAnalyticsQuery = (query) => {
+    const errors = [];
+    const to = query.to !== undefined ? new Date(query.to) : new Date();
+    const from = query.from !== undefined
+        ? new Date(query.from)
+        : new Date(to.getTime() - DEFAULT_RANGE_DAYS * BUCKET_MS.day);
+    const interval = query.interval || 'day';
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        errors.push('from and to must be valid dates');
+    } else if (from >= to) {
+        errors.push('from must be before to');
+    }
+
+    if (!MAX_RANGE_DAYS[interval]) {
+        errors.push(`interval must be one of: ${Object.keys(MAX_RANGE_DAYS).join(', ')}`);
+    } else if (to - from > MAX_RANGE_DAYS[interval] * BUCKET_MS.day) {
+        errors.push(`The range can span at most ${MAX_RANGE_DAYS[interval]} days with ${interval} buckets`);
+    }
+
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join(', '));
+    }
+
+    return { from, to, interval, districts: parseList(query.district) };
+};
+
+// Match stage for requests of the given districts (nothing to match when unscoped)
+const districtMatch = (districts) => (districts ? matchDistricts(districts) : {});
+
+/**
+ * Median and 90th percentile of a list of durations (linear interpolation)
+ * @param {number[]} values - Durations in minutes
+ * @returns {Object} { count, medianMinutes, p90Minutes }
+ */
+const summarizeDurations = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const quantile = (q) => {
+        if (sorted.length === 0) return null;
+
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+    };
+
+    return {
+        count: sorted.length,
+        medianMinutes: quantile(0.5),
+        p90Minutes: quantile(0.9)
+    };
+};
+
+/**
+ * Requests created and delivered per bucket, with every bucket in the range present
+ * @returns {Promise<Object[]>} [{ bucket, created, delivered }]
+ */
+const getTimeSeries = async ({ from, to, interval, districts }) => {
+    const countPerBucket = (field, extraMatch = {}) => ReliefRequest.aggregate([
+        { $match: { [field]: { $gte: from, $lte: to }, ...districtMatch(districts), ...extraMatch } },
+        {
+            $group: {
+                _id: { $dateToString: { format: BUCKET_FORMATS[interval], date: `$${field}` } },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const [created, delivered] = await Promise.all([
+        countPerBucket('createdAt'),
+        countPerBucket('deliveredAt', { status: { $in: DELIVERED_STATUSES } })
+    ]);
+
+    const createdByBucket = new Map(created.map(entry => [entry._id, entry.count]));
+    const deliveredByBucket = new Map(delivered.map(entry => [entry._id, entry.count]));
+
+    // Buckets start on UTC hour/day boundaries, like the $dateToString keys
+    const series = [];
+    const firstBucket = Math.floor(from.getTime() / BUCKET_MS[interval]) * BUCKET_MS[interval];
+    for (let time = firstBucket; time <= to.getTime(); time += BUCKET_MS[interval]) {
+        const bucket = new Date(time).toISOString();
+        series.push({
+            bucket,
+            created: createdByBucket.get(bucket) || 0,
+            delivered: deliveredByBucket.get(bucket) || 0
+        });
+    }
+
+    return series;
+};
+
+/**
+ * Time from creation to first dequeue and to delivery, for requests created in the range.
+ * Percentiles are computed here rather than with $percentile, which needs MongoDB 7.
+ * @returns {Promise<Object>} { toDequeue, toDelivery }
+ */
+const getDurations = async ({ from, to, districts }) => {
+    const [durations] = await ReliefRequest.aggregate([
+        { $match: { createdAt: { $gte: from, $lte: to }, ...districtMatch(districts) } },
+        {
+            $project: {
+                dequeuedAt: {
+                    $min: {
+                        $map: {
+                            input: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.to', 'IN_TRANSIT'] } } },
+                            in: '$$this.changedAt'
+                        }
+                    }
+                },
+                createdAt: 1,
+                deliveredAt: 1
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                toDequeue: {
+                    $push: {
+                        $cond: [
+                            { $ifNull: ['$dequeuedAt', false] },
+                            { $divide: [{ $subtract: ['$dequeuedAt', '$createdAt'] }, 60000] },
+                            '$$REMOVE'
+                        ]
+                    }
+                },
+                toDelivery: {
+                    $push: {
+                        $cond: [
+                            { $ifNull: ['$deliveredAt', false] },
+                            { $divide: [{ $subtract: ['$deliveredAt', '$createdAt'] }, 60000] },
+                            '$$REMOVE'
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+
+    return {
+        toDequeue: summarizeDurations(durations ? durations.toDequeue : []),
+        toDelivery: summarizeDurations(durations ? durations.toDelivery : [])
+    };
+};
+
+/**
+ * Current backlog per district: pending and in-transit requests, and the oldest pending one
+ * @returns {Promise<Object[]>} [{ district, pending, inTransit, oldestPendingAt }]
+ */
+const getDistrictBacklog = async ({ districts }) => {
+    const backlog = await ReliefRequest.aggregate([
+        { $match: { status: { $in: ['PENDING', 'IN_TRANSIT'] }, ...districtMatch(districts) } },
+        {
+            $group: {
+                _id: { $toLower: '$location.district' },
+                district: { $first: '$location.district' },
+                pending: { $sum: { $cond: [{ $eq: ['$status', 'PENDING'] }, 1, 0] } },
+                inTransit: { $sum: { $cond: [{ $eq: ['$status', 'IN_TRANSIT'] }, 1, 0] } },
+                oldestPendingAt: { $min: { $cond: [{ $eq: ['$status', 'PENDING'] }, '$createdAt', null] } }
+            }
+        },
+        { $sort: { pending: -1 } }
+    ]);
+
+    return backlog.map(({ district, pending, inTransit, oldestPendingAt }) => ({
+        district,
+        pending,
+        inTransit,
+        oldestPendingAt
+    }));
+};
+
+/**
+ * Fulfilment per aid type for requests created in the range (withdrawn requests excluded)
+ * @returns {Promise<Object[]>} [{ aidType, requests, requestedQuantity, fulfilledQuantity, fulfilmentRate }]
+ */
+const getAidTypeFulfilment = async ({ from, to, districts }) => {
+    const fulfilment = await ReliefRequest.aggregate([
+        {
+            $match: {
+                createdAt: { $gte: from, $lte: to },
+                status: { $nin: WITHDRAWN_STATUSES },
+                ...districtMatch(districts)
+            }
+        },
+        { $unwind: '$items' },
+        {
+            $group: {
+                _id: '$items.aidType',
+                requests: { $sum: 1 },
+                requestedQuantity: { $sum: '$items.quantity' },
+                fulfilledQuantity: { $sum: { $ifNull: ['$items.fulfilledQuantity', 0] } }
+            }
+        },
+        { $sort: { requests: -1 } }
+    ]);
+
+    return fulfilment.map(({ _id, requests, requestedQuantity, fulfilledQuantity }) => ({
+        aidType: _id,
+        requests,
+        requestedQuantity,
+        fulfilledQuantity,
+        fulfilmentRate: requestedQuantity > 0 ? round(fulfilledQuantity / requestedQuantity) : null
+    }));
+};
+
+/**
+ * Requests each volunteer dequeued and delivered in the range
+ * @returns {Promise<Object[]>} [{ volunteer, dequeued, delivered, deliveredPerDay, delivery }]
+ */
+const getVolunteerThroughput = async ({ from, to, districts }) => {
+    const [dequeues, deliveries] = await Promise.all([
+        ReliefRequest.aggregate([
+            { $match: { 'statusHistory.changedAt': { $gte: from, $lte: to }, ...districtMatch(districts) } },
+            { $unwind: '$statusHistory' },
+            {
+                $match: {
+                    'statusHistory.to': 'IN_TRANSIT',
+                    'statusHistory.changedBy': { $ne: null },
+                    'statusHistory.changedAt': { $gte: from, $lte: to }
+                }
+            },
+            { $group: { _id: '$statusHistory.changedBy', dequeued: { $sum: 1 } } }
+        ]),
+        ReliefRequest.aggregate([
+            {
+                $match: {
+                    deliveredAt: { $gte: from, $lte: to },
+                    status: { $in: DELIVERED_STATUSES },
+                    assignedTo: { $ne: null },
+                    ...districtMatch(districts)
+                }
+            },
+            {
+                $group: {
+                    _id: '$assignedTo',
+                    delivered: { $sum: 1 },
+                    // Assignment to delivery, for the volunteer's own part of the wait
+                    minutes: { $push: { $divide: [{ $subtract: ['$deliveredAt', '$assignedAt'] }, 60000] } }
+                }
+            }
+        ])
+    ]);
+
+    const volunteers = new Map();
+    const entry = (id) => {
+        const key = id.toString();
+        if (!volunteers.has(key)) {
+            volunteers.set(key, { id, dequeued: 0, delivered: 0, minutes: [] });
+        }
+        return volunteers.get(key);
+    };
+
+    dequeues.forEach(({ _id, dequeued }) => {
+        entry(_id).dequeued = dequeued;
+    });
+    deliveries.forEach(({ _id, delivered, minutes }) => {
+        Object.assign(entry(_id), { delivered, minutes: minutes.filter(value => value !== null && value >= 0) });
+    });
+
+    const users = await User.find({ _id: { $in: [...volunteers.values()].map(volunteer => volunteer.id) } })
+        .select('name email');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const days = (to - from) / BUCKET_MS.day;
+
+    return [...volunteers.values()]
+        .map(({ id, dequeued, delivered, minutes }) => {
+            const user = usersById.get(id.toString());
+            const { medianMinutes, p90Minutes } = summarizeDurations(minutes);
+
+            return {
+                volunteer: { _id: id, name: user ? user.name : null, email: user ? user.email : null },
+                dequeued,
+                delivered,
+                deliveredPerDay: round(delivered / days),
+                assignmentToDelivery: { medianMinutes, p90Minutes }
+            };
+        })
+        .sort((a, b) => b.delivered - a.delivered || b.dequeued - a.dequeued);
+};
+
+/**
+ * All admin analytics for a date range and optional districts
+ * @param {Object} query - { from, to, interval ('hour' or 'day'), district }
+ * @returns {Promise<Object>} Range plus timeSeries, durations, backlog, aidTypes and volunteers
+ */
+const getAnalytics = async (query) => {
+    const options = parseAnalyticsQuery(query);
+
+    const [timeSeries, durations, backlog, aidTypes, volunteers] = await Promise.all([
+        getTimeSeries(options),
+        getDurations(options),
+        getDistrictBacklog(options),
+        getAidTypeFulfilment(options),
+        getVolunteerThroughput(options)
+    ]);
+
+    return {
+        range: {
+            from: options.from,
+            to: options.to,
+            interval: options.interval,
+            districts: options.districts || null
+        },
+        timeSeries,
+        durations,
+        backlog,
+        aidTypes,
+        volunteers
+    };
+};
+
+module.exports = {
+    parseAnalyticsQuery,
+    summarizeDurations,
+    getAnalytics
+};
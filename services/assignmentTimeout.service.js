@@ -0,0 +1,81 @@
+const ReliefRequest = require('../models/ReliefRequest');
+const { transitionStatus } = require('./requestStatus.service');
+const { broadcastQueueUpdate } = require('./queueBroadcast.service');
+const { publishStatusChange } = require('./webhook.service');
+const { getUserRoom, emitRequestEvent } = require('./socketRooms.service');
+const { readNumber } = require('../utils/env');
+
+// An IN_TRANSIT request without progress for this long goes back to the queue
+const ASSIGNMENT_SLA_MINUTES = readNumber('ASSIGNMENT_SLA_MINUTES', 120);
+
+// How often stale assignments are checked
+const ASSIGNMENT_CHECK_INTERVAL_MINUTES = readNumber('ASSIGNMENT_CHECK_INTERVAL_MINUTES', 5);
+
+/**
+ * Re-queue IN_TRANSIT requests whose volunteer made no progress within the SLA.
+ * The request keeps its original createdAt, so its waiting-time aging is preserved.
+ * @param {Object} io - Socket.io server (for notifying the volunteer)
+ * @returns {Promise<number>} Number of requests re-queued
+ */
+const requeueStaleAssignments = async (io) => {
+    const cutoff = new Date(Date.now() - ASSIGNMENT_SLA_MINUTES * 60000);
+
+    const staleRequests = await ReliefRequest.find({
+        status: 'IN_TRANSIT',
+        $or: [
+            { lastProgressAt: { $lt: cutoff } },
+            // Assignments made before progress tracking existed
+            { lastProgressAt: null, updatedAt: { $lt: cutoff } }
+        ]
+    });
+
+    const districts = [];
+
+    for (const request of staleRequests) {
+        const volunteerId = request.assignedTo;
+
+        try {
+            request.reassignmentCount += 1;
+            await transitionStatus(request, 'PENDING', {
+                reason: `Assignment timed out after ${ASSIGNMENT_SLA_MINUTES} minutes without progress`
+            });
+        } catch (error) {
+            console.error(`Failed to re-queue request ${request._id}:`, error.message);
+            continue;
+        }
+
+        districts.push(request.location.district);
+        console.log(`Re-queued request ${request._id} (volunteer ${volunteerId} timed out, ` +
+            `reassignment #${request.reassignmentCount})`);
+
+        if (io && volunteerId) {
+            const payload = {
+                requestId: request._id,
+                message: `Your assignment for ${request.name} (${request.aidType}) expired and was returned to the queue`,
+                slaMinutes: ASSIGNMENT_SLA_MINUTES
+            };
+
+            io.to(getUserRoom(volunteerId)).emit('assignmentExpired', payload);
+            emitRequestEvent(io, 'statusUpdated', request, {
+                requestId: request._id,
+                previousStatus: 'IN_TRANSIT',
+                newStatus: request.status,
+                request
+            });
+        }
+
+        await publishStatusChange(request, 'IN_TRANSIT');
+    }
+
+    if (districts.length > 0) {
+        broadcastQueueUpdate(io, districts);
+    }
+
+    return districts.length;
+};
+
+module.exports = {
+    ASSIGNMENT_SLA_MINUTES,
+    ASSIGNMENT_CHECK_INTERVAL_MINUTES,
+    requeueStaleAssignments
+};
@@ -0,0 +1,175 @@
+const CatalogueEntry = require('../models/CatalogueEntry');
+const {
+    CATALOGUE_KINDS,
+    DEFAULT_CATALOGUE,
+    getCatalogue,
+    setCatalogue
+} = require('../utils/catalogue');
+const { updatePriorityPolicy } = require('./priorityPolicy.service');
+const HttpError = require('../utils/httpError');
+
+// Priority policy table holding the scores of each catalogue kind
+const SCORE_TABLES = {
+    [CATALOGUE_KINDS.AID_TYPE]: 'medicalUrgencyScores',
+    [CATALOGUE_KINDS.VULNERABILITY_CATEGORY]: 'vulnerabilityScores'
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Lower-case locales and trim labels
+const normalizeLabels = (labels = {}) => Object.fromEntries(
+    Object.entries(labels).map(([locale, label]) => [locale.toLowerCase(), label.trim()])
+);
+
+/**
+ * Reload the catalogue from the database into memory
+ * @returns {Promise<Object[]>} Catalogue entries
+ */
+const refreshCatalogue = async () => {
+    const entries = await CatalogueEntry.find();
+    setCatalogue(entries.map(entry => entry.toCatalogueObject()));
+    return getCatalogue();
+};
+
+/**
+ * Load the catalogue, seeding the database with the built-in entries on first run
+ * @returns {Promise<Object[]>} Catalogue entries
+ */
+const loadCatalogue = async () => {
+    if (await CatalogueEntry.countDocuments() === 0) {
+        await CatalogueEntry.insertMany(DEFAULT_CATALOGUE);
+    }
+
+    return refreshCatalogue();
+};
+
+/**
+ * Validate the editable fields of a catalogue entry
+ * @param {Object} fields - { labels, code, sortOrder, isActive, score }
+ * @param {string} kind - CATALOGUE_KINDS value
+ * @param {string} [key] - Key of the entry being edited
+ * @returns {string[]} Validation errors
+ */
+const validateEntryFields = ({ labels, code, sortOrder, isActive, score }, kind, key) => {
+    const errors = [];
+
+    if (code !== undefined && code !== null) {
+        const taken = getCatalogue().find(entry => entry.kind === kind && entry.key !== key &&
+            (entry.code || '').toUpperCase() === code.toString().trim().toUpperCase());
+        if (taken) {
+            errors.push(`code ${code} is already used by ${taken.key}`);
+        }
+    }
+
+    if (labels !== undefined) {
+        if (typeof labels !== 'object' || labels === null || Array.isArray(labels) ||
+            Object.values(labels).some(label => typeof label !== 'string' || !label.trim())) {
+            errors.push('labels must be an object of locale to non-empty label');
+        }
+    }
+
+    if (sortOrder !== undefined && !Number.isFinite(sortOrder)) {
+        errors.push('sortOrder must be a number');
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        errors.push('isActive must be true or false');
+    }
+
+    if (score !== undefined && !isNonNegativeNumber(score)) {
+        errors.push('score must be a non-negative number');
+    }
+
+    return errors;
+};
+
+/**
+ * Save a score for a catalogue entry as a new priority policy version
+ */
+const saveScore = (kind, key, score, user) => updatePriorityPolicy({
+    [SCORE_TABLES[kind]]: { [key]: score },
+    notes: `Catalogue: score of ${kind} "${key}" set to ${score}`
+}, user);
+
+/**
+ * Add an aid type or vulnerability category
+ * @param {string} kind - CATALOGUE_KINDS value
+ * @param {Object} fields - { key, labels, code, sortOrder, score }
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} { entry, policy } (policy is set when a score was saved)
+ */
+const createEntry = async (kind, { key, labels, code, sortOrder, score }, user) => {
+    const errors = validateEntryFields({ labels, code, sortOrder, score }, kind);
+    if (!key) {
+        errors.unshift('key is required');
+    }
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join(', '));
+    }
+
+    let entry;
+    try {
+        entry = await CatalogueEntry.create({
+            kind,
+            key,
+            labels: normalizeLabels(labels),
+            code: code || null,
+            sortOrder: sortOrder !== undefined ? sortOrder : getCatalogue().filter(e => e.kind === kind).length,
+            createdBy: user ? user._id : null
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new HttpError(409, `${kind} "${key}" already exists`);
+        }
+        throw error;
+    }
+
+    await refreshCatalogue();
+
+    const policy = score !== undefined ? (await saveScore(kind, entry.key, score, user)).policy : null;
+
+    return { entry: entry.toCatalogueObject(), policy };
+};
+
+/**
+ * Update an entry's labels, code, order, active flag or score
+ * @param {string} kind - CATALOGUE_KINDS value
+ * @param {string} key - Entry key
+ * @param {Object} changes - { labels, code, sortOrder, isActive, score }
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} { entry, policy } (policy is set when a score was saved)
+ */
+const updateEntry = async (kind, key, changes, user) => {
+    const errors = validateEntryFields(changes, kind, key);
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join(', '));
+    }
+
+    const entry = await CatalogueEntry.findOne({ kind, key });
+    if (!entry) {
+        throw new HttpError(404, `${kind} "${key}" not found`);
+    }
+
+    const { labels, code, sortOrder, isActive, score } = changes;
+    if (labels !== undefined) {
+        Object.entries(normalizeLabels(labels)).forEach(([locale, label]) => entry.labels.set(locale, label));
+    }
+    if (code !== undefined) entry.code = code || null;
+    if (sortOrder !== undefined) entry.sortOrder = sortOrder;
+    if (isActive !== undefined) entry.isActive = isActive;
+
+    await entry.save();
+    await refreshCatalogue();
+
+    const policy = score !== undefined ? (await saveScore(kind, key, score, user)).policy : null;
+
+    return { entry: entry.toCatalogueObject(), policy };
+};
+
+module.exports = {
+    SCORE_TABLES,
+    loadCatalogue,
+    refreshCatalogue,
+    createEntry,
+    updateEntry
+};
@@ -0,0 +1,234 @@
+const ReliefRequest = require('../models/ReliefRequest');
+const { transitionStatus } = require('./requestStatus.service');
+const { OPEN_STATUSES } = require('../utils/requestStateMachine');
+const { nameSimilarity, normalizePhone } = require('../utils/stringSimilarity');
+const { EARTH_RADIUS_KM, hasCoordinates, haversineDistance, normalizeDistrict } = require('../utils/dispatchCalculator');
+const { readNumber } = require('../utils/env');
+const HttpError = require('../utils/httpError');
+
+// Duplicate detection tuning (configurable through environment variables)
+const DUPLICATE_CONFIG = {
+    // Requests scoring at least this (0-1) against an open request are flagged
+    SCORE_THRESHOLD: readNumber('DUPLICATE_SCORE_THRESHOLD', 0.6),
+    // Open requests closer than this count as the same place
+    GEO_RADIUS_METERS: readNumber('DUPLICATE_GEO_RADIUS_METERS', 500),
+    // Names at least this similar (0-1) count as the same person
+    NAME_SIMILARITY: readNumber('DUPLICATE_NAME_SIMILARITY', 0.85),
+    // Max requests per user per aid type within the window (0 = no limit)
+    RATE_LIMIT_PER_AID_TYPE: readNumber('REQUEST_RATE_LIMIT_PER_AID_TYPE', 0),
+    RATE_LIMIT_WINDOW_MINUTES: readNumber('REQUEST_RATE_LIMIT_WINDOW_MINUTES', 24 * 60)
+};
+
+// How much each matching signal contributes to the duplicate score
+const SIGNAL_WEIGHTS = {
+    samePhone: 0.4,
+    sameRequester: 0.3,
+    similarName: 0.3,
+    sameDistrict: 0.1,
+    sameAidType: 0.1,
+    nearby: 0.2
+};
+
+/**
+ * Score how likely an existing open request duplicates a new one
+ * @param {Object} candidate - New request
+ * @param {Object} existing - Open request
+ * @returns {Object} { score (0-1), reasons }
+ */
+const scoreDuplicate = (candidate, existing) => {
+    const reasons = [];
+    let score = 0;
+
+    // Unsaved requests (e.g. earlier rows of a dry-run import) have no normalized phone yet
+    const phone = normalizePhone(candidate.contactPhone);
+    const existingPhone = existing.contactPhoneNormalized ?? normalizePhone(existing.contactPhone);
+    if (phone && phone === existingPhone) {
+        score += SIGNAL_WEIGHTS.samePhone;
+        reasons.push('same contact phone');
+    }
+
+    // Imports all carry the importing admin, which says nothing about who asked
+    if (candidate.requestedBy && existing.requestedBy && candidate.channel !== 'import' &&
+        candidate.requestedBy.toString() === existing.requestedBy.toString()) {
+        score += SIGNAL_WEIGHTS.sameRequester;
+        reasons.push('same requester');
+    }
+
+    const similarity = nameSimilarity(candidate.name, existing.name);
+    if (similarity >= DUPLICATE_CONFIG.NAME_SIMILARITY) {
+        score += SIGNAL_WEIGHTS.similarName * similarity;
+        reasons.push(`similar name (${Math.round(similarity * 100)}%)`);
+    }
+
+    if (normalizeDistrict(candidate.location.district) === normalizeDistrict(existing.location.district)) {
+        score += SIGNAL_WEIGHTS.sameDistrict;
+        reasons.push('same district');
+    }
+
+    if (candidate.aidType === existing.aidType) {
+        score += SIGNAL_WEIGHTS.sameAidType;
+        reasons.push('same aid type');
+    }
+
+    if (hasCoordinates(candidate.location) && hasCoordinates(existing.location)) {
+        const distanceMeters = haversineDistance(candidate.location, existing.location) * 1000;
+        if (distanceMeters <= DUPLICATE_CONFIG.GEO_RADIUS_METERS) {
+            score += SIGNAL_WEIGHTS.nearby;
+            reasons.push(`${Math.round(distanceMeters)}m apart`);
+        }
+    }
+
+    return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+};
+
+/**
+ * Find open requests that are likely duplicates of a new request
+ * @param {Object} candidate - New request (document or plain object)
+ * @param {Object} [options]
+ * @param {Object[]} [options.unsaved] - Requests not saved yet to compare against as well
+ * @returns {Promise<Object[]>} [{ request, score, reasons }] above the threshold, best first
+ */
+const findLikelyDuplicates = async (candidate, { unsaved = [] } = {}) => {
+    const or = [{ 'location.district': candidate.location.district, aidType: candidate.aidType }];
+    if (candidate.channel !== 'import') {
+        or.push({ requestedBy: candidate.requestedBy });
+    }
+
+    const phone = normalizePhone(candidate.contactPhone);
+    if (phone) {
+        or.push({ contactPhoneNormalized: phone });
+    }
+
+    if (hasCoordinates(candidate.location)) {
+        or.push({
+            'location.geo': {
+                $geoWithin: {
+                    $centerSphere: [
+                        [candidate.location.longitude, candidate.location.latitude],
+                        DUPLICATE_CONFIG.GEO_RADIUS_METERS / 1000 / EARTH_RADIUS_KM
+                    ]
+                }
+            }
+        });
+    }
+
+    const openRequests = await ReliefRequest.find({
+        _id: { $ne: candidate._id },
+        status: { $in: OPEN_STATUSES },
+        $or: or
+    })
+        .collation({ locale: 'en', strength: 2 })
+        .limit(200)
+        .lean();
+
+    return [...openRequests, ...unsaved.filter(request => request !== candidate)]
+        .map(existing => ({ request: existing, ...scoreDuplicate(candidate, existing) }))
+        .filter(match => match.score >= DUPLICATE_CONFIG.SCORE_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Reject a submission when the user exceeded the per-aid-type rate limit
+ * @param {Object} user - Submitting user
+ * @param {string} aidType - Aid type being requested
+ * @throws {HttpError} 429 when over the limit
+ */
+const enforceRateLimit = async (user, aidType) => {
+    const limit = DUPLICATE_CONFIG.RATE_LIMIT_PER_AID_TYPE;
+    if (!limit || user.role === 'admin') return;
+
+    const since = new Date(Date.now() - DUPLICATE_CONFIG.RATE_LIMIT_WINDOW_MINUTES * 60000);
+    const recent = await ReliefRequest.countDocuments({
+        requestedBy: user._id,
+        $or: [{ aidType }, { 'items.aidType': aidType }],
+        createdAt: { $gte: since }
+    });
+
+    if (recent >= limit) {
+        throw new HttpError(429, `You can submit at most ${limit} ${aidType} request(s) every ` +
+            `${DUPLICATE_CONFIG.RATE_LIMIT_WINDOW_MINUTES} minutes`);
+    }
+};
+
+/**
+ * Merge a flagged request into the request it duplicates (admin approval):
+ * the duplicate becomes REJECTED_DUPLICATE and leaves the queue, the primary
+ * keeps a reference and picks up any contact details it was missing
+ * @param {Object} duplicate - ReliefRequest document to reject
+ * @param {Object} primary - ReliefRequest document to keep
+ * @param {Object} admin - Approving admin
+ * @returns {Promise<Object>} { duplicate, primary, previousStatus } (the duplicate's status before the merge)
+ * @throws {HttpError} 409 unless the duplicate is a flagged, pending request
+ */
+const mergeDuplicate = async (duplicate, primary, admin) => {
+    if (duplicate._id.equals(primary._id)) {
+        throw new HttpError(400, 'A request cannot be merged into itself');
+    }
+
+    const checkStatus = duplicate.duplicateCheck && duplicate.duplicateCheck.status;
+    if (checkStatus !== 'FLAGGED') {
+        throw new HttpError(409, `Only flagged requests can be merged (duplicate check: ${checkStatus || 'none'})`);
+    }
+
+    // Assigned requests may already hold stock and a volunteer; cancel those instead
+    const previousStatus = duplicate.status;
+    if (previousStatus !== 'PENDING') {
+        throw new HttpError(409, `Only pending requests can be merged (current: ${previousStatus})`);
+    }
+
+    if (!OPEN_STATUSES.includes(primary.status)) {
+        throw new HttpError(409, `Cannot merge into a request that is ${primary.status}`);
+    }
+
+    duplicate.duplicateOf = primary._id;
+    duplicate.duplicateCheck.status = 'MERGED';
+    duplicate.duplicateCheck.reviewedBy = admin._id;
+    duplicate.duplicateCheck.reviewedAt = new Date();
+
+    await transitionStatus(duplicate, 'REJECTED_DUPLICATE', {
+        user: admin,
+        reason: `Merged into request ${primary._id}`
+    });
+
+    primary.mergedRequests.addToSet(duplicate._id);
+    if (!primary.contactPhone && duplicate.contactPhone) {
+        primary.contactPhone = duplicate.contactPhone;
+    }
+    if (duplicate.description && !(primary.description || '').includes(duplicate.description)) {
+        primary.description = [primary.description, duplicate.description]
+            .filter(Boolean)
+            .join('\n')
+            .slice(0, 500);
+    }
+    await primary.save();
+
+    return { duplicate, primary, previousStatus };
+};
+
+/**
+ * Clear a duplicate flag after admin review
+ * @param {Object} request - ReliefRequest document
+ * @param {Object} admin - Reviewing admin
+ * @throws {HttpError} 409 when the request is not flagged
+ */
+const dismissDuplicateFlag = async (request, admin) => {
+    const status = request.duplicateCheck && request.duplicateCheck.status;
+    if (status !== 'FLAGGED') {
+        throw new HttpError(409, `Only flagged requests can be dismissed (duplicate check: ${status || 'none'})`);
+    }
+
+    request.duplicateCheck.status = 'DISMISSED';
+    request.duplicateCheck.reviewedBy = admin._id;
+    request.duplicateCheck.reviewedAt = new Date();
+    await request.save();
+    return request;
+};
+
+module.exports = {
+    DUPLICATE_CONFIG,
+    scoreDuplicate,
+    findLikelyDuplicates,
+    enforceRateLimit,
+    mergeDuplicate,
+    dismissDuplicateFlag
+};
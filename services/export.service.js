@@ -0,0 +1,211 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ReliefRequest = require('../models/ReliefRequest');
+const { buildRequestSearch, parseList } = require('../utils/requestFilters');
+const { toCsvRow } = require('../utils/csv');
+const HttpError = require('../utils/httpError');
+
+// Datasets that can be exported: which requests they include on top of the filters
+const EXPORT_DATASETS = {
+    requests: {},
+    deliveries: { status: { $in: ['DELIVERED', 'VERIFIED'] } }
+};
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+// What each redaction option removes, for sharing with external partners
+const REDACTION_OPTIONS = {
+    names: 'requester and household member names',
+    contacts: 'phone numbers',
+    address: 'street addresses',
+    notes: 'free-text descriptions',
+    coordinates: 'exact coordinates (rounded to about 1 km)'
+};
+
+const CSV_COLUMNS = [
+    'id', 'trackingCode', 'status', 'channel', 'createdAt', 'district', 'address', 'latitude', 'longitude',
+    'name', 'contactPhone', 'aidType', 'items', 'requestedQuantity', 'fulfilledQuantity',
+    'vulnerabilityCategory', 'headcount', 'members', 'priorityScore', 'assignedTo', 'assignedAt',
+    'deliveredAt', 'description'
+];
+
+// Two decimal places is roughly 1 km: enough to map, not enough to find a house
+const roundCoordinate = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+/**
+ * Read the format and redaction options of an export
+ * @param {Object} query - { format, redact }
+ * @returns {Object} { format, redact } where redact is a Set of REDACTION_OPTIONS keys
+ */
+const parseExportOptions = (query) => {
+    const format = (query.format || 'csv').toString().toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        throw new HttpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    let redact = parseList(query.redact) || [];
+    if (redact.includes('all')) {
+        redact = Object.keys(REDACTION_OPTIONS);
+    }
+
+    const unknown = redact.filter(option => !REDACTION_OPTIONS[option]);
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Unknown redaction option: ${unknown.join(', ')}. ` +
+            `Use all or any of: ${Object.keys(REDACTION_OPTIONS).join(', ')}`);
+    }
+
+    return { format, redact: new Set(redact) };
+};
+
+/**
+ * Flatten a request into an export record, leaving out redacted fields
+ * @param {Object} request - Lean ReliefRequest
+ * @param {Set} redact - REDACTION_OPTIONS keys to apply
+ * @returns {Object} Record
+ */
+const toExportRecord = (request, redact) => {
+    const location = request.location || {};
+    const items = (request.items || []).map(({ aidType, quantity, fulfilledQuantity }) => ({
+        aidType,
+        quantity,
+        fulfilledQuantity: fulfilledQuantity || 0
+    }));
+    const coordinate = redact.has('coordinates') ? roundCoordinate : (value) => (typeof value === 'number' ? value : null);
+
+    return {
+        id: request._id.toString(),
+        trackingCode: request.trackingCode || null,
+        status: request.status,
+        channel: request.channel,
+        createdAt: request.createdAt,
+        district: location.district,
+        address: redact.has('address') ? null : location.address || null,
+        latitude: coordinate(location.latitude),
+        longitude: coordinate(location.longitude),
+        name: redact.has('names') ? null : request.name,
+        contactPhone: redact.has('contacts') ? null : request.contactPhone || null,
+        aidType: request.aidType,
+        items,
+        requestedQuantity: items.reduce((total, item) => total + item.quantity, 0),
+        fulfilledQuantity: items.reduce((total, item) => total + item.fulfilledQuantity, 0),
+        vulnerabilityCategory: request.vulnerabilityCategory,
+        headcount: request.headcount,
+        members: (request.members || []).map(({ name, vulnerabilityCategory, age }) => ({
+            name: redact.has('names') ? null : name || null,
+            vulnerabilityCategory,
+            age: age === undefined ? null : age
+        })),
+        priorityScore: request.priorityScore,
+        assignedTo: request.assignedTo ? request.assignedTo.toString() : null,
+        assignedAt: request.assignedAt || null,
+        deliveredAt: request.deliveredAt || null,
+        description: redact.has('notes') ? null : request.description || null
+    };
+};
+
+// CSV has no nesting: items as "aidType:fulfilled/quantity", members as "category (age)"
+const toCsvValues = (record) => CSV_COLUMNS.map((column) => {
+    switch (column) {
+    case 'items':
+        return record.items.map(item => `${item.aidType}:${item.fulfilledQuantity}/${item.quantity}`).join('; ');
+    case 'members':
+        return record.members
+            .map(member => [member.name, member.vulnerabilityCategory, member.age !== null ? `(${member.age})` : '']
+                .filter(Boolean).join(' '))
+            .join('; ');
+    default:
+        return record[column];
+    }
+});
+
+const toGeoJsonFeature = (record) => {
+    const { latitude, longitude, ...properties } = record;
+
+    return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+    };
+};
+
+/**
+ * Chunks of an export, one request at a time
+ */
+async function* generateExport(cursor, format, redact) {
+    if (format === 'csv') {
+        yield toCsvRow(CSV_COLUMNS);
+    } else if (format === 'geojson') {
+        yield '{"type":"FeatureCollection","features":[\n';
+    }
+
+    let features = 0;
+    for await (const request of cursor) {
+        const record = toExportRecord(request, redact);
+
+        if (format === 'csv') {
+            yield toCsvRow(toCsvValues(record));
+        } else if (format === 'jsonl') {
+            yield `${JSON.stringify(record)}\n`;
+        } else if (record.latitude !== null && record.longitude !== null) {
+            // GeoJSON only holds requests that can be placed on a map
+            yield `${features > 0 ? ',\n' : ''}${JSON.stringify(toGeoJsonFeature(record))}`;
+            features++;
+        }
+    }
+
+    if (format === 'geojson') {
+        yield '\n]}\n';
+    }
+}
+
+/**
+ * Stream an export of requests to an HTTP response. Takes the filters of
+ * GET /api/requests (limit and cursor aside), plus format and redact.
+ * @param {Object} res - Express response
+ * @param {string} dataset - EXPORT_DATASETS key
+ * @param {Object} query - Filters, format ('csv', 'jsonl' or 'geojson') and redact (comma-separated or 'all')
+ */
+const streamRequestExport = async (res, dataset, query) => {
+    if (!EXPORT_DATASETS[dataset]) {
+        throw new HttpError(404, `Unknown export. Use one of: ${Object.keys(EXPORT_DATASETS).join(', ')}`);
+    }
+
+    const { format, redact } = parseExportOptions(query);
+    const { filter, sortSpec, errors } = buildRequestSearch({ ...query, limit: undefined, cursor: undefined });
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join(', '));
+    }
+
+    const cursor = ReliefRequest.find({ ...filter, ...EXPORT_DATASETS[dataset] })
+        .sort(sortSpec)
+        .lean()
+        .cursor();
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `${dataset}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+        // Backpressure comes from the response; a client that disconnects stops the query
+        await pipeline(Readable.from(generateExport(cursor, format, redact)), res);
+    } finally {
+        await cursor.close().catch(() => {});
+    }
+};
+
+module.exports = {
+    EXPORT_DATASETS,
+    EXPORT_FORMATS,
+    REDACTION_OPTIONS,
+    CSV_COLUMNS,
+    parseExportOptions,
+    toExportRecord,
+    toCsvValues,
+    streamRequestExport
+};
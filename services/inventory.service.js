@@ -0,0 +1,246 @@
+const Warehouse = require('../models/Warehouse');
+const StockItem = require('../models/StockItem');
+const { getAidRequirements } = require('../utils/aidRequirements');
+const { normalizeDistrict } = require('../utils/dispatchCalculator');
+const HttpError = require('../utils/httpError');
+
+/**
+ * What dequeue does with requests whose aid type is out of stock in their region:
+ * 'skip' passes over them, 'refuse' rejects the dequeue, 'off' ignores stock
+ */
+const STOCK_ENFORCEMENT = ['skip', 'refuse', 'off'].includes(process.env.STOCK_ENFORCEMENT)
+    ? process.env.STOCK_ENFORCEMENT
+    : 'skip';
+
+// Escape a string for use inside a regular expression
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Available stock per district and aid type.
+ * Districts without an active warehouse are absent: their stock is not tracked.
+ * @returns {Promise<Map<string, Map<string, number>>>} districtKey -> aidType -> available units
+ */
+const getStockAvailability = async () => {
+    const warehouses = await Warehouse.find({ isActive: true }).select('_id district').lean();
+    const availability = new Map();
+
+    if (warehouses.length === 0) {
+        return availability;
+    }
+
+    const warehouseDistricts = new Map();
+    warehouses.forEach((warehouse) => {
+        const districtKey = normalizeDistrict(warehouse.district);
+        warehouseDistricts.set(warehouse._id.toString(), districtKey);
+        if (!availability.has(districtKey)) {
+            availability.set(districtKey, new Map());
+        }
+    });
+
+    const items = await StockItem.find({ warehouse: { $in: warehouses.map(w => w._id) } }).lean();
+    items.forEach((item) => {
+        const byAidType = availability.get(warehouseDistricts.get(item.warehouse.toString()));
+        const available = Math.max(0, item.quantity - item.reserved);
+        byAidType.set(item.aidType, (byAidType.get(item.aidType) || 0) + available);
+    });
+
+    return availability;
+};
+
+/**
+ * Check whether a request's region has enough stock for it
+ * @param {Object} request - Relief request
+ * @param {Map} availability - Result of getStockAvailability()
+ * @returns {boolean} true when in stock or when the region is not tracked
+ */
+const hasStockFor = (request, availability) => {
+    const byAidType = availability.get(normalizeDistrict(request.location && request.location.district));
+
+    if (!byAidType) {
+        return true;
+    }
+
+    return getAidRequirements(request)
+        .every(({ aidType, quantity }) => (byAidType.get(aidType) || 0) >= quantity);
+};
+
+/**
+ * Build a predicate telling whether dequeue may hand out a request
+ * @returns {Promise<Function|null>} Predicate, or null when stock is not enforced anywhere
+ */
+const buildStockFilter = async () => {
+    if (STOCK_ENFORCEMENT === 'off') {
+        return null;
+    }
+
+    const availability = await getStockAvailability();
+    if (availability.size === 0) {
+        return null;
+    }
+
+    return (request) => hasStockFor(request, availability);
+};
+
+/**
+ * Take units off a stock item's quantity and reservations, never below zero
+ */
+const decrementStock = (stockItem, { quantity = 0, reserved = 0 }) => StockItem.updateOne(
+    { _id: stockItem },
+    [{
+        $set: {
+            quantity: { $max: [0, { $subtract: ['$quantity', quantity] }] },
+            reserved: { $max: [0, { $subtract: ['$reserved', reserved] }] }
+        }
+    }]
+);
+
+/**
+ * Return reserved units to the warehouses
+ */
+const undoReservations = async (reservations) => {
+    await Promise.all(reservations.map(reservation =>
+        decrementStock(reservation.stockItem, { reserved: reservation.quantity })
+    ));
+};
+
+/**
+ * Reserve stock for a request in its region's warehouses.
+ * Adds to request.stockReservations, keeping the consumed ones of earlier trips
+ * (caller saves, and undoes the reservations with undoReservations if the save
+ * fails). No-op when the region is not tracked.
+ * @param {Object} request - ReliefRequest document
+ * @returns {Promise<Object[]>} Reservations made
+ * @throws {HttpError} 409 when an aid type is out of stock
+ */
+const reserveStock = async (request) => {
+    if (STOCK_ENFORCEMENT === 'off') {
+        return [];
+    }
+
+    const warehouses = await Warehouse.find({
+        isActive: true,
+        district: new RegExp(`^${escapeRegExp(request.location.district.trim())}$`, 'i')
+    }).select('_id').lean();
+
+    if (warehouses.length === 0) {
+        return [];
+    }
+
+    const reservations = [];
+
+    for (const { aidType, quantity } of getAidRequirements(request)) {
+        // Atomically reserve from a warehouse that still has enough available
+        const item = await StockItem.findOneAndUpdate(
+            {
+                warehouse: { $in: warehouses.map(w => w._id) },
+                aidType,
+                $expr: { $gte: [{ $subtract: ['$quantity', '$reserved'] }, quantity] }
+            },
+            { $inc: { reserved: quantity } },
+            { new: true, sort: { quantity: -1 } }
+        );
+
+        if (!item) {
+            await undoReservations(reservations);
+            throw new HttpError(409, `${aidType} is out of stock in ${request.location.district}`);
+        }
+
+        reservations.push({ stockItem: item._id, warehouse: item.warehouse, aidType, quantity });
+    }
+
+    request.stockReservations.push(...reservations);
+    return reservations;
+};
+
+/**
+ * Take consumed units out of the warehouses (quantity and reservation alike)
+ * @param {Object[]} consumptions - [{ stockItem, quantity }] from consumeStock or consumePartialStock
+ */
+const takeConsumedStock = async (consumptions) => {
+    await Promise.all(consumptions.map(({ stockItem, quantity }) =>
+        decrementStock(stockItem, { quantity, reserved: quantity })
+    ));
+};
+
+/**
+ * Mark a delivered request's reservations consumed. The warehouses are not
+ * touched: the caller saves, then applies the result with takeConsumedStock.
+ * @param {Object} request - ReliefRequest document
+ * @returns {Object[]} Consumptions [{ stockItem, quantity }]
+ */
+const consumeStock = (request) => {
+    const consumptions = [];
+
+    for (const reservation of request.stockReservations) {
+        if (reservation.consumedAt) continue;
+
+        consumptions.push({ stockItem: reservation.stockItem, quantity: reservation.quantity });
+        reservation.consumedAt = new Date();
+    }
+
+    return consumptions;
+};
+
+/**
+ * Mark part of the reserved stock consumed after a partial delivery. Delivered
+ * units are split off their reservation; the rest stays reserved. The caller
+ * saves, then applies the result with takeConsumedStock.
+ * @param {Object} request - ReliefRequest document
+ * @param {Map<string, number>} delivered - aidType -> units delivered
+ * @returns {Object[]} Consumptions [{ stockItem, quantity }]
+ */
+const consumePartialStock = (request, delivered) => {
+    const remaining = new Map(delivered);
+    const consumed = [];
+    const consumptions = [];
+
+    for (const reservation of request.stockReservations) {
+        const units = Math.min(remaining.get(reservation.aidType) || 0, reservation.quantity);
+        if (reservation.consumedAt || units <= 0) continue;
+
+        consumptions.push({ stockItem: reservation.stockItem, quantity: units });
+        remaining.set(reservation.aidType, remaining.get(reservation.aidType) - units);
+
+        if (units === reservation.quantity) {
+            reservation.consumedAt = new Date();
+        } else {
+            reservation.quantity -= units;
+            consumed.push({
+                stockItem: reservation.stockItem,
+                warehouse: reservation.warehouse,
+                aidType: reservation.aidType,
+                quantity: units,
+                consumedAt: new Date()
+            });
+        }
+    }
+
+    request.stockReservations.push(...consumed);
+    return consumptions;
+};
+
+/**
+ * Detach a request's open reservations. The warehouses are not touched: the
+ * caller saves, then gives the stock back with undoReservations.
+ * @param {Object} request - ReliefRequest document
+ * @returns {Object[]} Released reservations
+ */
+const releaseStock = (request) => {
+    const open = request.stockReservations.filter(reservation => !reservation.consumedAt);
+
+    request.stockReservations = request.stockReservations.filter(reservation => reservation.consumedAt);
+    return open;
+};
+
+module.exports = {
+    STOCK_ENFORCEMENT,
+    getStockAvailability,
+    hasStockFor,
+    buildStockFilter,
+    reserveStock,
+    undoReservations,
+    consumeStock,
+    consumePartialStock,
+    takeConsumedStock,
+    releaseStock
+};
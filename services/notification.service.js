@@ -0,0 +1,207 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getTransport } = require('./notificationTransport.service');
+const { isStaff } = require('./socketRooms.service');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, renderNotification } = require('../utils/notificationTemplates');
+const { getNextAttemptAt } = require('../utils/backoff');
+const { readNumber } = require('../utils/env');
+
+// A notification that failed this many times is given up on
+const NOTIFICATION_MAX_ATTEMPTS = readNumber('NOTIFICATION_MAX_ATTEMPTS', 6);
+
+// Delay before the first retry (doubles on each further failure)
+const NOTIFICATION_RETRY_BASE_SECONDS = readNumber('NOTIFICATION_RETRY_BASE_SECONDS', 30);
+
+// How often the outbox is checked for due notifications
+const NOTIFICATION_OUTBOX_INTERVAL_SECONDS = readNumber('NOTIFICATION_OUTBOX_INTERVAL_SECONDS', 30);
+
+// Notifications sent per outbox run
+const OUTBOX_BATCH_SIZE = 50;
+
+// A claimed notification not finished within this time (worker crashed) is picked up again
+const SEND_LOCK_MS = 2 * 60 * 1000;
+
+// Reference of a (possibly populated) user field
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Where a channel reaches a user, or null when it cannot
+ */
+const resolveAddress = (user, channel, request) => {
+    const preferences = user.notificationPreferences || {};
+
+    switch (channel) {
+    case 'sms':
+        return user.phone || (request && request.contactPhone) || null;
+    case 'email':
+        // Victims registered by SMS/USSD only have a placeholder address
+        return user.registeredVia === 'app' ? user.email : null;
+    case 'push':
+        return preferences.pushSubscription || null;
+    case 'webhook':
+        // Only staff may have the server call a URL of their choosing
+        return isStaff(user) ? preferences.webhookUrl || null : null;
+    default:
+        return null;
+    }
+};
+
+let outboxRunning = false;
+
+/**
+ * Send the notifications that are due. Each one is claimed first, so several
+ * server instances can share the outbox; failures are retried with backoff.
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const processOutbox = async () => {
+    if (outboxRunning) {
+        return { sent: 0, failed: 0 };
+    }
+    outboxRunning = true;
+
+    let sent = 0;
+    let failed = 0;
+
+    try {
+        for (let i = 0; i < OUTBOX_BATCH_SIZE; i++) {
+            const now = new Date();
+            const notification = await Notification.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'PENDING', nextAttemptAt: { $lte: now } },
+                        { status: 'SENDING', lockedUntil: { $lt: now } }
+                    ]
+                },
+                {
+                    $set: { status: 'SENDING', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+                    $inc: { attempts: 1 }
+                },
+                { new: true, sort: { nextAttemptAt: 1 } }
+            );
+
+            if (!notification) break;
+
+            try {
+                const transport = getTransport(notification.channel);
+                if (!transport) {
+                    throw new Error(`Channel ${notification.channel} is not configured`);
+                }
+
+                await transport.send(notification);
+
+                notification.status = 'SENT';
+                notification.sentAt = new Date();
+                notification.lastError = null;
+                sent++;
+            } catch (error) {
+                const givingUp = notification.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+
+                notification.status = givingUp ? 'FAILED' : 'PENDING';
+                notification.nextAttemptAt = givingUp
+                    ? notification.nextAttemptAt
+                    : getNextAttemptAt(notification.attempts, { baseMs: NOTIFICATION_RETRY_BASE_SECONDS * 1000 });
+                notification.lastError = error.message;
+                failed++;
+
+                if (givingUp) {
+                    console.error(`Notification ${notification._id} (${notification.channel}) failed ` +
+                        `after ${notification.attempts} attempts: ${error.message}`);
+                }
+            }
+
+            notification.lockedUntil = null;
+            await notification.save();
+        }
+    } finally {
+        outboxRunning = false;
+    }
+
+    return { sent, failed };
+};
+
+// Send new notifications right away instead of waiting for the next outbox run
+const kickOutbox = () => {
+    setImmediate(() => {
+        processOutbox().catch(error => console.error('Notification outbox error:', error));
+    });
+};
+
+/**
+ * Queue a notification to a user on every channel they enabled and can be reached on
+ * @param {Object} user - Recipient
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {Object} context - Template context ({ request, previousStatus, deliveryCode, reason })
+ * @param {Object} [options]
+ * @param {string[]} [options.skipChannels] - Channels not to use (e.g. the one the user is already on)
+ * @returns {Promise<Object[]>} Queued notifications
+ */
+const notifyUser = async (user, event, context, { skipChannels = [] } = {}) => {
+    const preferences = user.notificationPreferences || {};
+
+    if ((preferences.mutedEvents || []).includes(event)) {
+        return [];
+    }
+
+    const entries = NOTIFICATION_CHANNELS
+        .filter(channel => preferences[channel] && !skipChannels.includes(channel) && getTransport(channel))
+        .map(channel => ({ channel, to: resolveAddress(user, channel, context.request) }))
+        .filter(({ to }) => to)
+        .map(({ channel, to }) => ({
+            recipient: user._id,
+            request: context.request ? context.request._id : null,
+            event,
+            channel,
+            to,
+            ...renderNotification(event, channel, context)
+        }));
+
+    if (entries.length === 0) {
+        return [];
+    }
+
+    const queued = await Notification.insertMany(entries);
+    kickOutbox();
+    return queued;
+};
+
+/**
+ * Notify the requester of a relief request about an event on it. Changes the
+ * requester made themselves are not echoed back, and a new request is not
+ * confirmed on the channel it came in on. Never throws: a notification problem
+ * must not undo the change that caused it.
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {Object} request - ReliefRequest
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - User who caused the event
+ * @param {string} [options.previousStatus] - Status before a change
+ * @param {string} [options.deliveryCode] - Code the victim gives the volunteer
+ * @param {string} [options.reason] - Why the status changed
+ */
+const notifyRequestEvent = async (event, request, { actor = null, previousStatus, deliveryCode, reason } = {}) => {
+    try {
+        const requesterId = refId(request.requestedBy);
+
+        if (!requesterId || (event !== NOTIFICATION_EVENTS.NEW_REQUEST && actor && requesterId.equals(actor._id))) {
+            return;
+        }
+
+        const requester = await User.findById(requesterId);
+        if (!requester || !requester.isActive) {
+            return;
+        }
+
+        await notifyUser(requester, event, { request, previousStatus, deliveryCode, reason }, {
+            skipChannels: event === NOTIFICATION_EVENTS.NEW_REQUEST ? [request.channel] : []
+        });
+    } catch (error) {
+        console.error(`Failed to queue ${event} notification for request ${request._id}:`, error);
+    }
+};
+
+module.exports = {
+    NOTIFICATION_MAX_ATTEMPTS,
+    NOTIFICATION_OUTBOX_INTERVAL_SECONDS,
+    processOutbox,
+    notifyUser,
+    notifyRequestEvent
+};
@@ -0,0 +1,125 @@
+const { postToPublicUrl } = require('../utils/urls');
+
+// Give up on a provider call after this long
+const PROVIDER_TIMEOUT_MS = 10000;
+
+const post = async (url, { headers = {}, json, form }) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': json ? 'application/json' : 'application/x-www-form-urlencoded',
+            ...headers
+        },
+        body: json ? JSON.stringify(json) : new URLSearchParams(form),
+        signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Provider answered ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+};
+
+// SMS through the same gateway that forwards incoming messages
+const smsTransport = {
+    isEnabled: () => Boolean(process.env.SMS_OUTBOUND_URL),
+    send: (notification) => post(process.env.SMS_OUTBOUND_URL, {
+        headers: process.env.SMS_GATEWAY_TOKEN ? { 'X-Gateway-Token': process.env.SMS_GATEWAY_TOKEN } : {},
+        form: { To: notification.to, Body: notification.body }
+    })
+};
+
+// Email through an HTTP email API
+const emailTransport = {
+    isEnabled: () => Boolean(process.env.EMAIL_API_URL),
+    send: (notification) => post(process.env.EMAIL_API_URL, {
+        headers: process.env.EMAIL_API_KEY ? { Authorization: `Bearer ${process.env.EMAIL_API_KEY}` } : {},
+        json: {
+            from: process.env.EMAIL_FROM || 'no-reply@reliefchain.org',
+            to: notification.to,
+            subject: notification.subject,
+            text: notification.body
+        }
+    })
+};
+
+// Web push through a relay that holds the VAPID keys and encrypts the payload
+const pushTransport = {
+    isEnabled: () => Boolean(process.env.PUSH_RELAY_URL),
+    send: (notification) => post(process.env.PUSH_RELAY_URL, {
+        json: {
+            subscription: notification.to,
+            title: notification.subject,
+            body: notification.body
+        }
+    })
+};
+
+// The user's own webhook URL (staff only). Off unless NOTIFICATION_WEBHOOKS_ENABLED=true;
+// calls connect only to public addresses and redirects are not followed, so it can't reach internal hosts
+const webhookTransport = {
+    isEnabled: () => process.env.NOTIFICATION_WEBHOOKS_ENABLED === 'true',
+    send: async (notification) => {
+        const response = await postToPublicUrl(notification.to, {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                event: notification.event,
+                requestId: notification.request,
+                subject: notification.subject,
+                message: notification.body,
+                sentAt: new Date().toISOString()
+            }),
+            timeoutMs: PROVIDER_TIMEOUT_MS
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook answered ${response.status}: ${response.text.slice(0, 200)}`);
+        }
+    }
+};
+
+// One transport per channel: { isEnabled(), send(notification) }. send throws when
+// the provider rejects the message so the outbox retries it. The built-in ones call
+// HTTP providers configured by environment; registerTransport swaps in others.
+const transports = new Map([
+    ['sms', smsTransport],
+    ['email', emailTransport],
+    ['push', pushTransport],
+    ['webhook', webhookTransport]
+]);
+
+/**
+ * Register (or replace) the transport of a channel
+ * @param {string} channel - 'sms', 'email', 'push' or 'webhook'
+ * @param {Object} transport - { isEnabled(), send(notification) }
+ */
+const registerTransport = (channel, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('A transport needs a send(notification) function');
+    }
+    transports.set(channel, {
+        isEnabled: transport.isEnabled || (() => true),
+        send: transport.send
+    });
+};
+
+/**
+ * Get the transport of a channel when it is configured
+ * @param {string} channel - Channel name
+ * @returns {Object|null} Transport
+ */
+const getTransport = (channel) => {
+    const transport = transports.get(channel);
+    return transport && transport.isEnabled() ? transport : null;
+};
+
+/**
+ * Channels that can currently send
+ * @returns {string[]} Channel names
+ */
+const getEnabledChannels = () => [...transports.keys()].filter(channel => getTransport(channel));
+
+module.exports = {
+    registerTransport,
+    getTransport,
+    getEnabledChannels
+};
@@ -0,0 +1,169 @@
+const PriorityPolicy = require('../models/PriorityPolicy');
+const ReliefRequest = require('../models/ReliefRequest');
+const { getPriorityQueue } = require('./priorityQueue.service');
+const {
+    getActivePolicy,
+    setActivePolicy,
+    scoreRequest
+} = require('../utils/priorityCalculator');
+const HttpError = require('../utils/httpError');
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Load the latest saved policy and make it active (falls back to the default policy)
+ * @returns {Promise<Object>} Active policy
+ */
+const loadActivePolicy = async () => {
+    const latest = await PriorityPolicy.findLatest();
+
+    if (latest) {
+        setActivePolicy(latest.toPolicyObject());
+    }
+
+    return getActivePolicy();
+};
+
+/**
+ * Validate a (partial) policy update
+ * @param {Object} changes - Fields to change
+ * @returns {string[]} Validation errors
+ */
+const validatePolicyChanges = (changes) => {
+    const errors = [];
+
+    if (changes.weights !== undefined) {
+        ['vulnerability', 'medicalUrgency'].forEach((key) => {
+            if (changes.weights[key] !== undefined && !isNonNegativeNumber(changes.weights[key])) {
+                errors.push(`weights.${key} must be a non-negative number`);
+            }
+        });
+    }
+
+    ['agingRate', 'householdWeight', 'itemWeight'].forEach((key) => {
+        if (changes[key] !== undefined && !isNonNegativeNumber(changes[key])) {
+            errors.push(`${key} must be a non-negative number`);
+        }
+    });
+
+    ['vulnerabilityScores', 'medicalUrgencyScores'].forEach((table) => {
+        if (changes[table] === undefined) return;
+
+        if (typeof changes[table] !== 'object' || changes[table] === null || Array.isArray(changes[table])) {
+            errors.push(`${table} must be an object of category to score`);
+            return;
+        }
+
+        Object.entries(changes[table]).forEach(([key, score]) => {
+            if (!isNonNegativeNumber(score)) {
+                errors.push(`${table}.${key} must be a non-negative number`);
+            }
+        });
+    });
+
+    if (changes.caps !== undefined) {
+        ['vulnerabilityScore', 'medicalUrgencyScore', 'householdVulnerabilityScore'].forEach((key) => {
+            const cap = changes.caps[key];
+            if (cap !== undefined && cap !== null && !isNonNegativeNumber(cap)) {
+                errors.push(`caps.${key} must be a non-negative number or null`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Re-score every pending request (queue and database) under a policy
+ * @param {Object} policy - Plain policy object
+ * @returns {Promise<number>} Number of pending requests re-scored in the database
+ */
+const rescorePendingRequests = async (policy) => {
+    // Queue: re-score in place and rebuild the heaps
+    await getPriorityQueue().rescoreAll((request) => scoreRequest(request, policy));
+
+    // Database: persist new scores and the policy version that produced them
+    const pending = await ReliefRequest.find({ status: 'PENDING' })
+        .select('vulnerabilityCategory members aidType items createdAt')
+        .lean();
+
+    if (pending.length === 0) {
+        return 0;
+    }
+
+    await ReliefRequest.bulkWrite(pending.map((request) => ({
+        updateOne: {
+            filter: { _id: request._id },
+            update: { $set: scoreRequest(request, policy) }
+        }
+    })));
+
+    return pending.length;
+};
+
+/**
+ * Save a new policy version built from the active policy plus the given changes,
+ * activate it and re-score all pending requests
+ * @param {Object} changes - Fields to change (weights, agingRate, householdWeight, itemWeight, score tables, caps, notes)
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} { policy, rescoredCount }
+ */
+const updatePriorityPolicy = async (changes, user) => {
+    const errors = validatePolicyChanges(changes || {});
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join(', '));
+    }
+
+    const current = getActivePolicy();
+    const next = {
+        version: current.version + 1,
+        weights: { ...current.weights, ...changes.weights },
+        agingRate: changes.agingRate !== undefined ? changes.agingRate : current.agingRate,
+        householdWeight: changes.householdWeight !== undefined ? changes.householdWeight : current.householdWeight,
+        itemWeight: changes.itemWeight !== undefined ? changes.itemWeight : current.itemWeight,
+        vulnerabilityScores: { ...current.vulnerabilityScores, ...changes.vulnerabilityScores },
+        medicalUrgencyScores: { ...current.medicalUrgencyScores, ...changes.medicalUrgencyScores },
+        caps: { ...current.caps, ...changes.caps },
+        notes: changes.notes || '',
+        createdBy: user ? user._id : null
+    };
+
+    let saved;
+    try {
+        saved = await PriorityPolicy.create(next);
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new HttpError(409, 'Priority policy was changed concurrently. Please retry.');
+        }
+        throw error;
+    }
+
+    const policy = saved.toPolicyObject();
+    setActivePolicy(policy);
+
+    const rescoredCount = await rescorePendingRequests(policy);
+
+    return { policy, rescoredCount };
+};
+
+/**
+ * List saved policy versions (newest first)
+ */
+const getPolicyHistory = async () => {
+    const policies = await PriorityPolicy.find()
+        .sort({ version: -1 })
+        .populate('createdBy', 'name email');
+
+    return policies.map(policy => ({
+        ...policy.toPolicyObject(),
+        createdBy: policy.createdBy
+    }));
+};
+
+module.exports = {
+    loadActivePolicy,
+    validatePolicyChanges,
+    rescorePendingRequests,
+    updatePriorityPolicy,
+    getPolicyHistory
+};
@@ -1,17 +1,132 @@
-const { getRedisClient } = require('../config/redis');
-const { calculatePriority } = require('../utils/priorityCalculator');
+const crypto = require('crypto');
+const ReliefRequest = require('../models/ReliefRequest');
+const { getRedisClient, isRedisConnected, duplicateRedisClient } = require('../config/redis');
+const {
+    calculatePriority,
+    calculateQueueKey,
+    getActivePolicy,
+    setActivePolicy
+} = require('../utils/priorityCalculator');
+const { normalizeDistrict } = require('../utils/dispatchCalculator');
 
 const REDIS_QUEUE_KEY = 'relief:priority_queue';
 
+// District key -> display name of every persisted partition
+const REDIS_DISTRICTS_KEY = `${REDIS_QUEUE_KEY}:districts`;
+
+// 'auto' shares the queue through Redis when it is connected, 'shared' requires it,
+// 'local' keeps it in this process (single instance only)
+const QUEUE_MODE = (process.env.QUEUE_MODE || 'auto').toLowerCase();
+
+// How many recent dequeues are kept for throughput estimates
+const DEQUEUE_LOG_LIMIT = 1000;
+
+/**
+ * Refresh a queued request's displayed priority score. Aging never changes the
+ * order, so scores are only computed for the requests being read.
+ */
+const scoreOnRead = (request) => {
+    request.priorityScore = calculatePriority(
+        request.vulnerabilityScore,
+        request.medicalUrgencyScore,
+        request.createdAt
+    );
+    return request;
+};
+
+/**
+ * Set a request's ordering key (see calculateQueueKey) and its current priority.
+ * The key is not enumerable, so it stays out of API responses and Redis payloads.
+ */
+const assignQueueKey = (request) => {
+    Object.defineProperty(request, 'queueKey', {
+        value: calculateQueueKey(request.vulnerabilityScore, request.medicalUrgencyScore, request.createdAt),
+        writable: true,
+        configurable: true,
+        enumerable: false
+    });
+    return scoreOnRead(request);
+};
+
+/**
+ * Collect the top k requests of one or more heaps without visiting the rest:
+ * a frontier of candidate nodes (itself a max heap) starts at the roots, and
+ * each node taken adds its two children. O(k log(k + h)) for h heaps.
+ * @param {Array[]} heaps - Heap arrays ordered by queueKey
+ * @param {number} k - How many requests to take
+ * @returns {Object[]} Requests, highest priority first
+ */
+const takeTop = (heaps, k) => {
+    const frontier = [];
+    const higher = (a, b) => frontier[a].key > frontier[b].key;
+    const swap = (a, b) => {
+        [frontier[a], frontier[b]] = [frontier[b], frontier[a]];
+    };
+
+    const push = (heap, index) => {
+        if (index >= heap.length) return;
+
+        frontier.push({ key: heap[index].queueKey, heap, index });
+        let child = frontier.length - 1;
+        while (child > 0) {
+            const parent = Math.floor((child - 1) / 2);
+            if (!higher(child, parent)) break;
+            swap(child, parent);
+            child = parent;
+        }
+    };
+
+    const pop = () => {
+        const top = frontier[0];
+        const last = frontier.pop();
+
+        if (frontier.length > 0) {
+            frontier[0] = last;
+            let parent = 0;
+            while (true) {
+                const left = 2 * parent + 1;
+                const right = left + 1;
+                let largest = parent;
+
+                if (left < frontier.length && higher(left, largest)) largest = left;
+                if (right < frontier.length && higher(right, largest)) largest = right;
+                if (largest === parent) break;
+
+                swap(parent, largest);
+                parent = largest;
+            }
+        }
+
+        return top;
+    };
+
+    heaps.forEach(heap => push(heap, 0));
+
+    const top = [];
+    while (top.length < k && frontier.length > 0) {
+        const { heap, index } = pop();
+        top.push(heap[index]);
+        push(heap, 2 * index + 1);
+        push(heap, 2 * index + 2);
+    }
+
+    return top;
+};
+
 /**
  * Max Heap Priority Queue Implementation
- * Uses Binary Heap data structure for O(log n) insert and extract operations
- * Integrates with Redis for persistence
+ * Uses Binary Heap data structure for O(log n) insert and extract operations.
+ * Ordered by each request's time-invariant queueKey, so aging never reorders
+ * the heap and it is never rebuilt; priority scores are computed on read.
+ * Integrates with Redis for persistence: a sorted set of request IDs by ordering
+ * key (redisKey) plus a hash of their payloads (redisKey:items), written per change
  */
 class MaxHeapPriorityQueue {
-    constructor() {
+    constructor(options = {}) {
         this.heap = [];
         this.requestMap = new Map(); // For O(1) lookup by ID
+        this.redisKey = options.redisKey || REDIS_QUEUE_KEY;
+        this.persistent = options.persist !== false; // Keep a copy in Redis
     }
 
     /**
@@ -91,19 +206,13 @@ class MaxHeapPriorityQueue {
      * Time Complexity: O(log n)
      */
     insert(request) {
-        // Calculate current priority
-        request.priorityScore = calculatePriority(
-            request.vulnerabilityScore,
-            request.medicalUrgencyScore,
-            request.createdAt
-        );
+        assignQueueKey(request);
 
         this.heap.push(request);
         this.requestMap.set(request._id.toString(), this.heap.length - 1);
         this.bubbleUp(this.heap.length - 1);
 
-        // Sync with Redis
-        this.syncToRedis();
+        this.persist([request]);
 
         return request;
     }
@@ -113,7 +222,7 @@ class MaxHeapPriorityQueue {
      * Time Complexity: O(log n)
      */
     bubbleUp(index) {
-        while (this.hasParent(index) && this.parent(index).priorityScore < this.heap[index].priorityScore) {
+        while (this.hasParent(index) && this.parent(index).queueKey < this.heap[index].queueKey) {
             const parentIndex = this.getParentIndex(index);
             this.swap(parentIndex, index);
             this.updateMapIndices(parentIndex, index);
@@ -133,7 +242,7 @@ class MaxHeapPriorityQueue {
         if (this.heap.length === 1) {
             const max = this.heap.pop();
             this.requestMap.delete(max._id.toString());
-            this.syncToRedis();
+            this.unpersist([max._id]);
             return max;
         }
 
@@ -146,10 +255,39 @@ class MaxHeapPriorityQueue {
             this.sinkDown(0);
         }
 
-        this.syncToRedis();
+        this.unpersist([max._id]);
         return max;
     }
 
+    /**
+     * Extract the request with the highest custom score
+     * scoreFn(request) returns a number, or null to skip the request
+     * Time Complexity: O(n)
+     */
+    extractBest(scoreFn) {
+        let bestRequest = null;
+        let bestScore = -Infinity;
+
+        for (const request of this.heap) {
+            const score = scoreFn(scoreOnRead(request));
+
+            if (score === null || score === undefined) {
+                continue;
+            }
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestRequest = request;
+            }
+        }
+
+        if (!bestRequest) {
+            return null;
+        }
+
+        return this.removeById(bestRequest._id);
+    }
+
     /**
      * Sink down to maintain max heap property
      * Time Complexity: O(log n)
@@ -159,11 +297,11 @@ class MaxHeapPriorityQueue {
             let largerChildIndex = this.getLeftChildIndex(index);
 
             if (this.hasRightChild(index) &&
-                this.rightChild(index).priorityScore > this.leftChild(index).priorityScore) {
+                this.rightChild(index).queueKey > this.leftChild(index).queueKey) {
                 largerChildIndex = this.getRightChildIndex(index);
             }
 
-            if (this.heap[index].priorityScore >= this.heap[largerChildIndex].priorityScore) {
+            if (this.heap[index].queueKey >= this.heap[largerChildIndex].queueKey) {
                 break;
             }
 
@@ -190,7 +328,7 @@ class MaxHeapPriorityQueue {
      * Time Complexity: O(1)
      */
     peek() {
-        return this.heap.length > 0 ? this.heap[0] : null;
+        return this.heap.length > 0 ? scoreOnRead(this.heap[0]) : null;
     }
 
     /**
@@ -208,31 +346,30 @@ class MaxHeapPriorityQueue {
         return this.heap.length === 0;
     }
 
+    /**
+     * Get the k highest priority requests (highest first)
+     * Time Complexity: O(k log k)
+     */
+    getTop(k) {
+        return takeTop([this.heap], k).map(scoreOnRead);
+    }
+
     /**
      * Get all requests sorted by priority (highest first)
+     * Time Complexity: O(n log n)
      */
     getAll() {
-        // Recalculate all priorities first
-        this.recalculateAllPriorities();
-
-        // Return sorted copy
-        return [...this.heap].sort((a, b) => b.priorityScore - a.priorityScore);
+        return this.getTop(this.heap.length);
     }
 
     /**
-     * Recalculate priorities for all requests (accounts for waiting time)
+     * Re-score every request (e.g. after a priority policy change) and rebuild
+     * scoreFn(request) returns the fields to merge into the request
      */
-    recalculateAllPriorities() {
-        for (let i = 0; i < this.heap.length; i++) {
-            this.heap[i].priorityScore = calculatePriority(
-                this.heap[i].vulnerabilityScore,
-                this.heap[i].medicalUrgencyScore,
-                this.heap[i].createdAt
-            );
-        }
-
-        // Rebuild heap
+    rescoreAll(scoreFn) {
+        this.heap = this.heap.map(request => assignQueueKey({ ...request, ...scoreFn(request) }));
         this.buildHeap();
+        this.persist(this.heap);
     }
 
     /**
@@ -266,6 +403,8 @@ class MaxHeapPriorityQueue {
         const lastIndex = this.heap.length - 1;
         if (index !== lastIndex) {
             this.swap(index, lastIndex);
+            // The moved element may stay put below, so its index is updated here
+            this.requestMap.set(this.heap[index]._id.toString(), index);
         }
 
         this.heap.pop();
@@ -277,7 +416,7 @@ class MaxHeapPriorityQueue {
             this.bubbleUp(index);
         }
 
-        this.syncToRedis();
+        this.unpersist([requestId]);
         return request;
     }
 
@@ -291,99 +430,108 @@ class MaxHeapPriorityQueue {
             return null;
         }
 
-        const oldPriority = this.heap[index].priorityScore;
-        this.heap[index] = { ...this.heap[index], ...newRequest };
-        this.heap[index].priorityScore = calculatePriority(
-            this.heap[index].vulnerabilityScore,
-            this.heap[index].medicalUrgencyScore,
-            this.heap[index].createdAt
-        );
+        const oldKey = this.heap[index].queueKey;
+        const updated = assignQueueKey({ ...this.heap[index], ...newRequest });
+        this.heap[index] = updated;
 
-        // Re-heapify based on priority change
-        if (this.heap[index].priorityScore > oldPriority) {
+        // Re-heapify based on priority change (moves it away from index)
+        if (updated.queueKey > oldKey) {
             this.bubbleUp(index);
         } else {
             this.sinkDown(index);
         }
 
-        this.syncToRedis();
-        return this.heap[index];
+        this.persist([updated]);
+        return updated;
     }
 
     /**
      * Load queue from array of requests
      */
     loadFromArray(requests) {
-        this.heap = requests.map(req => ({
-            ...req,
-            priorityScore: calculatePriority(
-                req.vulnerabilityScore,
-                req.medicalUrgencyScore,
-                req.createdAt
-            )
-        }));
+        this.requestMap.clear();
+        this.heap = requests.map(req => assignQueueKey({ ...req }));
 
         this.buildHeap();
     }
 
     /**
-     * Sync current queue to Redis
+     * Redis hash holding the payload of each queued request
      */
-    async syncToRedis() {
+    get itemsKey() {
+        return `${this.redisKey}:items`;
+    }
+
+    /**
+     * Store requests in Redis, in one pipeline.
+     * Commands on the connection run in order, so callers don't wait for it.
+     */
+    async persist(requests) {
         try {
             const redis = getRedisClient();
-            if (!redis) return;
-
-            // Clear existing queue
-            await redis.del(REDIS_QUEUE_KEY);
-
-            // Add all items to sorted set
-            if (this.heap.length > 0) {
-                const items = this.heap.map(req => ({
-                    score: req.priorityScore,
-                    value: JSON.stringify({
-                        _id: req._id,
-                        name: req.name,
-                        location: req.location,
-                        aidType: req.aidType,
-                        vulnerabilityCategory: req.vulnerabilityCategory,
-                        vulnerabilityScore: req.vulnerabilityScore,
-                        medicalUrgencyScore: req.medicalUrgencyScore,
-                        priorityScore: req.priorityScore,
-                        status: req.status,
-                        createdAt: req.createdAt
-                    })
-                }));
-
-                for (const item of items) {
-                    await redis.zAdd(REDIS_QUEUE_KEY, { score: item.score, value: item.value });
-                }
+            if (!redis || !this.persistent || requests.length === 0) return;
+
+            const pipeline = redis.multi();
+            for (const request of requests) {
+                const requestId = request._id.toString();
+
+                pipeline.zAdd(this.redisKey, { score: request.queueKey, value: requestId });
+                pipeline.hSet(this.itemsKey, requestId, JSON.stringify(request));
             }
+
+            await pipeline.execAsPipeline();
         } catch (error) {
-            console.error('Redis sync error:', error);
+            console.error('Redis persist error:', error);
+        }
+    }
+
+    /**
+     * Remove requests from Redis
+     */
+    async unpersist(requestIds) {
+        try {
+            const redis = getRedisClient();
+            if (!redis || !this.persistent) return;
+
+            const ids = requestIds.map(requestId => requestId.toString());
+            await redis.multi()
+                .zRem(this.redisKey, ids)
+                .hDel(this.itemsKey, ids)
+                .execAsPipeline();
+        } catch (error) {
+            console.error('Redis persist error:', error);
         }
     }
 
     /**
      * Load queue from Redis
+     * @returns {Promise<number>} Requests loaded
      */
     async loadFromRedis() {
         try {
             const redis = getRedisClient();
-            if (!redis) return false;
+            if (!redis || !this.persistent) return 0;
 
-            const items = await redis.zRange(REDIS_QUEUE_KEY, 0, -1, { REV: true });
+            const [ids, payloads] = await Promise.all([
+                redis.zRange(this.redisKey, 0, -1),
+                redis.hGetAll(this.itemsKey)
+            ]);
 
-            if (items && items.length > 0) {
-                const requests = items.map(item => JSON.parse(item));
-                this.loadFromArray(requests);
-                return true;
+            // Members without a payload (e.g. an interrupted write) can't be restored
+            const orphans = ids.filter(requestId => !payloads[requestId]);
+            if (orphans.length > 0) {
+                await redis.zRem(this.redisKey, orphans);
             }
 
-            return false;
+            const requests = ids
+                .filter(requestId => payloads[requestId])
+                .map(requestId => JSON.parse(payloads[requestId]));
+            this.loadFromArray(requests);
+
+            return requests.length;
         } catch (error) {
             console.error('Redis load error:', error);
-            return false;
+            return 0;
         }
     }
 
@@ -396,8 +544,413 @@ class MaxHeapPriorityQueue {
 
         try {
             const redis = getRedisClient();
-            if (redis) {
-                await redis.del(REDIS_QUEUE_KEY);
+            if (redis && this.persistent) {
+                await redis.del([this.redisKey, this.itemsKey]);
+            }
+        } catch (error) {
+            console.error('Redis clear error:', error);
+        }
+    }
+}
+
+/**
+ * Partitioned Priority Queue
+ * Keeps one MaxHeapPriorityQueue per district (location.district) and
+ * offers a global view across all of them. Every method accepts an optional
+ * list of districts to scope the operation; omitting it means all districts.
+ */
+class PartitionedPriorityQueue {
+    constructor(options = {}) {
+        this.persistent = options.persist !== false;
+        this.partitions = new Map(); // districtKey -> MaxHeapPriorityQueue
+        this.districtNames = new Map(); // districtKey -> display name
+        this.requestDistricts = new Map(); // requestId -> districtKey
+        this.dequeueLog = []; // Recent dequeues { at, districtKey } for throughput
+    }
+
+    /**
+     * Get the partition key for a request
+     */
+    getDistrictKey(request) {
+        return normalizeDistrict(request.location && request.location.district);
+    }
+
+    /**
+     * Get (or create) the partition for a district key
+     */
+    getOrCreatePartition(districtKey, displayName) {
+        if (!this.partitions.has(districtKey)) {
+            this.partitions.set(districtKey, new MaxHeapPriorityQueue({
+                redisKey: `${REDIS_QUEUE_KEY}:district:${districtKey}`,
+                persist: this.persistent
+            }));
+            this.districtNames.set(districtKey, (displayName || districtKey).trim());
+            this.persistDistrict(districtKey);
+        }
+        return this.partitions.get(districtKey);
+    }
+
+    /**
+     * Record a partition in Redis so it can be found again on restart
+     */
+    async persistDistrict(districtKey) {
+        try {
+            const redis = getRedisClient();
+            if (!redis || !this.persistent) return;
+
+            await redis.hSet(REDIS_DISTRICTS_KEY, districtKey, this.districtNames.get(districtKey));
+        } catch (error) {
+            console.error('Redis persist error:', error);
+        }
+    }
+
+    /**
+     * Get the partitions an operation applies to
+     * @param {string|string[]} [districts] - District name(s); all partitions when omitted
+     */
+    getPartitions(districts) {
+        if (districts === undefined || districts === null ||
+            (Array.isArray(districts) && districts.length === 0)) {
+            return [...this.partitions.values()];
+        }
+
+        const keys = new Set([].concat(districts).map(normalizeDistrict));
+        return [...keys]
+            .filter(key => this.partitions.has(key))
+            .map(key => this.partitions.get(key));
+    }
+
+    /**
+     * List districts with their current queue size
+     */
+    getDistricts() {
+        return [...this.partitions.entries()].map(([key, partition]) => ({
+            district: this.districtNames.get(key),
+            key,
+            size: partition.size()
+        }));
+    }
+
+    /**
+     * Insert a request into its district's partition
+     * Time Complexity: O(log n)
+     */
+    insert(request) {
+        const districtKey = this.getDistrictKey(request);
+        const partition = this.getOrCreatePartition(districtKey, request.location && request.location.district);
+
+        this.requestDistricts.set(request._id.toString(), districtKey);
+        return partition.insert(request);
+    }
+
+    /**
+     * Extract the highest priority request across the given districts
+     * Time Complexity: O(d + log n) for d districts
+     */
+    extractMax(districts) {
+        let best = null;
+
+        for (const partition of this.getPartitions(districts)) {
+            const top = partition.peek();
+            if (top && (!best || top.queueKey > best.peek().queueKey)) {
+                best = partition;
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        const max = best.extractMax();
+        this.requestDistricts.delete(max._id.toString());
+        this.recordDequeue(max);
+        return max;
+    }
+
+    /**
+     * Find (without removing) the request with the highest custom score
+     * scoreFn(request) returns a number, or null to skip the request
+     * Time Complexity: O(n)
+     */
+    findBest(scoreFn, districts) {
+        let bestRequest = null;
+        let bestScore = -Infinity;
+
+        for (const partition of this.getPartitions(districts)) {
+            for (const request of partition.heap) {
+                const score = scoreFn(scoreOnRead(request));
+
+                if (score !== null && score !== undefined && score > bestScore) {
+                    bestScore = score;
+                    bestRequest = request;
+                }
+            }
+        }
+
+        return bestRequest;
+    }
+
+    /**
+     * Extract the request with the highest custom score across the given districts
+     * Time Complexity: O(n)
+     */
+    extractBest(scoreFn, districts) {
+        const bestRequest = this.findBest(scoreFn, districts);
+
+        if (!bestRequest) {
+            return null;
+        }
+
+        const removed = this.removeById(bestRequest._id);
+        this.recordDequeue(removed);
+        return removed;
+    }
+
+    /**
+     * Extract several specific requests at once (e.g. a batch for one volunteer)
+     * @param {string[]} requestIds - Requests to dequeue
+     * @returns {Object[]} The requests that were still queued
+     */
+    extractMany(requestIds) {
+        const extracted = [];
+
+        for (const requestId of requestIds) {
+            const removed = this.removeById(requestId);
+            if (removed) {
+                this.recordDequeue(removed);
+                extracted.push(removed);
+            }
+        }
+
+        return extracted;
+    }
+
+    /**
+     * Remember a dequeue for throughput estimates
+     */
+    recordDequeue(request) {
+        this.dequeueLog.push({ at: Date.now(), districtKey: this.getDistrictKey(request) });
+
+        if (this.dequeueLog.length > DEQUEUE_LOG_LIMIT) {
+            this.dequeueLog.shift();
+        }
+    }
+
+    /**
+     * Dequeues per minute over a recent window
+     * @param {number} windowMinutes - Window to average over
+     * @param {string|string[]} [districts] - Restrict to these districts
+     */
+    getDequeueThroughput(windowMinutes = 60, districts) {
+        const since = Date.now() - windowMinutes * 60000;
+        const keys = districts ? new Set([].concat(districts).map(normalizeDistrict)) : null;
+
+        const count = this.dequeueLog.filter(entry =>
+            entry.at >= since && (!keys || keys.has(entry.districtKey))
+        ).length;
+
+        return count / windowMinutes;
+    }
+
+    /**
+     * Remove a specific request by ID
+     */
+    removeById(requestId) {
+        const districtKey = this.requestDistricts.get(requestId.toString());
+
+        if (districtKey === undefined) {
+            return null;
+        }
+
+        this.requestDistricts.delete(requestId.toString());
+        return this.partitions.get(districtKey).removeById(requestId);
+    }
+
+    /**
+     * Update a request's priority (moves it if its district changed)
+     */
+    updatePriority(requestId, newRequest) {
+        const districtKey = this.requestDistricts.get(requestId.toString());
+
+        if (districtKey === undefined) {
+            return null;
+        }
+
+        const partition = this.partitions.get(districtKey);
+        const current = partition.heap[partition.requestMap.get(requestId.toString())];
+        const merged = { ...current, ...newRequest };
+
+        if (this.getDistrictKey(merged) !== districtKey) {
+            this.removeById(requestId);
+            return this.insert(merged);
+        }
+
+        return partition.updatePriority(requestId, newRequest);
+    }
+
+    /**
+     * Get a queued request by ID
+     */
+    get(requestId) {
+        const districtKey = this.requestDistricts.get(requestId.toString());
+
+        if (districtKey === undefined) {
+            return null;
+        }
+
+        const partition = this.partitions.get(districtKey);
+        const request = partition.heap[partition.requestMap.get(requestId.toString())];
+        return request ? scoreOnRead(request) : null;
+    }
+
+    /**
+     * Get a request's 1-based rank among the given districts (null if not queued)
+     * Time Complexity: O(n)
+     */
+    getRank(requestId, districts) {
+        const target = this.get(requestId);
+
+        if (!target) {
+            return null;
+        }
+
+        let ahead = 0;
+        let size = 0;
+        for (const partition of this.getPartitions(districts)) {
+            for (const request of partition.heap) {
+                size++;
+                if (request.queueKey > target.queueKey) {
+                    ahead++;
+                }
+            }
+        }
+
+        return { rank: ahead + 1, size };
+    }
+
+    /**
+     * Check whether a request is queued
+     */
+    has(requestId) {
+        return this.requestDistricts.has(requestId.toString());
+    }
+
+    /**
+     * Peek at the highest priority request across the given districts
+     */
+    peek(districts) {
+        let best = null;
+
+        for (const partition of this.getPartitions(districts)) {
+            const top = partition.peek();
+            if (top && (!best || top.queueKey > best.queueKey)) {
+                best = top;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Get queue size across the given districts
+     */
+    size(districts) {
+        return this.getPartitions(districts).reduce((total, partition) => total + partition.size(), 0);
+    }
+
+    /**
+     * Check if the given districts have no pending requests
+     */
+    isEmpty(districts) {
+        return this.size(districts) === 0;
+    }
+
+    /**
+     * Get the k highest priority requests across the given districts (highest first)
+     * Time Complexity: O(k log(k + d)) for d districts
+     */
+    getTop(k, districts) {
+        const heaps = this.getPartitions(districts).map(partition => partition.heap);
+        return takeTop(heaps, k).map(scoreOnRead);
+    }
+
+    /**
+     * Get all requests across the given districts sorted by priority (highest first)
+     */
+    getAll(districts) {
+        return this.getTop(this.size(districts), districts);
+    }
+
+    /**
+     * Re-score every request in every partition
+     */
+    rescoreAll(scoreFn) {
+        for (const partition of this.partitions.values()) {
+            partition.rescoreAll(scoreFn);
+        }
+    }
+
+    /**
+     * Add an array of requests to the queue, grouping them by district
+     */
+    loadFromArray(requests) {
+        const groups = new Map();
+
+        for (const request of requests) {
+            const districtKey = this.getDistrictKey(request);
+            if (!groups.has(districtKey)) {
+                groups.set(districtKey, []);
+            }
+            groups.get(districtKey).push(request);
+            this.requestDistricts.set(request._id.toString(), districtKey);
+        }
+
+        for (const [districtKey, group] of groups) {
+            const partition = this.getOrCreatePartition(districtKey, group[0].location && group[0].location.district);
+            partition.loadFromArray([...partition.heap, ...group]);
+            partition.persist(group.map(request => partition.heap[partition.requestMap.get(request._id.toString())]));
+        }
+    }
+
+    /**
+     * Restore every persisted partition from Redis (after a restart)
+     * @returns {Promise<number>} Requests loaded
+     */
+    async loadFromRedis() {
+        try {
+            const redis = getRedisClient();
+            if (!redis || !this.persistent) return 0;
+
+            const districtNames = await redis.hGetAll(REDIS_DISTRICTS_KEY);
+            let loaded = 0;
+
+            for (const [districtKey, name] of Object.entries(districtNames)) {
+                const partition = this.getOrCreatePartition(districtKey, name);
+                loaded += await partition.loadFromRedis();
+
+                partition.heap.forEach(request => this.requestDistricts.set(request._id.toString(), districtKey));
+            }
+
+            return loaded;
+        } catch (error) {
+            console.error('Redis load error:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Clear every partition
+     */
+    async clear() {
+        await Promise.all([...this.partitions.values()].map(partition => partition.clear()));
+        this.partitions.clear();
+        this.districtNames.clear();
+        this.requestDistricts.clear();
+
+        try {
+            const redis = getRedisClient();
+            if (redis && this.persistent) {
+                await redis.del(REDIS_DISTRICTS_KEY);
             }
         } catch (error) {
             console.error('Redis clear error:', error);
@@ -405,17 +958,629 @@ class MaxHeapPriorityQueue {
     }
 }
 
-// Singleton instance
+// Shared queue layout in Redis. The {relief:queue} hash tag keeps every key in
+// one slot, so the scripts below also run on Redis Cluster.
+const SHARED_KEYS = {
+    ITEMS: '{relief:queue}:items', // requestId -> queued request (JSON)
+    INDEX: '{relief:queue}:index', // requestId -> district key
+    DISTRICTS: '{relief:queue}:districts', // district key -> display name
+    CLAIMED: '{relief:queue}:claimed', // requestId -> time (ms) until which it counts as just claimed
+    DISTRICT_PREFIX: '{relief:queue}:z:' // + district key: sorted set of request IDs by ordering key
+};
+
+// Channel instances announce queue changes on, to keep their replicas current
+const QUEUE_EVENTS_CHANNEL = 'relief:queue:events';
+
+// Times a dequeue picks again when another instance claimed its pick first
+const CLAIM_ATTEMPTS = 3;
+
+// Requests written per script call when seeding or re-scoring
+const WRITE_CHUNK_SIZE = 500;
+
+// How long a claimed request stays marked as claimed. Covers the time between the
+// claim and its status change being saved to the database.
+const CLAIM_MARKER_MS = 5 * 60 * 1000;
+
+// Which requests a write adds or moves: all of them, only those still queued
+// (re-scoring must not put back a request another instance claimed meanwhile),
+// or all but recently claimed ones (restoring from a database read that may predate a claim)
+const WRITE_MODES = {
+    ALWAYS: '0',
+    ONLY_EXISTING: '1',
+    UNLESS_CLAIMED: '2'
+};
+
+// What a script returns when a district it needs was not passed in KEYS
+// (one was added after the caller listed them); the caller lists them again
+const STALE_DISTRICTS = -1;
+
+// Every script gets KEYS = items, index, districts, claimed, then the sorted set
+// of each district, and ARGV[1] = district prefix. Scripts touch no other keys.
+const SCRIPT_PRELUDE = `
+local zsets = {}
+for i = 5, #KEYS do
+    zsets[string.sub(KEYS[i], #ARGV[1] + 1)] = KEYS[i]
+end
+`;
+
+// Add or move requests according to a WRITE_MODES value
+// ARGV: district prefix, write mode, current time (ms), then (id, district key, district name, ordering key, payload) per request
+const UPSERT_SCRIPT = `${SCRIPT_PRELUDE}
+for i = 4, #ARGV, 5 do
+    local previous = redis.call('HGET', KEYS[2], ARGV[i])
+    if not zsets[ARGV[i + 1]] or (previous and not zsets[previous]) then
+        return ${STALE_DISTRICTS}
+    end
+end
+local written = 0
+for i = 4, #ARGV, 5 do
+    local id, district = ARGV[i], ARGV[i + 1]
+    local previous = redis.call('HGET', KEYS[2], id)
+    local claimedUntil = tonumber(redis.call('ZSCORE', KEYS[4], id))
+    local allowed = ARGV[2] == '0'
+        or (ARGV[2] == '1' and previous)
+        or (ARGV[2] == '2' and (previous or not claimedUntil or claimedUntil <= tonumber(ARGV[3])))
+    if allowed then
+        if previous and previous ~= district then
+            redis.call('ZREM', zsets[previous], id)
+        end
+        redis.call('ZADD', zsets[district], ARGV[i + 3], id)
+        redis.call('HSET', KEYS[1], id, ARGV[i + 4])
+        redis.call('HSET', KEYS[2], id, district)
+        redis.call('HSETNX', KEYS[3], district, ARGV[i + 2])
+        written = written + 1
+    end
+end
+return written
+`;
+
+// Remove requests and return the payloads of those that were still queued.
+// Runs atomically, so each request is claimed by exactly one caller.
+// ARGV: district prefix, current time (ms), claimed until (ms), then request IDs
+const CLAIM_SCRIPT = `${SCRIPT_PRELUDE}
+for i = 4, #ARGV do
+    local district = redis.call('HGET', KEYS[2], ARGV[i])
+    if district and not zsets[district] then
+        return ${STALE_DISTRICTS}
+    end
+end
+redis.call('ZREMRANGEBYSCORE', KEYS[4], '-inf', ARGV[2])
+local claimed = {}
+for i = 4, #ARGV do
+    local id = ARGV[i]
+    local district = redis.call('HGET', KEYS[2], id)
+    if district then
+        redis.call('ZREM', zsets[district], id)
+        claimed[#claimed + 1] = redis.call('HGET', KEYS[1], id)
+        redis.call('HDEL', KEYS[1], id)
+        redis.call('HDEL', KEYS[2], id)
+        redis.call('ZADD', KEYS[4], ARGV[3], id)
+    end
+end
+return claimed
+`;
+
+// Pop the highest priority request across districts (all of them when none are given)
+// ARGV: district prefix, current time (ms), claimed until (ms), then district keys
+const POP_MAX_SCRIPT = `${SCRIPT_PRELUDE}
+local districts = {}
+if #ARGV > 3 then
+    for i = 4, #ARGV do districts[#districts + 1] = ARGV[i] end
+else
+    districts = redis.call('HKEYS', KEYS[3])
+end
+for _, district in ipairs(districts) do
+    if not zsets[district] then
+        return ${STALE_DISTRICTS}
+    end
+end
+local bestId, bestKey, bestDistrict
+for _, district in ipairs(districts) do
+    local top = redis.call('ZREVRANGE', zsets[district], 0, 0, 'WITHSCORES')
+    if top[1] and (not bestKey or tonumber(top[2]) > bestKey) then
+        bestId, bestKey, bestDistrict = top[1], tonumber(top[2]), district
+    end
+end
+if not bestId then
+    return false
+end
+redis.call('ZREMRANGEBYSCORE', KEYS[4], '-inf', ARGV[2])
+redis.call('ZREM', zsets[bestDistrict], bestId)
+local payload = redis.call('HGET', KEYS[1], bestId)
+redis.call('HDEL', KEYS[1], bestId)
+redis.call('HDEL', KEYS[2], bestId)
+redis.call('ZADD', KEYS[4], ARGV[3], bestId)
+return payload
+`;
+
+/**
+ * Shared Priority Queue
+ * Redis is the source of truth, so several server instances serve one queue.
+ * Each district is a sorted set scored by a time-invariant ordering key
+ * (see calculateQueueKey): requests age lazily without rewriting scores, and
+ * dequeues claim requests in Lua scripts, so no request is handed out twice.
+ * Reads are served from a local PartitionedPriorityQueue replica that every
+ * instance keeps current through pub/sub. Mutating methods are async.
+ */
+class SharedPriorityQueue {
+    constructor(client, subscriber) {
+        this.client = client;
+        this.subscriber = subscriber;
+        this.instanceId = crypto.randomUUID();
+        this.local = new PartitionedPriorityQueue({ persist: false });
+    }
+
+    /**
+     * Follow other instances' changes and load the current queue
+     */
+    async start() {
+        await this.subscriber.subscribe(QUEUE_EVENTS_CHANNEL, (message) => this.handleEvent(message));
+        await this.reload();
+    }
+
+    /**
+     * Apply a change announced by another instance to the local replica
+     */
+    handleEvent(message) {
+        let event;
+        try {
+            event = JSON.parse(message);
+        } catch (error) {
+            return;
+        }
+
+        if (event.origin === this.instanceId) {
+            return;
+        }
+
+        switch (event.op) {
+        case 'insert':
+            this.applyInsert(event.request);
+            break;
+        case 'remove':
+            for (const requestId of event.ids) {
+                const removed = this.local.removeById(requestId);
+                if (removed && event.dequeued) {
+                    this.local.recordDequeue(removed);
+                }
+            }
+            break;
+        case 'reload':
+            if (event.policy) {
+                setActivePolicy(event.policy);
+            }
+            this.reload().catch(error => console.error('Shared queue reload error:', error));
+            break;
+        default:
+            break;
+        }
+    }
+
+    /**
+     * Announce a change to the other instances
+     */
+    async publish(event) {
+        try {
+            await this.client.publish(QUEUE_EVENTS_CHANNEL, JSON.stringify({ origin: this.instanceId, ...event }));
+        } catch (error) {
+            // Replicas catch up on the next periodic reload
+            console.error('Shared queue publish error:', error);
+        }
+    }
+
+    /**
+     * Turn a stored payload back into a queued request with its current priority
+     */
+    parse(payload) {
+        return scoreOnRead(JSON.parse(payload));
+    }
+
+    /**
+     * Put a request in the local replica, replacing any earlier copy
+     */
+    applyInsert(request) {
+        this.local.removeById(request._id);
+        return this.local.insert(request);
+    }
+
+    /**
+     * Run one of the queue scripts. Every key it may touch is passed in KEYS,
+     * including the sorted set of each known district and of `districtKeys`.
+     * @param {string} script - UPSERT_SCRIPT, CLAIM_SCRIPT or POP_MAX_SCRIPT
+     * @param {string[]} args - ARGV after the district prefix
+     * @param {string[]} [districtKeys] - Districts the call adds to
+     * @returns {Promise<*>} Script result
+     */
+    async runScript(script, args, districtKeys = []) {
+        for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+            const known = await this.client.hKeys(SHARED_KEYS.DISTRICTS);
+            const zsets = [...new Set([...known, ...districtKeys])]
+                .map(districtKey => SHARED_KEYS.DISTRICT_PREFIX + districtKey);
+
+            const result = await this.client.eval(script, {
+                keys: [SHARED_KEYS.ITEMS, SHARED_KEYS.INDEX, SHARED_KEYS.DISTRICTS, SHARED_KEYS.CLAIMED, ...zsets],
+                arguments: [SHARED_KEYS.DISTRICT_PREFIX, ...args]
+            });
+
+            if (result !== STALE_DISTRICTS) {
+                return result;
+            }
+        }
+
+        throw new Error('Shared queue districts kept changing during the call');
+    }
+
+    /**
+     * Write requests to Redis
+     * @param {Object[]} requests - Queued requests
+     * @param {string} mode - WRITE_MODES value
+     * @returns {Promise<number>} Requests written
+     */
+    async write(requests, mode) {
+        let written = 0;
+
+        for (let i = 0; i < requests.length; i += WRITE_CHUNK_SIZE) {
+            const args = [mode, Date.now().toString()];
+            const districtKeys = [];
+
+            for (const request of requests.slice(i, i + WRITE_CHUNK_SIZE)) {
+                const districtKey = this.local.getDistrictKey(request);
+                const district = request.location && request.location.district;
+
+                districtKeys.push(districtKey);
+                args.push(
+                    request._id.toString(),
+                    districtKey,
+                    (district || districtKey).trim(),
+                    calculateQueueKey(request.vulnerabilityScore, request.medicalUrgencyScore, request.createdAt).toString(),
+                    JSON.stringify(request)
+                );
+            }
+
+            written += await this.runScript(UPSERT_SCRIPT, args, districtKeys);
+        }
+
+        return written;
+    }
+
+    /**
+     * Times passed to the claiming scripts: now, and until when a claim made now counts
+     */
+    claimTimes() {
+        const now = Date.now();
+        return [now.toString(), (now + CLAIM_MARKER_MS).toString()];
+    }
+
+    /**
+     * Atomically remove requests from the shared queue
+     * @returns {Promise<Object[]>} The requests this call claimed
+     */
+    async claim(requestIds) {
+        const ids = requestIds.map(requestId => requestId.toString());
+        const payloads = await this.runScript(CLAIM_SCRIPT, [...this.claimTimes(), ...ids]);
+
+        // Requests that were not claimed are gone from the shared queue as well
+        ids.forEach(requestId => this.local.removeById(requestId));
+
+        return payloads.map(payload => this.parse(payload));
+    }
+
+    /**
+     * Rebuild the local replica from Redis
+     * @returns {Promise<number>} Queue size
+     */
+    async reload() {
+        const [payloads, districtNames] = await Promise.all([
+            this.client.hGetAll(SHARED_KEYS.ITEMS),
+            this.client.hGetAll(SHARED_KEYS.DISTRICTS)
+        ]);
+
+        const replica = new PartitionedPriorityQueue({ persist: false });
+        replica.dequeueLog = this.local.dequeueLog;
+
+        for (const [districtKey, name] of Object.entries(districtNames)) {
+            replica.getOrCreatePartition(districtKey, name);
+        }
+        replica.loadFromArray(Object.values(payloads).map(payload => this.parse(payload)));
+
+        this.local = replica;
+        return replica.size();
+    }
+
+    /**
+     * Insert (or replace) a request
+     */
+    async insert(request) {
+        const queued = this.applyInsert(request);
+
+        try {
+            await this.write([queued], WRITE_MODES.ALWAYS);
+        } catch (error) {
+            this.local.removeById(queued._id);
+            throw error;
+        }
+
+        await this.publish({ op: 'insert', request: queued });
+        return queued;
+    }
+
+    /**
+     * Extract the highest priority request across the given districts
+     */
+    async extractMax(districts) {
+        const districtKeys = districts === undefined || districts === null
+            ? []
+            : [].concat(districts).map(normalizeDistrict);
+
+        const payload = await this.runScript(POP_MAX_SCRIPT, [...this.claimTimes(), ...districtKeys], districtKeys);
+
+        if (!payload) {
+            return null;
+        }
+
+        const max = this.parse(payload);
+        this.local.removeById(max._id);
+        this.local.recordDequeue(max);
+        await this.publish({ op: 'remove', ids: [max._id], dequeued: true });
+        return max;
+    }
+
+    /**
+     * Extract the request with the highest custom score, picking again when
+     * another instance claimed the pick first
+     */
+    async extractBest(scoreFn, districts) {
+        for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+            const best = this.local.findBest(scoreFn, districts);
+            if (!best) {
+                return null;
+            }
+
+            const [claimed] = await this.extractMany([best._id]);
+            if (claimed) {
+                return claimed;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract several specific requests at once
+     * @returns {Promise<Object[]>} The requests this instance claimed
+     */
+    async extractMany(requestIds) {
+        const extracted = await this.claim(requestIds);
+
+        if (extracted.length > 0) {
+            extracted.forEach(request => this.local.recordDequeue(request));
+            await this.publish({ op: 'remove', ids: extracted.map(request => request._id), dequeued: true });
+        }
+
+        return extracted;
+    }
+
+    /**
+     * Remove a specific request by ID
+     */
+    async removeById(requestId) {
+        const [removed] = await this.claim([requestId]);
+
+        if (!removed) {
+            return null;
+        }
+
+        await this.publish({ op: 'remove', ids: [removed._id], dequeued: false });
+        return removed;
+    }
+
+    /**
+     * Update a request's priority (moves it if its district changed)
+     */
+    async updatePriority(requestId, newRequest) {
+        const current = this.local.get(requestId);
+
+        if (!current) {
+            return null;
+        }
+
+        const queued = this.applyInsert({ ...current, ...newRequest });
+        if (await this.write([queued], WRITE_MODES.ONLY_EXISTING) === 0) {
+            this.local.removeById(requestId);
+            return null;
+        }
+
+        await this.publish({ op: 'insert', request: queued });
+        return queued;
+    }
+
+    /**
+     * Re-score every request under the active policy and tell the other
+     * instances to adopt it
+     */
+    async rescoreAll(scoreFn) {
+        await this.reload();
+        this.local.rescoreAll(scoreFn);
+        await this.write(this.local.getAll(), WRITE_MODES.ONLY_EXISTING);
+
+        await this.reload();
+        await this.publish({ op: 'reload', policy: getActivePolicy() });
+    }
+
+    /**
+     * Add requests to the shared queue (e.g. seeding it from the database)
+     * @param {Object[]} requests - Requests to add
+     * @param {Object} [options]
+     * @param {boolean} [options.skipClaimed] - Leave out requests claimed in the last CLAIM_MARKER_MS
+     * @returns {Promise<number>} Requests written
+     */
+    async loadFromArray(requests, { skipClaimed = false } = {}) {
+        const written = await this.write(requests, skipClaimed ? WRITE_MODES.UNLESS_CLAIMED : WRITE_MODES.ALWAYS);
+        await this.reload();
+        await this.publish({ op: 'reload' });
+        return written;
+    }
+
+    /**
+     * Clear the shared queue
+     */
+    async clear() {
+        const districtKeys = await this.client.hKeys(SHARED_KEYS.DISTRICTS);
+
+        await this.client.del([
+            SHARED_KEYS.ITEMS,
+            SHARED_KEYS.INDEX,
+            SHARED_KEYS.DISTRICTS,
+            ...districtKeys.map(districtKey => SHARED_KEYS.DISTRICT_PREFIX + districtKey)
+        ]);
+
+        await this.reload();
+        await this.publish({ op: 'reload' });
+    }
+
+    // Reads come from the local replica
+
+    getDistrictKey(request) {
+        return this.local.getDistrictKey(request);
+    }
+
+    getDistricts() {
+        return this.local.getDistricts();
+    }
+
+    findBest(scoreFn, districts) {
+        return this.local.findBest(scoreFn, districts);
+    }
+
+    getDequeueThroughput(windowMinutes, districts) {
+        return this.local.getDequeueThroughput(windowMinutes, districts);
+    }
+
+    get(requestId) {
+        return this.local.get(requestId);
+    }
+
+    getRank(requestId, districts) {
+        return this.local.getRank(requestId, districts);
+    }
+
+    has(requestId) {
+        return this.local.has(requestId);
+    }
+
+    peek(districts) {
+        return this.local.peek(districts);
+    }
+
+    size(districts) {
+        return this.local.size(districts);
+    }
+
+    isEmpty(districts) {
+        return this.local.isEmpty(districts);
+    }
+
+    getTop(k, districts) {
+        return this.local.getTop(k, districts);
+    }
+
+    getAll(districts) {
+        return this.local.getAll(districts);
+    }
+}
+
+// Singleton instance (in memory until initPriorityQueue picks the mode)
 let priorityQueueInstance = null;
 
 const getPriorityQueue = () => {
     if (!priorityQueueInstance) {
-        priorityQueueInstance = new MaxHeapPriorityQueue();
+        priorityQueueInstance = new PartitionedPriorityQueue();
+    }
+    return priorityQueueInstance;
+};
+
+/**
+ * Set up this instance's queue: shared through Redis when it is connected
+ * (unless QUEUE_MODE is 'local'), otherwise in memory. Call after connectRedis.
+ * @returns {Promise<Object>} The queue
+ */
+const initPriorityQueue = async () => {
+    const connected = isRedisConnected();
+
+    if (QUEUE_MODE === 'shared' && !connected) {
+        throw new Error('QUEUE_MODE=shared needs a Redis connection (check REDIS_URL)');
+    }
+
+    if (connected && QUEUE_MODE !== 'local') {
+        const subscriber = await duplicateRedisClient('queue events');
+        const queue = new SharedPriorityQueue(getRedisClient(), subscriber);
+
+        await queue.start();
+        priorityQueueInstance = queue;
+    } else {
+        priorityQueueInstance = new PartitionedPriorityQueue();
+        await priorityQueueInstance.loadFromRedis();
     }
+
     return priorityQueueInstance;
 };
 
+/**
+ * Bring the queue in line with the database after a restart: requests that are
+ * no longer PENDING are dropped and PENDING requests that are missing are added.
+ * The queue is read before the database, so a request queued meanwhile by another
+ * instance is already PENDING in the database and is kept. A request another
+ * instance claims in between is still PENDING in the database until its status
+ * change is saved: the shared queue skips requests claimed recently, and the
+ * database is checked again after adding, dropping any that left PENDING.
+ * @param {Object} queue - Queue set up by initPriorityQueue
+ * @returns {Promise<Object>} { restored, removed, added }
+ */
+const reconcilePriorityQueue = async (queue) => {
+    const queuedIds = new Set(queue.getAll().map(request => request._id.toString()));
+    const pending = await ReliefRequest.find({ status: 'PENDING' }).lean();
+    const pendingIds = new Set(pending.map(request => request._id.toString()));
+
+    const staleIds = [...queuedIds].filter(requestId => !pendingIds.has(requestId));
+    for (const requestId of staleIds) {
+        await queue.removeById(requestId);
+    }
+
+    const missing = pending.filter(request => !queuedIds.has(request._id.toString()));
+    let added = 0;
+    if (missing.length > 0) {
+        await queue.loadFromArray(missing, { skipClaimed: true });
+
+        const stillPending = await ReliefRequest.find({
+            _id: { $in: missing.map(request => request._id) },
+            status: 'PENDING'
+        }).select('_id').lean();
+        const stillPendingIds = new Set(stillPending.map(request => request._id.toString()));
+
+        for (const request of missing) {
+            const requestId = request._id.toString();
+            if (!stillPendingIds.has(requestId)) {
+                await queue.removeById(requestId);
+            } else if (queue.get(requestId)) {
+                added++;
+            }
+        }
+    }
+
+    return {
+        restored: queuedIds.size - staleIds.length,
+        removed: staleIds.length,
+        added
+    };
+};
+
 module.exports = {
+    CLAIM_ATTEMPTS,
     MaxHeapPriorityQueue,
-    getPriorityQueue
+    PartitionedPriorityQueue,
+    SharedPriorityQueue,
+    getPriorityQueue,
+    initPriorityQueue,
+    reconcilePriorityQueue,
+    takeTop
 };
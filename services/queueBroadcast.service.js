@@ -0,0 +1,56 @@
+const { getPriorityQueue } = require('./priorityQueue.service');
+const { normalizeDistrict } = require('../utils/dispatchCalculator');
+
+// Room that receives the queue across every district
+const GLOBAL_QUEUE_ROOM = 'queue:global';
+
+/**
+ * Socket.io room name for a district's queue
+ */
+const getDistrictRoom = (district) => `district:${normalizeDistrict(district)}`;
+
+/**
+ * Build the queue payload for a district (or the global view when omitted)
+ */
+const getQueueState = (district) => {
+    const queue = getPriorityQueue();
+    const districts = district ? [district] : undefined;
+
+    return {
+        district: district || null,
+        queue: queue.getAll(districts),
+        size: queue.size(districts)
+    };
+};
+
+/**
+ * Broadcast `queueUpdated` to the global room and to each affected district room
+ * @param {Object} io - Socket.io server
+ * @param {string|string[]} [districts] - Districts that changed; all districts when omitted
+ */
+const broadcastQueueUpdate = (io, districts) => {
+    if (!io) return;
+
+    const queue = getPriorityQueue();
+    const affected = districts
+        ? [].concat(districts).filter(Boolean)
+        : queue.getDistricts().map(entry => entry.district);
+
+    io.to(GLOBAL_QUEUE_ROOM).emit('queueUpdated', getQueueState());
+
+    const rooms = new Set();
+    for (const district of affected) {
+        const room = getDistrictRoom(district);
+        if (rooms.has(room)) continue;
+
+        rooms.add(room);
+        io.to(room).emit('queueUpdated', getQueueState(district));
+    }
+};
+
+module.exports = {
+    GLOBAL_QUEUE_ROOM,
+    getDistrictRoom,
+    getQueueState,
+    broadcastQueueUpdate
+};
@@ -0,0 +1,277 @@
+const { getPriorityQueue } = require('./priorityQueue.service');
+const { buildRequest, flagLikelyDuplicates, announceNewRequest } = require('./requestIntake.service');
+const { parseCsv, unescapeCsvValue } = require('../utils/csv');
+const HttpError = require('../utils/httpError');
+
+// Largest file accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+// Upload formats and the content types that select them when ?format= is left out
+const IMPORT_FORMATS = {
+    csv: ['text/csv'],
+    jsonl: ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines']
+};
+
+// CSV columns, matched case-insensitively; name and district are required
+const CSV_COLUMNS = [
+    'name', 'district', 'address', 'latitude', 'longitude', 'aidType', 'items',
+    'vulnerabilityCategory', 'members', 'headcount', 'description', 'contactPhone'
+];
+
+const REQUIRED_CSV_COLUMNS = ['name', 'district'];
+
+/**
+ * Work out the format of an upload from ?format= or its content type
+ * @param {string} [format] - 'csv' or 'jsonl'
+ * @param {string} [contentType] - Content-Type header
+ * @returns {string} IMPORT_FORMATS key
+ */
+const resolveImportFormat = (format, contentType = '') => {
+    if (format !== undefined) {
+        const requested = format.toString().toLowerCase();
+        if (!IMPORT_FORMATS[requested]) {
+            throw new HttpError(400, `format must be one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+        }
+        return requested;
+    }
+
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    const detected = Object.keys(IMPORT_FORMATS).find(key => IMPORT_FORMATS[key].includes(type));
+    if (!detected) {
+        throw new HttpError(400, 'Pass ?format=csv or ?format=jsonl, or send the file as text/csv or application/x-ndjson');
+    }
+    return detected;
+};
+
+// A number cell: empty is left out, anything else must be numeric
+const toNumber = (value, column) => {
+    if (value === '') return undefined;
+
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new HttpError(400, `${column} must be a number`);
+    }
+    return number;
+};
+
+const splitEntries = (value) => value.split(';').map(entry => entry.trim()).filter(Boolean);
+
+// Export format "aidType:delivered/requested" or plain "aidType:quantity" / "aidType"
+const ITEM_PATTERN = /^([^:]+?)\s*(?::\s*(?:(\d+)\s*\/\s*)?(\d+))?$/;
+
+// Export format "[name ]category[ (age)]" or "category:age"
+const MEMBER_PATTERN = /^(?:(.+?)\s+)?([^\s:()]+)\s*(?:\((\d+)\)|:\s*(\d+))?$/;
+
+// "food-water:0/2; shelter" into [{ aidType, quantity }]. Imported requests start undelivered.
+const toItems = (value) => splitEntries(value).map((entry) => {
+    const match = entry.match(ITEM_PATTERN);
+    if (!match) {
+        throw new HttpError(400, `items: "${entry}" should look like aidType:quantity`);
+    }
+
+    const [, aidType, delivered, quantity] = match;
+    if (delivered !== undefined && Number(delivered) > 0) {
+        throw new HttpError(400, `items: imported requests start undelivered, but ${aidType} has ${delivered} delivered`);
+    }
+    return quantity !== undefined ? { aidType, quantity: Number(quantity) } : { aidType };
+});
+
+// "Ram elderly (70); child (4); adult:35" into [{ name, vulnerabilityCategory, age }]
+const toMembers = (value) => splitEntries(value).map((entry) => {
+    const match = entry.match(MEMBER_PATTERN);
+    if (!match) {
+        throw new HttpError(400, `members: "${entry}" should look like "name category (age)"`);
+    }
+
+    const [, name, vulnerabilityCategory, age = match[4]] = match;
+    return {
+        ...(name ? { name } : {}),
+        vulnerabilityCategory,
+        ...(age !== undefined ? { age: Number(age) } : {})
+    };
+});
+
+/**
+ * Turn a CSV row into the body POST /api/request takes. Items and members use
+ * the formats of the CSV export ("aidType:delivered/requested", "name category (age)"),
+ * so an exported file can be imported again; "aidType:quantity" and "category:age" work too.
+ * @param {Object} record - Cells by CSV_COLUMNS name
+ * @returns {Object} Request input
+ */
+const csvRecordToInput = (record) => {
+    const text = (column) => (record[column] || '').trim();
+
+    return {
+        name: text('name'),
+        location: {
+            district: text('district'),
+            address: text('address'),
+            latitude: toNumber(text('latitude'), 'latitude'),
+            longitude: toNumber(text('longitude'), 'longitude')
+        },
+        aidType: text('aidType') || undefined,
+        items: text('items') ? toItems(text('items')) : undefined,
+        vulnerabilityCategory: text('vulnerabilityCategory') || undefined,
+        members: text('members') ? toMembers(text('members')) : undefined,
+        headcount: toNumber(text('headcount'), 'headcount'),
+        description: text('description'),
+        contactPhone: text('contactPhone')
+    };
+};
+
+/**
+ * Split an upload into numbered rows. A row's input is a function so that
+ * rows that can't be read are reported like any other invalid row.
+ * @param {string} text - File contents
+ * @param {string} format - IMPORT_FORMATS key
+ * @returns {Object[]} [{ row, read }] where row is the line (CSV: record) number
+ */
+const parseImportRows = (text, format) => {
+    if (format === 'jsonl') {
+        return text.split(/\r?\n/)
+            .map((line, index) => ({ row: index + 1, line: line.trim() }))
+            .filter(({ line }) => line !== '')
+            .map(({ row, line }) => ({
+                row,
+                read: () => {
+                    let input;
+                    try {
+                        input = JSON.parse(line);
+                    } catch (error) {
+                        throw new HttpError(400, 'Line is not valid JSON');
+                    }
+                    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+                        throw new HttpError(400, 'Line must be a JSON object');
+                    }
+                    return input;
+                }
+            }));
+    }
+
+    let records;
+    try {
+        records = parseCsv(text);
+    } catch (error) {
+        throw new HttpError(400, `Invalid CSV: ${error.message}`);
+    }
+    if (records.length === 0) {
+        return [];
+    }
+
+    // Map header cells to known columns; unknown columns are ignored
+    const header = records[0].map(cell => cell.trim().toLowerCase());
+    const columns = CSV_COLUMNS.filter(column => header.includes(column.toLowerCase()));
+    const missing = REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new HttpError(400, `CSV header is missing: ${missing.join(', ')}. Columns: ${CSV_COLUMNS.join(', ')}`);
+    }
+
+    return records.slice(1)
+        .map((cells, index) => ({ row: index + 2, cells }))
+        .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+        .map(({ row, cells }) => ({
+            row,
+            read: () => csvRecordToInput(Object.fromEntries(
+                columns.map(column => [column, unescapeCsvValue(cells[header.indexOf(column.toLowerCase())] || '')])
+            ))
+        }));
+};
+
+/**
+ * Bulk import relief requests from a CSV or JSON Lines file. Each row is validated
+ * with the rules of POST /api/request and checked for likely duplicates; rows that
+ * fail are reported and skipped, the rest are saved and added to the priority queue
+ * in one batch (a single heapify per district). Imports are attributed to the admin
+ * and are not rate-limited.
+ * @param {string} text - File contents
+ * @param {Object} user - Importing admin
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv' or 'jsonl'
+ * @param {boolean} [options.dryRun] - Only validate, saving nothing
+ * @param {Object} [options.io] - Socket.io server, to announce imported requests to staff
+ * @returns {Promise<Object>} { dryRun, total, valid, imported, flaggedDuplicates, errors, requests }
+ */
+const importReliefRequests = async (text, user, { format, dryRun = false, io = null } = {}) => {
+    if (typeof text !== 'string') {
+        throw new HttpError(400, 'Send the file as the request body, as text/csv or application/x-ndjson');
+    }
+    if (text.trim() === '') {
+        throw new HttpError(400, 'The file is empty');
+    }
+
+    const rows = parseImportRows(text, format);
+    if (rows.length === 0) {
+        throw new HttpError(400, 'The file has no rows to import');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new HttpError(400, `An import can hold at most ${MAX_IMPORT_ROWS} rows; split the file`);
+    }
+
+    const errors = [];
+    const accepted = [];
+    let flaggedDuplicates = 0;
+
+    // One row at a time, so each accepted row is a duplicate candidate for the next:
+    // saved ones are found in the database, a dry run compares against them in memory
+    for (const { row, read } of rows) {
+        try {
+            const reliefRequest = buildRequest(read(), user, 'import');
+            await reliefRequest.validate();
+
+            const duplicates = await flagLikelyDuplicates(reliefRequest, {
+                unsaved: dryRun ? accepted.map(({ request }) => request) : []
+            });
+            if (duplicates.length > 0) {
+                flaggedDuplicates++;
+            }
+
+            if (!dryRun) {
+                await reliefRequest.save();
+            }
+            accepted.push({ row, request: reliefRequest });
+        } catch (error) {
+            // Keep going on other failures too, so rows already saved still reach the queue
+            if (!error.status && error.name !== 'ValidationError') {
+                console.error(`Import row ${row} error:`, error);
+            }
+            errors.push({
+                row,
+                message: error.status || error.name === 'ValidationError' ? error.message : 'Row could not be saved'
+            });
+        }
+    }
+
+    if (!dryRun && accepted.length > 0) {
+        await getPriorityQueue().loadFromArray(accepted.map(({ request }) => request.toObject()));
+
+        // Staff and partner webhooks hear of each request (and its high priority alert) as for POST /api/request
+        for (const { request } of accepted) {
+            await announceNewRequest(io, request);
+        }
+    }
+
+    return {
+        dryRun,
+        total: rows.length,
+        valid: accepted.length,
+        imported: dryRun ? 0 : accepted.length,
+        flaggedDuplicates,
+        errors,
+        requests: accepted.map(({ row, request }) => ({
+            row,
+            _id: dryRun ? null : request._id,
+            trackingCode: dryRun ? null : request.trackingCode,
+            district: request.location.district,
+            priorityScore: request.priorityScore,
+            duplicateFlagged: Boolean(request.duplicateCheck && request.duplicateCheck.status === 'FLAGGED')
+        }))
+    };
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    IMPORT_FORMATS,
+    resolveImportFormat,
+    parseImportRows,
+    importReliefRequests
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const ReliefRequest = require('../models/ReliefRequest');
+const { getPriorityQueue } = require('./priorityQueue.service');
+const { findLikelyDuplicates, enforceRateLimit } = require('./duplicateDetection.service');
+const { notifyRequestEvent } = require('./notification.service');
+const { publishNewRequest } = require('./webhook.service');
+const { STAFF_ROOM } = require('./socketRooms.service');
+const {
+    calculateFullPriority,
+    getRequestCategories,
+    getVulnerabilityScore,
+    getMedicalUrgencyScore
+} = require('../utils/priorityCalculator');
+const { getAidTypeKeys, getVulnerabilityCategoryKeys } = require('../utils/catalogue');
+const { getKitsForHeadcount, MAX_HEADCOUNT } = require('../utils/aidRequirements');
+const { NOTIFICATION_EVENTS } = require('../utils/notificationTemplates');
+const HttpError = require('../utils/httpError');
+
+// Requests at or above this priority also raise a highPriorityAlert
+const HIGH_PRIORITY_THRESHOLD = 50;
+
+// Tracking codes avoid look-alike characters (0/O, 1/I/L) so they survive being read out or typed on a keypad
+const TRACKING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const TRACKING_CODE_LENGTH = 8;
+
+/**
+ * Generate a short, human-friendly tracking code
+ */
+const generateTrackingCode = () => Array.from(
+    { length: TRACKING_CODE_LENGTH },
+    () => TRACKING_CODE_ALPHABET[crypto.randomInt(TRACKING_CODE_ALPHABET.length)]
+).join('');
+
+/**
+ * Validate a submission and build the (unsaved) request from it
+ * @throws {HttpError} 400 on invalid input
+ */
+const buildRequest = (input, user, channel) => {
+    const {
+        name,
+        location,
+        aidType,
+        vulnerabilityCategory,
+        description,
+        contactPhone,
+        headcount
+    } = input;
+    const members = input.members || [];
+    const items = input.items || (aidType ? [{ aidType }] : []);
+
+    // Validate required fields
+    if (!name || !location?.district || !Array.isArray(items) || items.length === 0 ||
+        (!vulnerabilityCategory && members.length === 0)) {
+        throw new HttpError(400, 'Please provide name, district, aid type (or items), and vulnerability category (or household members)');
+    }
+
+    // Validate aid types
+    const aidTypes = getAidTypeKeys();
+    if (items.some(item => !item || !aidTypes.includes(item.aidType))) {
+        throw new HttpError(400, `Invalid aid type. Must be one of: ${aidTypes.join(', ')}`);
+    }
+
+    if (new Set(items.map(item => item.aidType)).size !== items.length) {
+        throw new HttpError(400, 'Each aid type can only appear once in items');
+    }
+
+    if (items.some(item => item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1))) {
+        throw new HttpError(400, 'Item quantities must be positive integers');
+    }
+
+    // Validate vulnerability category
+    const vulnerabilityCategories = getVulnerabilityCategoryKeys();
+    if (vulnerabilityCategory && !vulnerabilityCategories.includes(vulnerabilityCategory)) {
+        throw new HttpError(400, `Invalid vulnerability category. Must be one of: ${vulnerabilityCategories.join(', ')}`);
+    }
+
+    // Validate household members
+    if (!Array.isArray(members) ||
+        members.some(member => !member || !vulnerabilityCategories.includes(member.vulnerabilityCategory))) {
+        throw new HttpError(400, `Each household member needs a vulnerability category: ${vulnerabilityCategories.join(', ')}`);
+    }
+
+    if (members.length > MAX_HEADCOUNT) {
+        throw new HttpError(400, `A request can list at most ${MAX_HEADCOUNT} household members; split larger groups`);
+    }
+
+    if (headcount !== undefined &&
+        (!Number.isInteger(headcount) || headcount < Math.max(1, members.length) || headcount > MAX_HEADCOUNT)) {
+        throw new HttpError(400, `Headcount must be a whole number from the number of members up to ${MAX_HEADCOUNT}`);
+    }
+
+    // A household is categorized by its most vulnerable member; everyone in the headcount adds to its score
+    const categories = getRequestCategories({ members, vulnerabilityCategory, headcount });
+    const primaryCategory = categories.reduce((most, category) =>
+        getVulnerabilityScore(category) > getVulnerabilityScore(most) ? category : most);
+
+    // A mixed request is headlined by its most urgent item
+    const itemAidTypes = items.map(item => item.aidType);
+    const primaryAidType = itemAidTypes.reduce((most, type) =>
+        getMedicalUrgencyScore(type) > getMedicalUrgencyScore(most) ? type : most);
+    const kits = getKitsForHeadcount({ headcount, members });
+
+    // Calculate initial priority
+    const { vulnerabilityScore, medicalUrgencyScore, priorityScore, policyVersion } = calculateFullPriority(
+        categories,
+        itemAidTypes,
+        new Date()
+    );
+
+    return new ReliefRequest({
+        name,
+        location: {
+            district: location.district,
+            latitude: location.latitude || null,
+            longitude: location.longitude || null,
+            address: location.address || ''
+        },
+        aidType: primaryAidType,
+        items: items.map(item => ({
+            aidType: item.aidType,
+            quantity: item.quantity || kits
+        })),
+        vulnerabilityCategory: primaryCategory,
+        members: members.map(member => ({
+            name: member.name,
+            vulnerabilityCategory: member.vulnerabilityCategory,
+            age: member.age ?? null
+        })),
+        headcount: headcount || Math.max(1, members.length),
+        vulnerabilityScore,
+        medicalUrgencyScore,
+        priorityScore,
+        policyVersion,
+        description: description || '',
+        contactPhone: contactPhone || '',
+        channel,
+        trackingCode: generateTrackingCode(),
+        requestedBy: user._id,
+        status: 'PENDING',
+        statusHistory: [{
+            from: null,
+            to: 'PENDING',
+            changedBy: user._id,
+            role: user.role,
+            reason: channel === 'app' ? 'Request submitted' : `Request submitted via ${channel}`
+        }]
+    });
+};
+
+/**
+ * Flag likely duplicates of open requests on an unsaved request, for admin review
+ * @param {Object} reliefRequest - Unsaved ReliefRequest
+ * @param {Object} [options] - Passed to findLikelyDuplicates ({ unsaved })
+ * @returns {Promise<Object[]>} Likely duplicates (best match first)
+ */
+const flagLikelyDuplicates = async (reliefRequest, options) => {
+    const duplicates = await findLikelyDuplicates(reliefRequest, options);
+    if (duplicates.length > 0) {
+        reliefRequest.duplicateCheck = {
+            status: 'FLAGGED',
+            candidates: duplicates.slice(0, 5).map(({ request, score, reasons }) => ({
+                request: request._id,
+                score,
+                reasons
+            }))
+        };
+    }
+
+    return duplicates;
+};
+
+/**
+ * Submit a relief request from any intake channel: validate it, apply the
+ * rate limit, flag likely duplicates, save it and add it to the priority queue
+ * @param {Object} input - Request fields (name, location, aidType or items,
+ *        vulnerabilityCategory or members, headcount, description, contactPhone)
+ * @param {Object} user - Submitting user
+ * @param {Object} [options]
+ * @param {string} [options.channel] - 'app', 'sms', 'ussd' or 'import'
+ * @returns {Promise<Object>} { request, duplicates, queueSize }
+ * @throws {HttpError} 400 on invalid input, 429 when rate-limited
+ */
+const submitReliefRequest = async (input, user, { channel = 'app' } = {}) => {
+    const reliefRequest = buildRequest(input || {}, user, channel);
+
+    // Reject floods of the same aid type from one account
+    for (const { aidType } of reliefRequest.items) {
+        await enforceRateLimit(user, aidType);
+    }
+
+    const duplicates = await flagLikelyDuplicates(reliefRequest);
+
+    await reliefRequest.save();
+
+    // Add to priority queue
+    const queue = getPriorityQueue();
+    await queue.insert(reliefRequest.toObject());
+
+    await notifyRequestEvent(NOTIFICATION_EVENTS.NEW_REQUEST, reliefRequest, { actor: user });
+
+    return { request: reliefRequest, duplicates, queueSize: queue.size() };
+};
+
+/**
+ * Tell volunteers, admins and partner webhooks about a new request (and alert on high priority)
+ * @param {Object} io - Socket.io server
+ * @param {Object} request - Saved ReliefRequest
+ */
+const announceNewRequest = async (io, request) => {
+    const highPriority = request.priorityScore >= HIGH_PRIORITY_THRESHOLD;
+
+    if (io) {
+        io.to(STAFF_ROOM).emit('newRequest', {
+            request,
+            queueSize: getPriorityQueue().size()
+        });
+
+        if (highPriority) {
+            io.to(STAFF_ROOM).emit('highPriorityAlert', {
+                message: `High priority request received: ${request.name} - ${request.items.map(item => item.aidType).join(', ')}`,
+                request
+            });
+        }
+    }
+
+    await publishNewRequest(request, highPriority);
+};
+
+module.exports = {
+    HIGH_PRIORITY_THRESHOLD,
+    generateTrackingCode,
+    buildRequest,
+    flagLikelyDuplicates,
+    submitReliefRequest,
+    announceNewRequest
+};
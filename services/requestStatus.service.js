@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const { getPriorityQueue } = require('./priorityQueue.service');
+const {
+    reserveStock,
+    undoReservations,
+    consumeStock,
+    consumePartialStock,
+    takeConsumedStock,
+    releaseStock
+} = require('./inventory.service');
+const { notifyRequestEvent } = require('./notification.service');
+const { getMedicalUrgencyScore, getRequestAidTypes, scoreRequest } = require('../utils/priorityCalculator');
+const { getAidRequirements } = require('../utils/aidRequirements');
+const { NOTIFICATION_EVENTS } = require('../utils/notificationTemplates');
+const {
+    isValidStatus,
+    isTransitionDefined,
+    canTransition,
+    getAllowedTransitions,
+    REQUEST_STATUSES
+} = require('../utils/requestStateMachine');
+const HttpError = require('../utils/httpError');
+
+// Number of digits in a delivery code
+const DELIVERY_CODE_LENGTH = 6;
+
+// Moving to one of these gives reserved stock back to the warehouse
+const STOCK_RELEASING_STATUSES = ['PENDING', 'CANCELLED', 'FAILED_DELIVERY', 'REJECTED_DUPLICATE'];
+
+// Reference of a (possibly populated) user field
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Generate a random numeric one-time delivery code
+ */
+const generateDeliveryCode = () => crypto
+    .randomInt(0, 10 ** DELIVERY_CODE_LENGTH)
+    .toString()
+    .padStart(DELIVERY_CODE_LENGTH, '0');
+
+/**
+ * Compare a submitted delivery code with the stored one (constant time)
+ */
+const isDeliveryCodeValid = async (request, submittedCode) => {
+    if (!submittedCode) return false;
+
+    // The code is not selected by default; load it if the caller didn't
+    const storedCode = request.isSelected('deliveryCode')
+        ? request.deliveryCode
+        : (await request.constructor.findById(request._id).select('+deliveryCode')).deliveryCode;
+
+    if (!storedCode) return false;
+
+    const expected = Buffer.from(storedCode);
+    const actual = Buffer.from(submittedCode.toString().trim());
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Check that the actor owns the request in the way the transition requires:
+ * victims act on their own requests, volunteers on requests assigned to them
+ */
+const assertOwnership = (request, fromStatus, user) => {
+    if (!user || user.role === 'admin') return;
+
+    if (user.role === 'victim' && !refId(request.requestedBy).equals(user._id)) {
+        throw new HttpError(403, 'Access denied. You can only change your own requests.');
+    }
+
+    if (user.role === 'volunteer' && fromStatus !== REQUEST_STATUSES.PENDING) {
+        const assignee = refId(request.assignedTo);
+        if (!assignee || !assignee.equals(user._id)) {
+            throw new HttpError(403, 'Access denied. This request is assigned to another volunteer.');
+        }
+    }
+};
+
+/**
+ * Move a request to a new status, enforcing the state machine, recording the
+ * change in statusHistory and keeping the priority queue in sync
+ * @param {Object} request - ReliefRequest document
+ * @param {string} toStatus - Desired status
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Actor (omit for system changes)
+ * @param {string} [options.reason] - Why the status changed
+ * @param {string} [options.deliveryCode] - Victim's code, required for a volunteer to deliver
+ * @param {number} [options.expectedVersion] - Version (__v) the caller last saw; a mismatch is a conflict
+ * @param {Object[]} [options.consumedStock] - Stock consumed by a partial delivery, taken once saved
+ * @param {boolean} [options.claimed] - The request was claimed from the priority queue by a dequeue
+ * @returns {Promise<Object>} Saved request (status may be DELIVERY_DISPUTED
+ *          when a volunteer marks DELIVERED without a valid code)
+ */
+const transitionStatus = async (request, toStatus, {
+    user = null,
+    reason = '',
+    deliveryCode,
+    expectedVersion,
+    consumedStock = [],
+    claimed = false
+} = {}) => {
+    const fromStatus = request.status;
+    const role = user ? user.role : 'system';
+
+    if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== request.__v) {
+        throw new HttpError(409, `Request was changed since version ${expectedVersion} ` +
+            `(now version ${request.__v}, status ${fromStatus})`, {
+            conflict: true,
+            currentVersion: request.__v,
+            currentStatus: fromStatus
+        });
+    }
+
+    // A volunteer can only complete a delivery with the victim's code;
+    // otherwise the delivery goes to admin review
+    if (toStatus === REQUEST_STATUSES.DELIVERED && fromStatus === REQUEST_STATUSES.IN_TRANSIT &&
+        role === 'volunteer' && !(await isDeliveryCodeValid(request, deliveryCode))) {
+        toStatus = REQUEST_STATUSES.DELIVERY_DISPUTED;
+        reason = reason || 'Delivery code missing or incorrect';
+    }
+
+    if (!isValidStatus(toStatus)) {
+        throw new HttpError(400, `Invalid status. Must be one of: ${Object.values(REQUEST_STATUSES).join(', ')}`);
+    }
+
+    if (!isTransitionDefined(fromStatus, toStatus)) {
+        throw new HttpError(409, `Cannot change status from ${fromStatus} to ${toStatus}`);
+    }
+
+    if (!canTransition(fromStatus, toStatus, role)) {
+        const allowed = getAllowedTransitions(fromStatus, role);
+        throw new HttpError(403, `Role ${role} cannot change status from ${fromStatus} to ${toStatus}` +
+            (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ''));
+    }
+
+    // Pending requests are only handed out by the dequeue endpoints, which keep to
+    // priority order, the volunteer's districts, capacity and stock, and claim
+    // the request from the queue atomically
+    if (fromStatus === REQUEST_STATUSES.PENDING && toStatus === REQUEST_STATUSES.IN_TRANSIT && !claimed) {
+        throw new HttpError(409, 'Pending requests are assigned through POST /api/dequeue or /api/dequeue/batch');
+    }
+
+    assertOwnership(request, fromStatus, user);
+
+    // Stock: reserve when the request goes out (throws 409 when out of stock),
+    // consume on delivery, release when it will not be delivered. Reservations
+    // are undone if the save fails; the warehouses only see the rest once saved.
+    let reserved = [];
+    let consumed = consumedStock;
+    let released = [];
+    if (toStatus === REQUEST_STATUSES.IN_TRANSIT) {
+        reserved = await reserveStock(request);
+    } else if (toStatus === REQUEST_STATUSES.DELIVERED) {
+        consumed = [...consumed, ...consumeStock(request)];
+    } else if (STOCK_RELEASING_STATUSES.includes(toStatus)) {
+        released = releaseStock(request);
+    }
+
+    request.status = toStatus;
+
+    if (toStatus === REQUEST_STATUSES.IN_TRANSIT) {
+        if (user) {
+            request.assignedTo = user._id;
+        }
+        request.assignedAt = new Date();
+        request.lastProgressAt = request.assignedAt;
+        request.deliveryCode = generateDeliveryCode();
+    }
+
+    if (toStatus === REQUEST_STATUSES.PENDING) {
+        request.assignedTo = null;
+        request.assignedAt = null;
+        request.lastProgressAt = null;
+        request.deliveryCode = undefined;
+    }
+
+    if (toStatus === REQUEST_STATUSES.DELIVERED) {
+        request.items.forEach((item) => {
+            item.fulfilledQuantity = item.quantity;
+        });
+        request.deliveredAt = new Date();
+        request.deliveryCode = undefined;
+        request.deliveryConfirmation = {
+            method: role === 'volunteer' ? 'code' : role,
+            confirmedBy: user ? user._id : null,
+            confirmedAt: new Date()
+        };
+    }
+
+    request.statusHistory.push({
+        from: fromStatus,
+        to: toStatus,
+        changedBy: user ? user._id : null,
+        role,
+        reason: reason || '',
+        changedAt: new Date()
+    });
+
+    try {
+        await request.save();
+    } catch (error) {
+        await undoReservations(reserved);
+        if (error.name === 'VersionError') {
+            throw new HttpError(409, 'Request was changed concurrently. Reload it and retry.', { conflict: true });
+        }
+        throw error;
+    }
+
+    await takeConsumedStock(consumed);
+    await undoReservations(released);
+
+    // Keep the queue in sync: only PENDING requests live in the heap
+    const queue = getPriorityQueue();
+    if (fromStatus === REQUEST_STATUSES.PENDING) {
+        await queue.removeById(request._id);
+    }
+    if (toStatus === REQUEST_STATUSES.PENDING) {
+        await queue.insert(request.toObject({ depopulate: true }));
+    }
+
+    // Let the requester know, even when they are not online
+    const dequeued = fromStatus === REQUEST_STATUSES.PENDING && toStatus === REQUEST_STATUSES.IN_TRANSIT;
+    await notifyRequestEvent(dequeued ? NOTIFICATION_EVENTS.REQUEST_DEQUEUED : NOTIFICATION_EVENTS.STATUS_UPDATED, request, {
+        actor: user,
+        previousStatus: fromStatus,
+        deliveryCode: dequeued ? request.deliveryCode : undefined,
+        reason
+    });
+
+    return request;
+};
+
+/**
+ * Record a partial delivery of an IN_TRANSIT request: the delivered units are
+ * marked fulfilled and taken out of stock, and the request goes back to the
+ * queue, re-scored on what is still outstanding
+ * @param {Object} request - ReliefRequest document
+ * @param {Object[]} deliveredItems - [{ aidType, quantity }] delivered on this trip
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Volunteer or admin reporting the delivery
+ * @param {string} [options.reason] - Note for the status history
+ * @returns {Promise<Object>} Saved request (PENDING)
+ */
+const recordPartialDelivery = async (request, deliveredItems, { user = null, reason = '' } = {}) => {
+    if (request.status !== REQUEST_STATUSES.IN_TRANSIT) {
+        throw new HttpError(409, `Only IN_TRANSIT requests can be partially delivered (current: ${request.status})`);
+    }
+
+    if (!canTransition(request.status, REQUEST_STATUSES.PENDING, user ? user.role : 'system')) {
+        throw new HttpError(403, 'Access denied. Only volunteers and admins can report deliveries.');
+    }
+
+    assertOwnership(request, request.status, user);
+
+    if (!Array.isArray(deliveredItems) || deliveredItems.length === 0) {
+        throw new HttpError(400, 'Provide the delivered items as [{ aidType, quantity }]');
+    }
+
+    // Requests saved before line items existed carry a single implicit item
+    if (request.items.length === 0) {
+        request.items = getAidRequirements(request);
+    }
+
+    const delivered = new Map();
+    for (const { aidType, quantity } of deliveredItems) {
+        const item = request.items.find(entry => entry.aidType === aidType);
+        const outstanding = item ? item.quantity - item.fulfilledQuantity - (delivered.get(aidType) || 0) : 0;
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new HttpError(400, `Delivered quantity of ${aidType} must be a positive integer`);
+        }
+        if (quantity > outstanding) {
+            throw new HttpError(400, `Only ${outstanding} unit(s) of ${aidType} are outstanding`);
+        }
+
+        delivered.set(aidType, (delivered.get(aidType) || 0) + quantity);
+    }
+
+    const remaining = request.items.reduce((total, item) =>
+        total + item.quantity - item.fulfilledQuantity - (delivered.get(item.aidType) || 0), 0);
+    if (remaining === 0) {
+        throw new HttpError(400, 'Everything was delivered. Mark the request DELIVERED instead.');
+    }
+
+    const consumedStock = consumePartialStock(request, delivered);
+
+    request.items.forEach((item) => {
+        item.fulfilledQuantity += delivered.get(item.aidType) || 0;
+    });
+
+    // Re-score on the outstanding items; the most urgent one becomes the headline aid type
+    request.aidType = getRequestAidTypes(request)
+        .reduce((most, aidType) => getMedicalUrgencyScore(aidType) > getMedicalUrgencyScore(most) ? aidType : most);
+    Object.assign(request, scoreRequest(request));
+
+    const summary = [...delivered].map(([aidType, quantity]) => `${quantity} ${aidType}`).join(', ');
+
+    return transitionStatus(request, REQUEST_STATUSES.PENDING, {
+        user,
+        reason: reason || `Partially delivered (${summary}); remaining items re-queued`,
+        consumedStock
+    });
+};
+
+module.exports = {
+    transitionStatus,
+    recordPartialDelivery,
+    generateDeliveryCode
+};
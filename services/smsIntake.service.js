@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const ReliefRequest = require('../models/ReliefRequest');
+const { getPriorityQueue } = require('./priorityQueue.service');
+const { submitReliefRequest } = require('./requestIntake.service');
+const { CATALOGUE_KINDS, getEntries, findEntryByInput, getLabel } = require('../utils/catalogue');
+const { normalizePhone } = require('../utils/stringSimilarity');
+
+// Domain of the placeholder emails given to victims registered by phone
+const PHONE_USER_EMAIL_DOMAIN = 'victims.sms';
+
+// Most people one SMS request can be for
+const MAX_SMS_HEADCOUNT = 50;
+
+const SMS_HELP_TEXT = 'Send: HELP district, aid code, category code, people, name. ' +
+    'Example: HELP Bhopal, F, P, 4, Ram. Check a request: STATUS <tracking code>';
+
+// Field separators of a structured SMS ("Bhopal, F, P" or "Bhopal*F*P")
+const FIELD_SEPARATOR = /\s*[,*#;]\s*/;
+
+/**
+ * Find the victim account of a phone number, registering one if needed
+ * @param {string} phone - Sender phone number
+ * @param {string} [name] - Name given in the message
+ * @param {string} channel - 'sms' or 'ussd'
+ * @returns {Promise<Object>} User
+ */
+const findOrCreateVictimByPhone = async (phone, name, channel) => {
+    const digits = normalizePhone(phone);
+    const email = `${digits}@${PHONE_USER_EMAIL_DOMAIN}`;
+    const findVictim = () => User.findOne({
+        $or: [{ phoneNormalized: digits }, { phone }, { email }]
+    }).sort({ createdAt: 1 });
+
+    const existing = await findVictim();
+
+    if (existing) {
+        return existing;
+    }
+
+    try {
+        return await User.create({
+            name: name && name.trim().length >= 2 ? name.trim() : `SMS user ${digits.slice(-4)}`,
+            email,
+            // Phone-registered victims never log in with a password
+            password: crypto.randomBytes(24).toString('hex'),
+            role: 'victim',
+            phone,
+            registeredVia: channel
+        });
+    } catch (error) {
+        // Two messages from a new number at once: the other one registered it first
+        if (error.code === 11000) {
+            const registered = await findVictim();
+            if (registered) {
+                return registered;
+            }
+        }
+        throw error;
+    }
+};
+
+/**
+ * Parse a structured SMS: "HELP district, aid code(s), category code[, people][, name]".
+ * Several aid codes can be joined with "+" (e.g. "F+S"). Without separators the
+ * fields are split on spaces (single-word district).
+ * @param {string} text - Message text
+ * @returns {Object} { command: 'help' | 'status' | 'request', ... }
+ */
+const parseSmsMessage = (text) => {
+    const message = (text || '').toString().trim();
+    const [keyword, ...rest] = message.split(/\s+/);
+
+    if (!message || /^(menu|info|\?)$/i.test(message)) {
+        return { command: 'help' };
+    }
+
+    if (/^status$/i.test(keyword)) {
+        return { command: 'status', trackingCode: (rest[0] || '').toUpperCase() };
+    }
+
+    const body = /^(help|aid|sos)$/i.test(keyword) ? rest.join(' ') : message;
+    const fields = FIELD_SEPARATOR.test(body) ? body.split(FIELD_SEPARATOR) : body.split(/\s+/);
+    const [district, aidCodes, categoryCode, ...others] = fields.map(field => field.trim());
+
+    // An optional number of people comes before the optional name
+    let headcount;
+    if (others.length > 0 && /^\d+$/.test(others[0])) {
+        headcount = Number(others.shift());
+    }
+
+    return {
+        command: 'request',
+        district,
+        aidCodes: (aidCodes || '').split('+').filter(Boolean),
+        categoryCode,
+        headcount,
+        name: others.join(' ').trim()
+    };
+};
+
+/**
+ * Build request input from parsed fields
+ * @returns {Object} { input } or { error } (reply text)
+ */
+const buildRequestInput = ({ district, aidCodes, categoryCode, headcount, name }, phone) => {
+    if (!district || aidCodes.length === 0 || !categoryCode) {
+        return { error: `Missing details. ${SMS_HELP_TEXT}` };
+    }
+
+    const aidEntries = aidCodes.map(code => findEntryByInput(CATALOGUE_KINDS.AID_TYPE, code));
+    if (aidEntries.some(entry => !entry)) {
+        return { error: `Unknown aid code. Use: ${describeCodes(CATALOGUE_KINDS.AID_TYPE)}` };
+    }
+
+    const category = findEntryByInput(CATALOGUE_KINDS.VULNERABILITY_CATEGORY, categoryCode);
+    if (!category) {
+        return { error: `Unknown category code. Use: ${describeCodes(CATALOGUE_KINDS.VULNERABILITY_CATEGORY)}` };
+    }
+
+    if (headcount !== undefined && (headcount < 1 || headcount > MAX_SMS_HEADCOUNT)) {
+        return { error: `Number of people must be between 1 and ${MAX_SMS_HEADCOUNT}` };
+    }
+
+    return {
+        input: {
+            name: name || `SMS request ${normalizePhone(phone).slice(-4)}`,
+            location: { district },
+            items: [...new Set(aidEntries.map(entry => entry.key))].map(aidType => ({ aidType })),
+            vulnerabilityCategory: category.key,
+            headcount,
+            contactPhone: phone
+        }
+    };
+};
+
+// "F=Food Water, S=Shelter" (code, or menu number when an entry has no code)
+const describeCodes = (kind) => getEntries(kind)
+    .map((entry, index) => `${entry.code || index + 1}=${getLabel(entry)}`)
+    .join(', ');
+
+/**
+ * Submit a parsed request for a phone number
+ * @returns {Promise<Object>} { reply, request }
+ */
+const submitForPhone = async (fields, phone, channel) => {
+    const { input, error } = buildRequestInput(fields, phone);
+    if (error) {
+        return { reply: error, request: null };
+    }
+
+    const user = await findOrCreateVictimByPhone(phone, fields.name, channel);
+    if (!['victim', 'admin'].includes(user.role)) {
+        return { reply: 'This number belongs to a volunteer account and cannot request aid.', request: null };
+    }
+
+    try {
+        const { request } = await submitReliefRequest(input, user, { channel });
+        return {
+            reply: `Request received. Tracking code: ${request.trackingCode}. ` +
+                `Send STATUS ${request.trackingCode} for updates.`,
+            request
+        };
+    } catch (err) {
+        if (err.status) {
+            return { reply: `Request not accepted: ${err.message}`, request: null };
+        }
+        throw err;
+    }
+};
+
+/**
+ * Describe the status of a request by its tracking code
+ * @param {string} trackingCode - Tracking code
+ * @returns {Promise<string>} Reply text
+ */
+const describeStatus = async (trackingCode) => {
+    if (!trackingCode) {
+        return 'Send STATUS followed by your tracking code.';
+    }
+
+    const request = await ReliefRequest.findOne({ trackingCode: trackingCode.toUpperCase() });
+    if (!request) {
+        return `No request found for tracking code ${trackingCode}.`;
+    }
+
+    if (request.status === 'PENDING') {
+        const position = getPriorityQueue().getRank(request._id, request.location.district);
+        return `Request ${request.trackingCode} is waiting for a volunteer` +
+            (position ? ` (position ${position.rank} of ${position.size} in ${request.location.district}).` : '.');
+    }
+
+    return `Request ${request.trackingCode} is ${request.status.replace(/_/g, ' ').toLowerCase()}.`;
+};
+
+/**
+ * Handle an incoming SMS
+ * @param {Object} message - { from, text }
+ * @returns {Promise<Object>} { reply, request } (request is set when one was created)
+ */
+const handleSmsMessage = async ({ from, text }) => {
+    if (!normalizePhone(from)) {
+        return { reply: 'Sender phone number missing.', request: null };
+    }
+
+    const parsed = parseSmsMessage(text);
+
+    if (parsed.command === 'help') {
+        return {
+            reply: `${SMS_HELP_TEXT}. Aid: ${describeCodes(CATALOGUE_KINDS.AID_TYPE)}. ` +
+                `Category: ${describeCodes(CATALOGUE_KINDS.VULNERABILITY_CATEGORY)}`,
+            request: null
+        };
+    }
+
+    if (parsed.command === 'status') {
+        return { reply: await describeStatus(parsed.trackingCode), request: null };
+    }
+
+    return submitForPhone(parsed, from, 'sms');
+};
+
+// Numbered menu of a catalogue kind for USSD screens
+const ussdMenu = (kind) => getEntries(kind)
+    .map((entry, index) => `${index + 1}. ${getLabel(entry)}`)
+    .join('\n');
+
+/**
+ * Handle one step of a USSD session. The gateway sends everything typed so far
+ * joined by "*", so the session needs no server-side state.
+ * Replies starting with "CON" expect more input, "END" closes the session.
+ * @param {Object} session - { phoneNumber, text }
+ * @returns {Promise<Object>} { reply, request }
+ */
+const handleUssdSession = async ({ phoneNumber, text }) => {
+    if (!normalizePhone(phoneNumber)) {
+        return { reply: 'END Phone number missing.', request: null };
+    }
+
+    const steps = (text || '').toString().split('*').map(step => step.trim());
+    const [choice, ...answers] = text ? steps : [];
+
+    if (!choice) {
+        return { reply: 'CON Relief request\n1. Request aid\n2. Check request status', request: null };
+    }
+
+    if (choice === '2') {
+        if (!answers[0]) {
+            return { reply: 'CON Enter your tracking code', request: null };
+        }
+        return { reply: `END ${await describeStatus(answers[0])}`, request: null };
+    }
+
+    if (choice !== '1') {
+        return { reply: 'END Invalid choice.', request: null };
+    }
+
+    const [district, aidChoice, categoryChoice, people] = answers;
+
+    if (!district) {
+        return { reply: 'CON Enter your district', request: null };
+    }
+    if (!aidChoice) {
+        return { reply: `CON What do you need?\n${ussdMenu(CATALOGUE_KINDS.AID_TYPE)}`, request: null };
+    }
+    if (!categoryChoice) {
+        return { reply: `CON Who needs help?\n${ussdMenu(CATALOGUE_KINDS.VULNERABILITY_CATEGORY)}`, request: null };
+    }
+    if (people === undefined) {
+        return { reply: 'CON How many people? (1 if just you)', request: null };
+    }
+
+    const { reply, request } = await submitForPhone({
+        district,
+        aidCodes: [aidChoice],
+        categoryCode: categoryChoice,
+        headcount: /^\d+$/.test(people) ? Number(people) : undefined,
+        name: ''
+    }, phoneNumber, 'ussd');
+
+    return { reply: `END ${reply}`, request };
+};
+
+module.exports = {
+    PHONE_USER_EMAIL_DOMAIN,
+    findOrCreateVictimByPhone,
+    parseSmsMessage,
+    handleSmsMessage,
+    handleUssdSession
+};
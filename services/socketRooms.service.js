@@ -0,0 +1,70 @@
+const ReliefRequest = require('../models/ReliefRequest');
+
+// Volunteers and admins: receive new requests, alerts and every request update
+const STAFF_ROOM = 'staff';
+
+// Roles allowed to see the queue and other people's requests
+const STAFF_ROLES = ['volunteer', 'admin'];
+
+// Reference of a (possibly populated) user field
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Socket.io room name for a request's updates
+ */
+const getRequestRoom = (requestId) => `request:${requestId}`;
+
+/**
+ * Socket.io room name for a user's personal events
+ */
+const getUserRoom = (userId) => `user:${userId}`;
+
+/**
+ * Whether a socket user is a volunteer or admin
+ */
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role);
+
+/**
+ * Check whether a user may follow a request: staff any request, victims only their own
+ * @param {Object} user - Socket user
+ * @param {string} requestId - Request ID
+ * @returns {Promise<boolean>}
+ */
+const canSubscribeToRequest = async (user, requestId) => {
+    if (isStaff(user)) {
+        return true;
+    }
+
+    const request = await ReliefRequest.findById(requestId).select('requestedBy').lean();
+    return Boolean(request) && refId(request.requestedBy).equals(user._id);
+};
+
+/**
+ * Emit a request event to the people allowed to see it: staff, sockets following
+ * the request and the requester's own sockets
+ * @param {Object} io - Socket.io server
+ * @param {string} event - Event name
+ * @param {Object} request - ReliefRequest
+ * @param {Object} payload - Event payload
+ */
+const emitRequestEvent = (io, event, request, payload) => {
+    if (!io) return;
+
+    const rooms = [STAFF_ROOM, getRequestRoom(request._id)];
+    const requesterId = refId(request.requestedBy);
+    if (requesterId) {
+        rooms.push(getUserRoom(requesterId));
+    }
+
+    // Sockets in several of these rooms still receive the event once
+    io.to(rooms).emit(event, payload);
+};
+
+module.exports = {
+    STAFF_ROOM,
+    getRequestRoom,
+    getUserRoom,
+    isStaff,
+    canSubscribeToRequest,
+    emitRequestEvent
+};
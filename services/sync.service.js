@@ -0,0 +1,137 @@
+const ReliefRequest = require('../models/ReliefRequest');
+const { transitionStatus } = require('./requestStatus.service');
+const HttpError = require('../utils/httpError');
+
+// Most offline changes accepted in one sync
+const MAX_SYNC_BATCH = 100;
+
+// Statuses a volunteer still has work to do on
+const ACTIVE_ASSIGNMENT_STATUSES = ['IN_TRANSIT', 'FAILED_DELIVERY', 'DELIVERY_DISPUTED'];
+
+// Reference of a (possibly populated) user field
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Shape a request for an offline client: the full record plus its version
+ */
+const toSyncRecord = (request) => ({
+    ...request.toJSON(),
+    version: request.__v
+});
+
+/**
+ * Requests assigned to a volunteer that changed since a point in time.
+ * Requests the volunteer worked on but no longer holds (re-queued, reassigned)
+ * are listed in `revoked` so the client can drop them.
+ * @param {Object} user - Volunteer (or admin) syncing
+ * @param {Date|null} since - Last sync time (null = full snapshot)
+ * @returns {Promise<Object>} { serverTime, requests, revoked }
+ */
+const getAssignmentDeltas = async (user, since) => {
+    // Taken before querying so nothing saved meanwhile is missed on the next sync
+    const serverTime = new Date();
+
+    const filter = since
+        ? {
+            updatedAt: { $gt: since },
+            $or: [{ assignedTo: user._id }, { 'statusHistory.changedBy': user._id }]
+        }
+        : { assignedTo: user._id, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } };
+
+    const changed = await ReliefRequest.find(filter)
+        .sort({ updatedAt: 1 })
+        .populate('requestedBy', 'name phone');
+
+    const requests = [];
+    const revoked = [];
+
+    changed.forEach((request) => {
+        const assignee = refId(request.assignedTo);
+
+        if (assignee && assignee.equals(user._id)) {
+            requests.push(toSyncRecord(request));
+        } else {
+            revoked.push({ _id: request._id, status: request.status, version: request.__v });
+        }
+    });
+
+    return { serverTime, requests, revoked };
+};
+
+/**
+ * Apply status changes a volunteer queued while offline, in order.
+ * Each change carries the version it was made against; a request that changed
+ * on the server since then is reported as a conflict and left untouched.
+ * @param {Object} user - Volunteer (or admin) syncing
+ * @param {Object[]} changes - [{ requestId, status, reason, deliveryCode, baseVersion, changedAt }]
+ * @returns {Promise<Object[]>} One result per change: { requestId, result, ... }
+ *          where result is 'applied', 'conflict' or 'rejected'
+ */
+const applyOfflineChanges = async (user, changes) => {
+    if (!Array.isArray(changes) || changes.length === 0) {
+        throw new HttpError(400, 'Provide changes as a non-empty array');
+    }
+
+    if (changes.length > MAX_SYNC_BATCH) {
+        throw new HttpError(413, `At most ${MAX_SYNC_BATCH} changes can be synced at once`);
+    }
+
+    const results = [];
+
+    for (const change of changes) {
+        const { requestId, status, reason, deliveryCode, baseVersion, changedAt } = change || {};
+        const result = { requestId, status };
+
+        if (!requestId || !status || !Number.isInteger(baseVersion)) {
+            results.push({ ...result, result: 'rejected', message: 'requestId, status and baseVersion are required' });
+            continue;
+        }
+
+        try {
+            const request = await ReliefRequest.findById(requestId);
+
+            if (!request) {
+                results.push({ ...result, result: 'rejected', message: 'Request not found' });
+                continue;
+            }
+
+            const previousStatus = request.status;
+            const madeAt = new Date(changedAt);
+            const offlineNote = changedAt && !Number.isNaN(madeAt.getTime())
+                ? `offline change made at ${madeAt.toISOString()}`
+                : 'offline change';
+
+            await transitionStatus(request, status, {
+                user,
+                reason: reason ? `${reason} (${offlineNote})` : offlineNote,
+                deliveryCode,
+                expectedVersion: baseVersion
+            });
+
+            results.push({ ...result, result: 'applied', previousStatus, request: toSyncRecord(request) });
+
+        } catch (error) {
+            if (error.details && error.details.conflict) {
+                const current = await ReliefRequest.findById(requestId);
+                results.push({
+                    ...result,
+                    result: 'conflict',
+                    message: error.message,
+                    current: current ? toSyncRecord(current) : null
+                });
+            } else if (error.status || error.name === 'CastError') {
+                results.push({ ...result, result: 'rejected', message: error.status ? error.message : 'Invalid request ID' });
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    return results;
+};
+
+module.exports = {
+    MAX_SYNC_BATCH,
+    getAssignmentDeltas,
+    applyOfflineChanges
+};
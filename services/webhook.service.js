@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS, generateWebhookSecret, signWebhookPayload } = require('../utils/webhookSignature');
+const { getNextAttemptAt } = require('../utils/backoff');
+const { readNumber } = require('../utils/env');
+const { isAllowedCallbackUrl, postToPublicUrl } = require('../utils/urls');
+const HttpError = require('../utils/httpError');
+
+// A delivery that failed this many times is given up on (it can still be replayed)
+const WEBHOOK_MAX_ATTEMPTS = readNumber('WEBHOOK_MAX_ATTEMPTS', 8);
+
+// Delay before the first retry (doubles on each further failure)
+const WEBHOOK_RETRY_BASE_SECONDS = readNumber('WEBHOOK_RETRY_BASE_SECONDS', 30);
+
+// How often pending deliveries are sent
+const WEBHOOK_DISPATCH_INTERVAL_SECONDS = readNumber('WEBHOOK_DISPATCH_INTERVAL_SECONDS', 30);
+
+// Give up on a partner's endpoint after this long
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Deliveries sent per dispatch run
+const DISPATCH_BATCH_SIZE = 50;
+
+// A claimed delivery not finished within this time (worker crashed) is picked up again
+const SEND_LOCK_MS = 2 * 60 * 1000;
+
+// Reference of a (possibly populated) user field
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Request fields shared with partners: what is needed where, and its progress.
+ * Names, phone numbers and delivery codes stay private.
+ */
+const toWebhookRequest = (request) => ({
+    id: request._id,
+    trackingCode: request.trackingCode || null,
+    status: request.status,
+    channel: request.channel,
+    location: {
+        district: request.location.district,
+        latitude: request.location.latitude,
+        longitude: request.location.longitude
+    },
+    aidType: request.aidType,
+    items: (request.items || []).map(({ aidType, quantity, fulfilledQuantity }) => ({ aidType, quantity, fulfilledQuantity })),
+    vulnerabilityCategory: request.vulnerabilityCategory,
+    headcount: request.headcount,
+    priorityScore: request.priorityScore,
+    assignedTo: refId(request.assignedTo) || null,
+    createdAt: request.createdAt,
+    updatedAt: request.updatedAt,
+    deliveredAt: request.deliveredAt || null
+});
+
+const validateSubscriptionFields = ({ name, url, events, isActive }) => {
+    const errors = [];
+    const allowed = Object.values(WEBHOOK_EVENTS);
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        errors.push('name must be a non-empty string');
+    }
+    if (url !== undefined && !isAllowedCallbackUrl(url)) {
+        errors.push('url must be a valid https URL');
+    }
+    if (events !== undefined &&
+        (!Array.isArray(events) || events.length === 0 || events.some(event => !allowed.includes(event)))) {
+        errors.push(`events must be a non-empty list of: ${allowed.join(', ')}`);
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        errors.push('isActive must be true or false');
+    }
+
+    return errors;
+};
+
+/**
+ * Register a partner webhook
+ * @param {Object} fields - { name, url, events }
+ * @param {Object} user - Admin registering it
+ * @returns {Promise<Object>} { subscription, secret } (the secret is only returned here)
+ */
+const createSubscription = async ({ name, url, events }, user) => {
+    const errors = validateSubscriptionFields({ name, url, events });
+    if (!name || !url || !events) {
+        errors.unshift('name, url and events are required');
+    }
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join(', '));
+    }
+
+    const secret = generateWebhookSecret();
+    const subscription = await WebhookSubscription.create({
+        name: name.trim(),
+        url,
+        events: [...new Set(events)],
+        secret,
+        createdBy: user ? user._id : null
+    });
+    subscription.secret = undefined;
+
+    return { subscription, secret };
+};
+
+/**
+ * Update a webhook's name, URL, events or active flag; optionally issue a new secret
+ * @param {string} id - Subscription ID
+ * @param {Object} changes - { name, url, events, isActive, rotateSecret }
+ * @returns {Promise<Object>} { subscription, secret } (secret is set when rotated)
+ */
+const updateSubscription = async (id, changes) => {
+    const errors = validateSubscriptionFields(changes);
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join(', '));
+    }
+
+    const subscription = await WebhookSubscription.findById(id);
+    if (!subscription) {
+        throw new HttpError(404, 'Webhook not found');
+    }
+
+    const { name, url, events, isActive, rotateSecret } = changes;
+    if (name !== undefined) subscription.name = name.trim();
+    if (url !== undefined) subscription.url = url;
+    if (events !== undefined) subscription.events = [...new Set(events)];
+    if (isActive !== undefined) subscription.isActive = isActive;
+
+    const secret = rotateSecret ? generateWebhookSecret() : null;
+    if (secret) {
+        subscription.secret = secret;
+    }
+
+    await subscription.save();
+    subscription.secret = undefined;
+
+    return { subscription, secret };
+};
+
+let dispatchRunning = false;
+
+/**
+ * Send the deliveries that are due, signed with their subscription's secret.
+ * Any 2xx answer counts as delivered; anything else is retried with backoff.
+ * @returns {Promise<Object>} { delivered, failed }
+ */
+const processWebhookDeliveries = async () => {
+    if (dispatchRunning) {
+        return { delivered: 0, failed: 0 };
+    }
+    dispatchRunning = true;
+
+    let delivered = 0;
+    let failed = 0;
+
+    try {
+        for (let i = 0; i < DISPATCH_BATCH_SIZE; i++) {
+            const now = new Date();
+            const delivery = await WebhookDelivery.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'PENDING', nextAttemptAt: { $lte: now } },
+                        { status: 'SENDING', lockedUntil: { $lt: now } }
+                    ]
+                },
+                {
+                    $set: { status: 'SENDING', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+                    $inc: { attempts: 1 }
+                },
+                { new: true, sort: { nextAttemptAt: 1 } }
+            );
+
+            if (!delivery) break;
+
+            try {
+                const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+                if (!subscription || !subscription.isActive) {
+                    // Not worth retrying; a replay after re-activation sends it again
+                    throw Object.assign(new Error('Webhook was removed or deactivated'), { permanent: true });
+                }
+
+                const body = JSON.stringify(delivery.payload);
+                const timestamp = Math.floor(Date.now() / 1000);
+
+                // Only public addresses, checked on connect; redirects count as failures
+                const response = await postToPublicUrl(subscription.url, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'ReliefChain-Webhooks/1.0',
+                        'X-Relief-Event': delivery.event,
+                        'X-Relief-Delivery': delivery._id.toString(),
+                        'X-Relief-Timestamp': timestamp.toString(),
+                        'X-Relief-Signature': signWebhookPayload(subscription.secret, timestamp, body)
+                    },
+                    body,
+                    timeoutMs: WEBHOOK_TIMEOUT_MS
+                });
+
+                delivery.responseStatus = response.status;
+                if (!response.ok) {
+                    throw new Error(`Endpoint answered ${response.status}`);
+                }
+
+                delivery.status = 'DELIVERED';
+                delivery.deliveredAt = new Date();
+                delivery.lastError = null;
+                delivered++;
+            } catch (error) {
+                const givingUp = error.permanent || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS;
+
+                delivery.status = givingUp ? 'FAILED' : 'PENDING';
+                if (!givingUp) {
+                    delivery.nextAttemptAt = getNextAttemptAt(delivery.attempts, { baseMs: WEBHOOK_RETRY_BASE_SECONDS * 1000 });
+                }
+                delivery.lastError = error.message;
+                failed++;
+            }
+
+            delivery.lockedUntil = null;
+            await delivery.save();
+        }
+    } finally {
+        dispatchRunning = false;
+    }
+
+    return { delivered, failed };
+};
+
+// Send new deliveries right away instead of waiting for the next dispatch run
+const kickDispatch = () => {
+    setImmediate(() => {
+        processWebhookDeliveries().catch(error => console.error('Webhook dispatch error:', error));
+    });
+};
+
+/**
+ * Queue an event for every active webhook subscribed to it. Never throws:
+ * a partner integration problem must not fail the change that caused it.
+ * @param {string} event - WEBHOOK_EVENTS value
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Deliveries queued
+ */
+const publishWebhookEvent = async (event, data) => {
+    try {
+        const subscriptions = await WebhookSubscription.find({ isActive: true, events: event }).select('_id');
+        if (subscriptions.length === 0) {
+            return 0;
+        }
+
+        const eventId = crypto.randomUUID();
+        const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+        await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+            subscription: subscription._id,
+            event,
+            eventId,
+            payload
+        })));
+
+        kickDispatch();
+        return subscriptions.length;
+    } catch (error) {
+        console.error(`Failed to queue ${event} webhooks:`, error);
+        return 0;
+    }
+};
+
+/**
+ * Publish a new request (and a high priority alert when it qualifies)
+ * @param {Object} request - Saved ReliefRequest
+ * @param {boolean} highPriority - Whether a high priority alert was raised
+ */
+const publishNewRequest = async (request, highPriority) => {
+    await publishWebhookEvent(WEBHOOK_EVENTS.NEW_REQUEST, { request: toWebhookRequest(request) });
+
+    if (highPriority) {
+        await publishWebhookEvent(WEBHOOK_EVENTS.HIGH_PRIORITY_ALERT, { request: toWebhookRequest(request) });
+    }
+};
+
+/**
+ * Publish a status change (and a delivery when the request was delivered)
+ * @param {Object} request - Saved ReliefRequest
+ * @param {string} previousStatus - Status before the change
+ */
+const publishStatusChange = async (request, previousStatus) => {
+    const data = {
+        previousStatus,
+        newStatus: request.status,
+        request: toWebhookRequest(request)
+    };
+
+    await publishWebhookEvent(WEBHOOK_EVENTS.STATUS_UPDATED, data);
+
+    if (request.status === 'DELIVERED' && previousStatus !== 'DELIVERED') {
+        await publishWebhookEvent(WEBHOOK_EVENTS.DELIVERED, data);
+    }
+};
+
+/**
+ * Send a logged delivery again (same event ID and payload, fresh attempts)
+ * @param {string} deliveryId - Delivery to replay
+ * @returns {Promise<Object>} New delivery
+ */
+const replayDelivery = async (deliveryId) => {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original) {
+        throw new HttpError(404, 'Webhook delivery not found');
+    }
+
+    const subscription = await WebhookSubscription.findById(original.subscription);
+    if (!subscription || !subscription.isActive) {
+        throw new HttpError(409, 'The webhook of this delivery was removed or deactivated');
+    }
+
+    const replay = await WebhookDelivery.create({
+        subscription: original.subscription,
+        event: original.event,
+        eventId: original.eventId,
+        payload: original.payload,
+        replayOf: original._id
+    });
+
+    kickDispatch();
+    return replay;
+};
+
+module.exports = {
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_DISPATCH_INTERVAL_SECONDS,
+    createSubscription,
+    updateSubscription,
+    processWebhookDeliveries,
+    publishWebhookEvent,
+    publishNewRequest,
+    publishStatusChange,
+    replayDelivery
+};
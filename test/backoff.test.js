@@ -0,0 +1,50 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBackoffDelay, getNextAttemptAt } = require('../utils/backoff');
+
+describe('getBackoffDelay', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('doubles the delay with each attempt, jittered between half and all of it', () => {
+        for (let attempt = 1; attempt <= 6; attempt++) {
+            const exponential = 1000 * 2 ** (attempt - 1);
+
+            mock.method(Math, 'random', () => 0);
+            assert.equal(getBackoffDelay(attempt, { baseMs: 1000 }), exponential / 2);
+
+            mock.method(Math, 'random', () => 1 - Number.EPSILON);
+            assert.equal(getBackoffDelay(attempt, { baseMs: 1000 }), exponential);
+        }
+    });
+
+    it('stays within its bounds', () => {
+        for (let attempt = 1; attempt <= 20; attempt++) {
+            const exponential = Math.min(60000, 1000 * 2 ** (attempt - 1));
+            const delay = getBackoffDelay(attempt, { baseMs: 1000, maxMs: 60000 });
+
+            assert.ok(delay >= exponential / 2 && delay <= exponential, `attempt ${attempt}: ${delay}`);
+        }
+    });
+
+    it('caps the delay at maxMs', () => {
+        mock.method(Math, 'random', () => 1 - Number.EPSILON);
+
+        assert.equal(getBackoffDelay(50), 6 * 60 * 60 * 1000);
+        assert.equal(getBackoffDelay(10, { baseMs: 1000, maxMs: 5000 }), 5000);
+    });
+
+    it('treats attempt 0 like the first retry', () => {
+        mock.method(Math, 'random', () => 0);
+
+        assert.equal(getBackoffDelay(0), getBackoffDelay(1));
+    });
+});
+
+describe('getNextAttemptAt', () => {
+    it('schedules the retry after the backoff delay', () => {
+        const before = Date.now();
+        const next = getNextAttemptAt(1, { baseMs: 1000 }).getTime();
+
+        assert.ok(next >= before + 500 && next <= Date.now() + 1000);
+    });
+});
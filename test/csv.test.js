@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCsvValue, unescapeCsvValue, toCsvRow, parseCsv } = require('../utils/csv');
+
+describe('parseCsv', () => {
+    it('reads back the rows toCsvRow writes', () => {
+        const rows = [
+            ['name', 'address', 'description'],
+            ['Asha', '12, Station Road', 'Says "urgent"'],
+            ['Ravi', '', 'First line\r\nsecond line'],
+            ['', 'line\nbreak', 'trailing comma,']
+        ];
+
+        assert.deepEqual(parseCsv(rows.map(toCsvRow).join('')), rows);
+    });
+
+    it('round-trips values that look like formulas', () => {
+        const values = ['=SUM(A1:A2)', '+91 98765 43210', '-5', '@home', 'plain'];
+        const [parsed] = parseCsv(toCsvRow(values));
+
+        assert.equal(parsed[0], "'=SUM(A1:A2)");
+        assert.deepEqual(parsed.map(unescapeCsvValue), values);
+    });
+
+    it('accepts LF line endings, a BOM and no final line break', () => {
+        assert.deepEqual(parseCsv('﻿a,b\n1,2\n3,"4\n5"'), [['a', 'b'], ['1', '2'], ['3', '4\n5']]);
+    });
+
+    it('keeps blank lines as a single empty field', () => {
+        assert.deepEqual(parseCsv('a\r\n\r\nb\r\n'), [['a'], [''], ['b']]);
+    });
+
+    it('rejects an unterminated quoted field', () => {
+        assert.throws(() => parseCsv('a,"b\r\nc'), /Unterminated quoted field/);
+    });
+});
+
+describe('escapeCsvValue', () => {
+    it('writes empty, date and number values', () => {
+        assert.equal(escapeCsvValue(null), '');
+        assert.equal(escapeCsvValue(undefined), '');
+        assert.equal(escapeCsvValue(new Date('2024-06-01T00:00:00Z')), '2024-06-01T00:00:00.000Z');
+        assert.equal(escapeCsvValue(-3), '-3');
+    });
+});
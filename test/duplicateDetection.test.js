@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { scoreDuplicate, mergeDuplicate, dismissDuplicateFlag } = require('../services/duplicateDetection.service');
+
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const makeRequest = (fields = {}) => ({
+    name: 'Asha Verma',
+    location: { district: 'Bhopal', latitude: 23.2599, longitude: 77.4126 },
+    aidType: 'food-water',
+    contactPhone: '+91 98000 00001',
+    requestedBy: ADMIN_ID,
+    channel: 'app',
+    ...fields
+});
+
+describe('scoreDuplicate', () => {
+    it('matches the phone of a request that is not saved yet', () => {
+        const { reasons } = scoreDuplicate(makeRequest(), makeRequest());
+
+        assert.ok(reasons.includes('same contact phone'));
+    });
+
+    it('ignores the shared requester of imported requests', () => {
+        const imported = makeRequest({ channel: 'import' });
+        const other = makeRequest({ channel: 'import', name: 'Ravi Kumar', contactPhone: '' });
+
+        assert.ok(!scoreDuplicate(imported, other).reasons.includes('same requester'));
+        assert.ok(scoreDuplicate(makeRequest(), other).reasons.includes('same requester'));
+    });
+});
+
+describe('dismissDuplicateFlag', () => {
+    it('refuses requests that are not flagged', async () => {
+        for (const status of ['CLEAR', 'MERGED', 'DISMISSED']) {
+            const request = { duplicateCheck: { status }, save: () => assert.fail('should not save') };
+
+            await assert.rejects(dismissDuplicateFlag(request, { _id: ADMIN_ID }), { status: 409 });
+            assert.equal(request.duplicateCheck.status, status);
+        }
+    });
+});
+
+describe('mergeDuplicate', () => {
+    const primary = { _id: new mongoose.Types.ObjectId(), status: 'PENDING' };
+
+    it('refuses requests that are not flagged or not pending', async () => {
+        const cases = [
+            { status: 'PENDING', duplicateCheck: { status: 'CLEAR' } },
+            { status: 'PENDING', duplicateCheck: { status: 'DISMISSED' } },
+            { status: 'IN_TRANSIT', duplicateCheck: { status: 'FLAGGED' } }
+        ];
+
+        for (const fields of cases) {
+            const duplicate = { _id: new mongoose.Types.ObjectId(), ...fields };
+
+            await assert.rejects(mergeDuplicate(duplicate, primary, { _id: ADMIN_ID }), { status: 409 });
+            assert.equal(duplicate.status, fields.status);
+            assert.equal(duplicate.duplicateOf, undefined);
+        }
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ReliefRequest = require('../models/ReliefRequest');
+const Warehouse = require('../models/Warehouse');
+const StockItem = require('../models/StockItem');
+const { reserveStock, takeConsumedStock, releaseStock } = require('../services/inventory.service');
+
+const WAREHOUSE_ID = new mongoose.Types.ObjectId();
+const STOCK_ITEM_ID = new mongoose.Types.ObjectId();
+
+describe('stock reservations', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('keeps consumed reservations of an earlier trip when reserving again', async () => {
+        mock.method(Warehouse, 'find', () => ({ select: () => ({ lean: async () => [{ _id: WAREHOUSE_ID }] }) }));
+        mock.method(StockItem, 'findOneAndUpdate', async () => ({ _id: STOCK_ITEM_ID, warehouse: WAREHOUSE_ID }));
+
+        const request = new ReliefRequest({
+            name: 'Asha',
+            location: { district: 'Bhopal' },
+            aidType: 'food-water',
+            vulnerabilityCategory: 'child',
+            items: [{ aidType: 'food-water', quantity: 3, fulfilledQuantity: 1 }],
+            stockReservations: [{
+                stockItem: STOCK_ITEM_ID,
+                warehouse: WAREHOUSE_ID,
+                aidType: 'food-water',
+                quantity: 1,
+                consumedAt: new Date('2024-06-01T00:00:00Z')
+            }]
+        });
+
+        const reservations = await reserveStock(request);
+
+        assert.deepEqual(reservations.map(({ quantity }) => quantity), [2]);
+        assert.deepEqual(request.stockReservations.map(({ quantity, consumedAt }) => [quantity, Boolean(consumedAt)]),
+            [[1, true], [2, false]]);
+
+        // Releasing the new trip leaves the delivered part on record
+        assert.equal(releaseStock(request).length, 1);
+        assert.equal(request.stockReservations.length, 1);
+        assert.ok(request.stockReservations[0].consumedAt);
+    });
+
+    it('never takes stock below zero', async () => {
+        const updates = [];
+        mock.method(StockItem, 'updateOne', async (filter, update) => updates.push(update));
+
+        await takeConsumedStock([{ stockItem: STOCK_ITEM_ID, quantity: 4 }]);
+
+        const [[{ $set }]] = updates;
+        assert.deepEqual($set.quantity, { $max: [0, { $subtract: ['$quantity', 4] }] });
+        assert.deepEqual($set.reserved, { $max: [0, { $subtract: ['$reserved', 4] }] });
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getActivePolicy,
+    getVulnerabilityScore,
+    getMedicalUrgencyScore,
+    getHouseholdVulnerabilityScore,
+    scoreRequest
+} = require('../utils/priorityCalculator');
+const { MAX_HEADCOUNT } = require('../utils/aidRequirements');
+
+// The active policy with some scores replaced
+const policyWith = ({ vulnerabilityScores = {}, medicalUrgencyScores = {} }) => {
+    const policy = getActivePolicy();
+    return {
+        ...policy,
+        vulnerabilityScores: { ...policy.vulnerabilityScores, ...vulnerabilityScores },
+        medicalUrgencyScores: { ...policy.medicalUrgencyScores, ...medicalUrgencyScores }
+    };
+};
+
+describe('component scores', () => {
+    it('respects a score of 0 set in the policy', () => {
+        const policy = policyWith({ vulnerabilityScores: { adult: 0 }, medicalUrgencyScores: { shelter: 0 } });
+
+        assert.equal(getVulnerabilityScore('adult', policy), 0);
+        assert.equal(getMedicalUrgencyScore('shelter', policy), 0);
+    });
+
+    it('falls back to 1 for unknown keys', () => {
+        assert.equal(getVulnerabilityScore('unknown-category'), 1);
+        assert.equal(getMedicalUrgencyScore('unknown-aid'), 1);
+        assert.equal(getVulnerabilityScore('constructor'), 1);
+    });
+});
+
+describe('scoreRequest', () => {
+    const request = (fields) => ({
+        aidType: 'food-water',
+        vulnerabilityCategory: 'child',
+        createdAt: new Date('2024-06-01T00:00:00Z'),
+        ...fields
+    });
+
+    it('counts people in the headcount who are not listed as members', () => {
+        const single = scoreRequest(request({ headcount: 1 }));
+        const household = scoreRequest(request({ headcount: 8 }));
+
+        assert.ok(household.vulnerabilityScore > single.vulnerabilityScore);
+        assert.equal(household.vulnerabilityScore,
+            getVulnerabilityScore('child') + getActivePolicy().householdWeight * 7 * getVulnerabilityScore('adult'));
+    });
+
+    it('scores listed members by category and the rest as adults', () => {
+        const members = [{ vulnerabilityCategory: 'elderly' }, { vulnerabilityCategory: 'child' }];
+        const listedOnly = scoreRequest(request({ members, headcount: 2 }));
+        const withOthers = scoreRequest(request({ members, headcount: 4 }));
+
+        assert.equal(withOthers.vulnerabilityScore - listedOnly.vulnerabilityScore,
+            getActivePolicy().householdWeight * 2 * getVulnerabilityScore('adult'));
+    });
+});
+
+describe('household cap', () => {
+    const createdAt = new Date('2024-06-01T00:00:00Z');
+
+    it('keeps an inflated headcount below a critical single request', () => {
+        const household = scoreRequest({
+            aidType: 'food-water',
+            vulnerabilityCategory: 'child',
+            headcount: MAX_HEADCOUNT,
+            createdAt
+        });
+        const critical = scoreRequest({
+            aidType: 'life-saving-medicine',
+            vulnerabilityCategory: 'pregnant',
+            headcount: 1,
+            createdAt
+        });
+
+        assert.equal(household.vulnerabilityScore, getActivePolicy().caps.householdVulnerabilityScore);
+        assert.ok(household.priorityScore < critical.priorityScore,
+            `household ${household.priorityScore} vs critical ${critical.priorityScore}`);
+    });
+
+    it('applies the cap of the policy', () => {
+        const policy = { ...getActivePolicy(), caps: { ...getActivePolicy().caps, householdVulnerabilityScore: 6 } };
+
+        assert.equal(getHouseholdVulnerabilityScore(Array(20).fill('elderly'), policy), 6);
+        assert.equal(getHouseholdVulnerabilityScore(['elderly', 'child'], policy), 5);
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MaxHeapPriorityQueue, PartitionedPriorityQueue, takeTop } = require('../services/priorityQueue.service');
+
+const CREATED_AT = new Date('2024-06-01T00:00:00Z');
+
+// A request whose priority only depends on its vulnerability score
+const makeRequest = (id, score, createdAt = CREATED_AT, district = 'Bhopal') => ({
+    _id: id,
+    vulnerabilityScore: score,
+    medicalUrgencyScore: 0,
+    createdAt,
+    location: { district }
+});
+
+// Deterministic pseudo-random numbers in [0, 1)
+const makeRandom = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+};
+
+const makeQueue = (requests = []) => {
+    const queue = new MaxHeapPriorityQueue({ persist: false });
+    requests.forEach(request => queue.insert(request));
+    return queue;
+};
+
+// Every request must be found at the index the map points to
+const assertIndexed = (queue) => {
+    assert.equal(queue.requestMap.size, queue.heap.length);
+    queue.heap.forEach((request, index) => {
+        assert.equal(queue.requestMap.get(request._id), index, `index of ${request._id}`);
+    });
+};
+
+describe('MaxHeapPriorityQueue', () => {
+    it('removes the requested element after a remove moved another one', () => {
+        const queue = makeQueue([
+            makeRequest('a', 10),
+            makeRequest('b', 5),
+            makeRequest('c', 8),
+            makeRequest('d', 1)
+        ]);
+
+        assert.equal(queue.removeById('b')._id, 'b');
+        queue.insert(makeRequest('e', 3));
+
+        assert.equal(queue.removeById('d')._id, 'd');
+        assert.deepEqual(queue.getAll().map(request => request._id), ['a', 'c', 'e']);
+        assertIndexed(queue);
+    });
+
+    it('keeps ids and indices in sync over mixed operations', () => {
+        const queue = makeQueue();
+        const expected = new Map();
+        const random = makeRandom(7);
+
+        for (let step = 0; step < 500; step++) {
+            const ids = [...expected.keys()];
+            const action = random();
+
+            if (ids.length === 0 || action < 0.5) {
+                const id = `r${step}`;
+                const score = Math.floor(random() * 50);
+                queue.insert(makeRequest(id, score));
+                expected.set(id, score);
+            } else if (action < 0.8) {
+                const id = ids[Math.floor(random() * ids.length)];
+                assert.equal(queue.removeById(id)._id, id);
+                expected.delete(id);
+            } else {
+                const removed = queue.extractMax();
+                const best = Math.max(...expected.values());
+                assert.equal(expected.get(removed._id), best);
+                expected.delete(removed._id);
+            }
+
+            assertIndexed(queue);
+        }
+    });
+
+    it('returns null when removing an unknown id', () => {
+        const queue = makeQueue([makeRequest('a', 1)]);
+
+        assert.equal(queue.removeById('missing'), null);
+        assert.equal(queue.size(), 1);
+    });
+});
+
+describe('PartitionedPriorityQueue', () => {
+    it('finds requests by id until they are removed', () => {
+        const queue = new PartitionedPriorityQueue({ persist: false });
+        const requests = [
+            makeRequest('a', 10, CREATED_AT, 'Bhopal'),
+            makeRequest('b', 5, CREATED_AT, 'Indore'),
+            makeRequest('c', 8, CREATED_AT, 'Bhopal'),
+            makeRequest('d', 1, CREATED_AT, 'Bhopal')
+        ];
+        requests.forEach(request => queue.insert(request));
+
+        assert.equal(queue.removeById('a')._id, 'a');
+        assert.equal(queue.get('a'), null);
+        assert.equal(queue.removeById('a'), null);
+
+        for (const id of ['b', 'c', 'd']) {
+            assert.equal(queue.get(id)._id, id);
+        }
+        assert.equal(queue.get('c').location.district, 'Bhopal');
+        assert.equal(queue.size(), 3);
+    });
+});
+
+describe('takeTop', () => {
+    it('matches a full sort of several heaps', () => {
+        const random = makeRandom(11);
+        const queues = ['Bhopal', 'Indore', 'Sagar'].map((district, d) => makeQueue(
+            Array.from({ length: 40 + d * 15 }, (_, i) => makeRequest(
+                `${district}-${i}`,
+                Math.floor(random() * 30),
+                new Date(CREATED_AT.getTime() + Math.floor(random() * 86400000)),
+                district
+            ))
+        ));
+        const heaps = queues.map(queue => queue.heap);
+        const sorted = heaps.flat().sort((a, b) => b.queueKey - a.queueKey);
+
+        for (const k of [0, 1, 5, 37, sorted.length, sorted.length + 10]) {
+            assert.deepEqual(
+                takeTop(heaps, k).map(request => request.queueKey),
+                sorted.slice(0, k).map(request => request.queueKey),
+                `top ${k}`
+            );
+        }
+    });
+
+    it('takes nothing from empty heaps', () => {
+        assert.deepEqual(takeTop([[], []], 3), []);
+    });
+});
@@ -0,0 +1,294 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { createClient } = require('redis');
+const RedisMock = require('ioredis-mock');
+const { MaxHeapPriorityQueue, SharedPriorityQueue } = require('../services/priorityQueue.service');
+const { connectRedis, disconnectRedis } = require('../config/redis');
+
+const CREATED_AT = new Date('2024-06-01T00:00:00Z');
+
+const makeRequest = (id, score, district = 'Bhopal') => ({
+    _id: id,
+    vulnerabilityScore: score,
+    medicalUrgencyScore: 0,
+    createdAt: CREATED_AT,
+    location: { district }
+});
+
+// RESP2 reply for a value returned by the in-memory Redis
+const encode = (value) => {
+    if (value instanceof Error) return `-ERR ${value.message}\r\n`;
+    if (value === null || value === undefined || value === false) return '$-1\r\n';
+    if (Number.isInteger(value)) return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    if (typeof value === 'object') return encode(Object.entries(value).flat());
+
+    const text = value.toString();
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+};
+
+// Read the complete RESP2 commands (arrays of bulk strings) at the start of a buffer
+const decodeCommands = (buffer) => {
+    const commands = [];
+    let offset = 0;
+
+    const readLine = (from) => {
+        const end = buffer.indexOf('\r\n', from);
+        return end === -1 ? null : { text: buffer.toString('utf8', from, end), next: end + 2 };
+    };
+
+    while (offset < buffer.length) {
+        const header = readLine(offset);
+        if (!header) break;
+
+        const command = [];
+        let position = header.next;
+        for (let i = 0; i < Number(header.text.slice(1)) && position !== null; i++) {
+            const length = readLine(position);
+            const end = length && length.next + Number(length.text.slice(1));
+            if (!length || end + 2 > buffer.length) {
+                position = null;
+                break;
+            }
+            command.push(buffer.toString('utf8', length.next, end));
+            position = end + 2;
+        }
+        if (position === null) break;
+
+        commands.push(command);
+        offset = position;
+    }
+
+    return { commands, rest: buffer.subarray(offset) };
+};
+
+/**
+ * A Redis server on a local port for the real node-redis client: commands run
+ * on ioredis-mock (Lua scripts included), pub/sub is handled here. Every
+ * command received is recorded.
+ */
+const startFakeRedis = async () => {
+    const store = new RedisMock();
+    const subscribers = new Map();
+    const received = [];
+
+    const run = async (socket, [name, ...args]) => {
+        const command = name.toUpperCase();
+        received.push([command, ...args]);
+
+        switch (command) {
+        case 'CLIENT':
+        case 'QUIT':
+            return 'OK';
+        case 'SUBSCRIBE':
+            return args.map((channel, index) => {
+                subscribers.set(channel, [...(subscribers.get(channel) || []), socket]);
+                return ['subscribe', channel, index + 1];
+            });
+        case 'PUBLISH': {
+            const listeners = subscribers.get(args[0]) || [];
+            listeners.forEach(listener => listener.write(encode(['message', args[0], args[1]])));
+            return listeners.length;
+        }
+        default:
+            return store[command.toLowerCase()](...args);
+        }
+    };
+
+    const server = net.createServer((socket) => {
+        let pending = Buffer.alloc(0);
+        let queue = Promise.resolve();
+
+        socket.on('data', (chunk) => {
+            const { commands, rest } = decodeCommands(Buffer.concat([pending, chunk]));
+            pending = rest;
+
+            // One command at a time, in order, as Redis does
+            for (const command of commands) {
+                queue = queue
+                    .then(() => run(socket, command))
+                    .then(
+                        reply => [].concat(command[0].toUpperCase() === 'SUBSCRIBE' ? reply : [reply])
+                            .forEach(part => socket.write(encode(part))),
+                        error => socket.write(encode(error))
+                    );
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `redis://127.0.0.1:${server.address().port}`,
+        received,
+        flush: () => store.flushall(),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+// Redis Cluster hash slot group of a key: its {hash tag} when it has one
+const hashTag = (key) => {
+    const match = key.match(/\{([^}]+)\}/);
+    return match ? match[1] : key;
+};
+
+let redis;
+
+before(async () => {
+    redis = await startFakeRedis();
+});
+
+after(() => redis.close());
+
+beforeEach(() => redis.flush());
+
+describe('SharedPriorityQueue', () => {
+    let clients;
+
+    const startQueue = async () => {
+        const client = createClient({ url: redis.url });
+        const subscriber = client.duplicate();
+        await Promise.all([client.connect(), subscriber.connect()]);
+        clients.push(client, subscriber);
+
+        const queue = new SharedPriorityQueue(client, subscriber);
+        await queue.start();
+        return queue;
+    };
+
+    beforeEach(() => {
+        clients = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.disconnect()));
+    });
+
+    it('hands a request to only one of the instances claiming it', async () => {
+        const first = await startQueue();
+        const second = await startQueue();
+        await first.loadFromArray([makeRequest('a', 10), makeRequest('b', 5)]);
+        await second.reload();
+
+        const [fromFirst, fromSecond] = await Promise.all([
+            first.extractMany(['a']),
+            second.extractMany(['a'])
+        ]);
+
+        assert.equal(fromFirst.length + fromSecond.length, 1);
+        assert.equal([...fromFirst, ...fromSecond][0]._id, 'a');
+
+        const rest = await second.extractMany(['a', 'b']);
+        assert.deepEqual(rest.map(request => request._id), ['b']);
+    });
+
+    it('pops every request exactly once across instances', async () => {
+        const first = await startQueue();
+        const second = await startQueue();
+        const requests = Array.from({ length: 20 }, (_, i) => makeRequest(`r${i}`, i, i % 2 ? 'Bhopal' : 'Indore'));
+        await first.loadFromArray(requests);
+
+        const popped = [];
+        const drain = async (queue) => {
+            let request;
+            while ((request = await queue.extractMax())) {
+                popped.push(request);
+            }
+        };
+        await Promise.all([drain(first), drain(second)]);
+
+        assert.deepEqual(popped.map(request => request._id).sort(), requests.map(request => request._id).sort());
+        assert.equal(await first.extractMax(), null);
+    });
+
+    it('pops the highest priority request of the given districts', async () => {
+        const queue = await startQueue();
+        await queue.loadFromArray([makeRequest('a', 10, 'Bhopal'), makeRequest('b', 30, 'Indore'), makeRequest('c', 20, 'Bhopal')]);
+
+        assert.equal((await queue.extractMax('Bhopal'))._id, 'c');
+        assert.equal((await queue.extractMax('Sagar')), null);
+        assert.equal((await queue.extractMax())._id, 'b');
+        assert.equal(queue.has('b'), false);
+    });
+
+    it('moves a request to its new district', async () => {
+        const first = await startQueue();
+        const second = await startQueue();
+        await first.loadFromArray([makeRequest('a', 10, 'Bhopal')]);
+
+        await first.insert(makeRequest('a', 10, 'Indore'));
+
+        assert.equal(await second.extractMax('Bhopal'), null);
+        assert.equal((await second.extractMax('Indore'))._id, 'a');
+    });
+
+    it('does not queue a just-claimed request again when reconciling', async () => {
+        const first = await startQueue();
+        const second = await startQueue();
+        const request = makeRequest('a', 10);
+        await first.loadFromArray([request]);
+
+        const [claimed] = await first.extractMany(['a']);
+        assert.equal(claimed._id, 'a');
+
+        // Another instance reconciling from a stale read of the database
+        assert.equal(await second.loadFromArray([request], { skipClaimed: true }), 0);
+        assert.equal(await second.updatePriority('a', request), null);
+        assert.equal(await second.reload(), 0);
+
+        // An explicit insert (e.g. the request was reopened) still queues it
+        await second.insert(request);
+        assert.equal(await first.reload(), 1);
+    });
+
+    it('declares every key its scripts use, all in one cluster slot', async () => {
+        const queue = await startQueue();
+        const from = redis.received.length;
+
+        await queue.loadFromArray([makeRequest('a', 10, 'Bhopal'), makeRequest('b', 5, 'Indore')]);
+        await queue.insert(makeRequest('a', 10, 'Indore'));
+        await queue.extractMany(['b']);
+        await queue.extractMax();
+
+        const scripts = redis.received.slice(from).filter(([command]) => command === 'EVAL');
+        assert.equal(scripts.length, 4);
+
+        for (const [, script, keyCount, ...rest] of scripts) {
+            const keys = rest.slice(0, Number(keyCount));
+
+            assert.deepEqual([...new Set(keys.map(hashTag))], ['relief:queue']);
+            assert.ok(['bhopal', 'indore'].every(district => keys.includes(`{relief:queue}:z:${district}`)), keys.join(', '));
+            // Keys are only ever read from KEYS, never built from ARGV
+            assert.doesNotMatch(script, /redis\.call\('\w+', ARGV/);
+            assert.doesNotMatch(script, /ARGV\[\d+\] \.\./);
+        }
+    });
+});
+
+describe('MaxHeapPriorityQueue persistence', () => {
+    before(async () => {
+        process.env.REDIS_URL = redis.url;
+        await connectRedis();
+    });
+
+    after(() => disconnectRedis());
+
+    it('restores the queue from the changes written to Redis', async () => {
+        const queue = new MaxHeapPriorityQueue({ redisKey: 'test:queue' });
+        [makeRequest('a', 10), makeRequest('b', 5), makeRequest('c', 8)].forEach(request => queue.insert(request));
+        queue.removeById('b');
+        queue.updatePriority('c', { vulnerabilityScore: 20 });
+
+        // Same connection, so this runs after the writes above
+        const restored = new MaxHeapPriorityQueue({ redisKey: 'test:queue' });
+        assert.equal(await restored.loadFromRedis(), 2);
+        assert.deepEqual(restored.getAll().map(request => request._id), ['c', 'a']);
+
+        // Each change writes only the requests it touched, never the whole queue
+        const writes = redis.received.filter(([command]) => ['ZADD', 'ZREM', 'DEL'].includes(command));
+        assert.deepEqual(writes.map(args => `${args[0]} ${args[args.length - 1]}`),
+            ['ZADD a', 'ZADD b', 'ZADD c', 'ZREM b', 'ZADD c']);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { CSV_COLUMNS, toExportRecord, toCsvValues } = require('../services/export.service');
+const { parseImportRows } = require('../services/requestImport.service');
+const { buildRequest } = require('../services/requestIntake.service');
+const { toCsvRow } = require('../utils/csv');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+// A stored request as the export reads it
+const storedRequest = {
+    _id: new mongoose.Types.ObjectId(),
+    trackingCode: 'ABCD2345',
+    status: 'PENDING',
+    channel: 'app',
+    createdAt: new Date('2024-06-01T10:00:00Z'),
+    name: '=Asha, "Didi"',
+    location: { district: 'Bhopal', address: 'Ward 4, Near the school', latitude: 23.2599, longitude: 77.4126 },
+    aidType: 'food-water',
+    items: [
+        { aidType: 'food-water', quantity: 2, fulfilledQuantity: 0 },
+        { aidType: 'shelter', quantity: 1, fulfilledQuantity: 0 }
+    ],
+    vulnerabilityCategory: 'elderly',
+    members: [
+        { name: 'Ram Kumar', vulnerabilityCategory: 'elderly', age: 70 },
+        { vulnerabilityCategory: 'child', age: 4 },
+        { vulnerabilityCategory: 'adult' }
+    ],
+    headcount: 4,
+    priorityScore: 42,
+    contactPhone: '+91 98000 00001',
+    description: '-Roof gone\nNeeds tarp'
+};
+
+const exportCsv = (requests) => [CSV_COLUMNS, ...requests.map(request =>
+    toCsvValues(toExportRecord(request, new Set())))].map(toCsvRow).join('');
+
+const readRows = (csv) => parseImportRows(csv, 'csv').map(({ row, read }) => {
+    try {
+        return { row, input: read() };
+    } catch (error) {
+        return { row, error: error.message };
+    }
+});
+
+describe('CSV import', () => {
+    it('imports a file written by the CSV export', () => {
+        const [{ row, input }] = readRows(exportCsv([storedRequest]));
+        const request = buildRequest(input, admin, 'import');
+
+        assert.equal(row, 2);
+        assert.equal(request.name, storedRequest.name);
+        assert.equal(request.contactPhone, storedRequest.contactPhone);
+        assert.equal(request.description, storedRequest.description);
+        assert.deepEqual({ ...request.location.toObject(), geo: undefined }, { ...storedRequest.location, geo: undefined });
+        assert.deepEqual(request.items.map(({ aidType, quantity }) => ({ aidType, quantity })),
+            storedRequest.items.map(({ aidType, quantity }) => ({ aidType, quantity })));
+        assert.deepEqual(request.members.map(({ name, vulnerabilityCategory, age }) => ({ name, vulnerabilityCategory, age })), [
+            { name: 'Ram Kumar', vulnerabilityCategory: 'elderly', age: 70 },
+            { name: undefined, vulnerabilityCategory: 'child', age: 4 },
+            { name: undefined, vulnerabilityCategory: 'adult', age: null }
+        ]);
+        assert.equal(request.headcount, 4);
+    });
+
+    it('rejects rows whose items were partly delivered', () => {
+        const delivered = {
+            ...storedRequest,
+            items: [{ aidType: 'food-water', quantity: 2, fulfilledQuantity: 1 }]
+        };
+        const [{ error }] = readRows(exportCsv([delivered]));
+
+        assert.match(error, /start undelivered/);
+    });
+
+    it('accepts the short item and member formats', () => {
+        const csv = 'name,district,items,members\r\nAsha,Bhopal,food-water:3; shelter,child:4; elderly\r\n';
+        const [{ input }] = readRows(csv);
+
+        assert.deepEqual(input.items, [{ aidType: 'food-water', quantity: 3 }, { aidType: 'shelter' }]);
+        assert.deepEqual(input.members, [{ vulnerabilityCategory: 'child', age: 4 }, { vulnerabilityCategory: 'elderly' }]);
+    });
+
+    it('reports malformed items with the row number', () => {
+        const csv = 'name,district,items\r\nAsha,Bhopal,food-water\r\nRavi,Indore,food-water:lots\r\n';
+
+        assert.deepEqual(readRows(csv).map(({ row, error }) => [row, Boolean(error)]), [[2, false], [3, true]]);
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ReliefRequest = require('../models/ReliefRequest');
+const { buildRequest } = require('../services/requestIntake.service');
+const { MAX_HEADCOUNT } = require('../utils/aidRequirements');
+
+const victim = { _id: new mongoose.Types.ObjectId(), role: 'victim' };
+
+const input = (fields) => ({
+    name: 'Asha',
+    location: { district: 'Bhopal' },
+    aidType: 'food-water',
+    vulnerabilityCategory: 'child',
+    ...fields
+});
+
+describe('buildRequest', () => {
+    it('accepts a household up to the largest headcount', () => {
+        assert.equal(buildRequest(input({ headcount: MAX_HEADCOUNT }), victim, 'app').headcount, MAX_HEADCOUNT);
+    });
+
+    it('rejects a larger headcount or member list', () => {
+        const members = Array.from({ length: MAX_HEADCOUNT + 1 }, () => ({ vulnerabilityCategory: 'adult' }));
+
+        assert.throws(() => buildRequest(input({ headcount: MAX_HEADCOUNT + 1 }), victim, 'app'),
+            error => error.status === 400 && /Headcount/.test(error.message));
+        assert.throws(() => buildRequest(input({ members }), victim, 'app'),
+            error => error.status === 400 && /at most/.test(error.message));
+    });
+});
+
+describe('ReliefRequest', () => {
+    it('enforces the largest headcount', async () => {
+        const request = buildRequest(input({}), victim, 'app');
+        request.headcount = MAX_HEADCOUNT + 1;
+
+        await assert.rejects(request.validate(), error => Boolean(error.errors.headcount));
+    });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ReliefRequest = require('../models/ReliefRequest');
+const { transitionStatus } = require('../services/requestStatus.service');
+
+const volunteer = { _id: new mongoose.Types.ObjectId(), role: 'volunteer' };
+
+describe('transitionStatus', () => {
+    it('assigns pending requests only through a dequeue claim', async () => {
+        const request = new ReliefRequest({
+            name: 'Asha',
+            location: { district: 'Bhopal' },
+            aidType: 'food-water',
+            vulnerabilityCategory: 'child',
+            requestedBy: new mongoose.Types.ObjectId()
+        });
+
+        for (const user of [volunteer, { ...volunteer, role: 'admin' }]) {
+            await assert.rejects(transitionStatus(request, 'IN_TRANSIT', { user }),
+                error => error.status === 409 && /dequeue/.test(error.message));
+        }
+        assert.equal(request.status, 'PENDING');
+        assert.equal(request.statusHistory.length, 0);
+    });
+});
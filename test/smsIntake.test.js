@@ -0,0 +1,29 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { findOrCreateVictimByPhone } = require('../services/smsIntake.service');
+
+describe('findOrCreateVictimByPhone', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('uses the account another message registered at the same time', async () => {
+        const registered = { _id: 'u1', phone: '+91 98000 00001' };
+        const lookups = [null, registered];
+        mock.method(User, 'findOne', () => ({ sort: async () => lookups.shift() }));
+        mock.method(User, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        });
+
+        assert.equal(await findOrCreateVictimByPhone('+91 98000 00001', 'Ram', 'sms'), registered);
+        assert.equal(User.create.mock.callCount(), 1);
+    });
+
+    it('passes on other errors', async () => {
+        mock.method(User, 'findOne', () => ({ sort: async () => null }));
+        mock.method(User, 'create', async () => {
+            throw new Error('connection lost');
+        });
+
+        await assert.rejects(findOrCreateVictimByPhone('+91 98000 00001', 'Ram', 'sms'), /connection lost/);
+    });
+});
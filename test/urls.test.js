@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { isPublicAddress, resolvesToPublicHost, postToPublicUrl } = require('../utils/urls');
+
+describe('isPublicAddress', () => {
+    it('rejects loopback, private, link-local and unspecified addresses', () => {
+        ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0',
+            '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'].forEach((address) => {
+            assert.equal(isPublicAddress(address), false, address);
+        });
+    });
+
+    it('accepts public addresses', () => {
+        ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111'].forEach((address) => {
+            assert.equal(isPublicAddress(address), true, address);
+        });
+    });
+});
+
+describe('resolvesToPublicHost', () => {
+    it('rejects URLs pointing at the server or internal network', async () => {
+        for (const url of ['http://localhost:6379', 'http://127.0.0.1/', 'http://[::1]/', 'http://0x7f000001/',
+            'http://169.254.169.254/latest/meta-data', 'not a url']) {
+            assert.equal(await resolvesToPublicHost(url), false, url);
+        }
+    });
+
+    it('accepts a public IP literal', async () => {
+        assert.equal(await resolvesToPublicHost('https://8.8.8.8/hook'), true);
+    });
+});
+
+describe('postToPublicUrl', () => {
+    let server;
+    let hits = 0;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            hits++;
+            res.end('ok');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('never connects to an internal address, by name or by IP', async () => {
+        const { port } = server.address();
+
+        for (const url of [`http://localhost:${port}/hook`, `http://127.0.0.1:${port}/hook`, `http://0x7f000001:${port}/hook`]) {
+            await assert.rejects(postToPublicUrl(url, { body: '{}' }), { code: 'ENOTPUBLIC' }, url);
+        }
+        assert.equal(hits, 0);
+    });
+
+    it('refuses other protocols', async () => {
+        await assert.rejects(postToPublicUrl('ftp://8.8.8.8/hook'), /Cannot call ftp:/);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Aid Requirements Utility
+ * What a relief request needs: carrying capacity and stock per aid type
+ */
+
+const { readNumber } = require('./env');
+
+// People one aid kit covers (households need one kit per this many people)
+const PEOPLE_PER_KIT = Math.max(1, readNumber('AID_PEOPLE_PER_KIT', 4));
+
+// Most people (and listed members) one request can be for; larger groups file several requests
+const MAX_HEADCOUNT = 50;
+
+/**
+ * Kits of one aid type a request needs for its headcount
+ * @param {Object} request - Relief request
+ * @returns {number} Kits
+ */
+function getKitsForHeadcount(request) {
+    const headcount = Math.max(1, request.headcount || 1, (request.members || []).length);
+    return Math.ceil(headcount / PEOPLE_PER_KIT);
+}
+
+/**
+ * Stock a request still needs, per aid type: its items that are not fully
+ * delivered, or its single aid type scaled to the headcount
+ * @param {Object} request - Relief request
+ * @returns {Object[]} [{ aidType, quantity }]
+ */
+function getAidRequirements(request) {
+    if (Array.isArray(request.items) && request.items.length > 0) {
+        return request.items
+            .map(item => ({ aidType: item.aidType, quantity: item.quantity - (item.fulfilledQuantity || 0) }))
+            .filter(item => item.quantity > 0);
+    }
+
+    return [{ aidType: request.aidType, quantity: getKitsForHeadcount(request) }];
+}
+
+/**
+ * Units of capacity a request needs (one per outstanding kit)
+ * @param {Object} request - Relief request
+ * @returns {number} Load in kits
+ */
+function getRequestLoad(request) {
+    return getAidRequirements(request).reduce((total, { quantity }) => total + quantity, 0);
+}
+
+module.exports = {
+    PEOPLE_PER_KIT,
+    MAX_HEADCOUNT,
+    getKitsForHeadcount,
+    getRequestLoad,
+    getAidRequirements
+};
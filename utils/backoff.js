@@ -0,0 +1,33 @@
+/**
+ * Backoff Utility
+ * Retry delays for deliveries to external services (notifications, webhooks)
+ */
+
+/**
+ * Exponential backoff with jitter: baseMs, 2 x baseMs, 4 x baseMs... capped at maxMs,
+ * each randomized to between half and all of that value so retries do not arrive in bursts
+ * @param {number} attempt - Failed attempts so far (1 for the first retry)
+ * @param {Object} [options]
+ * @param {number} [options.baseMs] - Delay before the first retry
+ * @param {number} [options.maxMs] - Longest delay
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, { baseMs = 30000, maxMs = 6 * 60 * 60 * 1000 } = {}) {
+    const exponential = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Time of the next retry after a failed attempt
+ * @param {number} attempt - Failed attempts so far
+ * @param {Object} [options] - See getBackoffDelay
+ * @returns {Date} Next attempt time
+ */
+function getNextAttemptAt(attempt, options) {
+    return new Date(Date.now() + getBackoffDelay(attempt, options));
+}
+
+module.exports = {
+    getBackoffDelay,
+    getNextAttemptAt
+};
@@ -0,0 +1,174 @@
+/**
+ * Catalogue Utility
+ * Aid types and vulnerability categories requests can use, with localized labels
+ *
+ * Entries are managed by admins (see models/CatalogueEntry.js). DEFAULT_CATALOGUE
+ * applies until the catalogue is loaded from the database. Scores are not part of
+ * the catalogue: they come from the active priority policy.
+ */
+
+const { VULNERABILITY_SCORES, MEDICAL_URGENCY_SCORES } = require('./priorityCalculator');
+
+const CATALOGUE_KINDS = {
+    AID_TYPE: 'aidType',
+    VULNERABILITY_CATEGORY: 'vulnerabilityCategory'
+};
+
+// Locale used when an entry has no label in the requested one
+const DEFAULT_LOCALE = 'en';
+
+// Short codes of the built-in entries, typed in SMS requests
+const DEFAULT_CODES = {
+    'life-saving-medicine': 'M',
+    'serious-injury': 'I',
+    'regular-medicine': 'R',
+    'food-water': 'F',
+    'shelter': 'S',
+    'pregnant': 'P',
+    'elderly': 'E',
+    'child': 'C',
+    'disabled': 'D',
+    'adult': 'A'
+};
+
+/**
+ * Turn a catalogue key into a readable English label ("food-water" -> "Food Water")
+ * @param {string} key - Catalogue key
+ * @returns {string} Label
+ */
+function labelFromKey(key) {
+    return key.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+const buildDefaultEntries = (kind, table) => Object.keys(table).map((key, index) => ({
+    kind,
+    key,
+    labels: { [DEFAULT_LOCALE]: labelFromKey(key) },
+    code: DEFAULT_CODES[key] || null,
+    isActive: true,
+    sortOrder: index
+}));
+
+// Built-in catalogue, used until the database catalogue is loaded
+const DEFAULT_CATALOGUE = Object.freeze([
+    ...buildDefaultEntries(CATALOGUE_KINDS.AID_TYPE, MEDICAL_URGENCY_SCORES),
+    ...buildDefaultEntries(CATALOGUE_KINDS.VULNERABILITY_CATEGORY, VULNERABILITY_SCORES)
+]);
+
+let catalogue = DEFAULT_CATALOGUE;
+
+/**
+ * Get every catalogue entry (active and retired)
+ * @returns {Object[]} Entries { kind, key, labels, code, isActive, sortOrder }
+ */
+function getCatalogue() {
+    return catalogue;
+}
+
+/**
+ * Replace the catalogue
+ * @param {Object[]} entries - Plain catalogue entries
+ */
+function setCatalogue(entries) {
+    catalogue = entries && entries.length > 0 ? entries : DEFAULT_CATALOGUE;
+}
+
+/**
+ * Get the entries of one kind, in display order
+ * @param {string} kind - CATALOGUE_KINDS value
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive] - Also return retired entries
+ * @returns {Object[]} Entries
+ */
+function getEntries(kind, { includeInactive = false } = {}) {
+    return catalogue
+        .filter(entry => entry.kind === kind && (includeInactive || entry.isActive))
+        .sort((a, b) => a.sortOrder - b.sortOrder || a.key.localeCompare(b.key));
+}
+
+/**
+ * Keys of the aid types requests can use
+ * @param {Object} [options] - See getEntries
+ * @returns {string[]} Aid type keys
+ */
+function getAidTypeKeys(options) {
+    return getEntries(CATALOGUE_KINDS.AID_TYPE, options).map(entry => entry.key);
+}
+
+/**
+ * Keys of the vulnerability categories requests can use
+ * @param {Object} [options] - See getEntries
+ * @returns {string[]} Vulnerability category keys
+ */
+function getVulnerabilityCategoryKeys(options) {
+    return getEntries(CATALOGUE_KINDS.VULNERABILITY_CATEGORY, options).map(entry => entry.key);
+}
+
+/**
+ * Check whether an aid type exists in the catalogue (retired ones included,
+ * so existing requests stay valid)
+ * @param {string} key - Aid type
+ * @returns {boolean}
+ */
+function isKnownAidType(key) {
+    return getAidTypeKeys({ includeInactive: true }).includes(key);
+}
+
+/**
+ * Check whether a vulnerability category exists in the catalogue (retired ones included)
+ * @param {string} key - Vulnerability category
+ * @returns {boolean}
+ */
+function isKnownVulnerabilityCategory(key) {
+    return getVulnerabilityCategoryKeys({ includeInactive: true }).includes(key);
+}
+
+/**
+ * Find an active entry from what a user typed: its short code, its key, or its
+ * 1-based position in the menu (as listed by getEntries)
+ * @param {string} kind - CATALOGUE_KINDS value
+ * @param {string} input - Typed value
+ * @returns {Object|null} Entry
+ */
+function findEntryByInput(kind, input) {
+    const value = (input || '').toString().trim().toLowerCase();
+    if (!value) return null;
+
+    const entries = getEntries(kind);
+
+    if (/^\d+$/.test(value)) {
+        return entries[Number(value) - 1] || null;
+    }
+
+    return entries.find(entry => (entry.code || '').toLowerCase() === value || entry.key === value) || null;
+}
+
+/**
+ * Pick an entry's label for a locale ("hi-IN" falls back to "hi", then English, then the key)
+ * @param {Object} entry - Catalogue entry
+ * @param {string} [locale] - Requested locale
+ * @returns {string} Label
+ */
+function getLabel(entry, locale = DEFAULT_LOCALE) {
+    const labels = entry.labels || {};
+    const requested = (locale || DEFAULT_LOCALE).toLowerCase();
+    const language = requested.split('-')[0];
+
+    return labels[requested] || labels[language] || labels[DEFAULT_LOCALE] || labelFromKey(entry.key);
+}
+
+module.exports = {
+    CATALOGUE_KINDS,
+    DEFAULT_LOCALE,
+    DEFAULT_CATALOGUE,
+    labelFromKey,
+    getCatalogue,
+    setCatalogue,
+    getEntries,
+    getAidTypeKeys,
+    getVulnerabilityCategoryKeys,
+    isKnownAidType,
+    isKnownVulnerabilityCategory,
+    findEntryByInput,
+    getLabel
+};
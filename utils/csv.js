@@ -0,0 +1,107 @@
+/**
+ * CSV Utility
+ * Formats rows as RFC 4180 CSV for spreadsheet exports, and parses CSV uploads
+ *
+ * Text that starts like a formula (=, +, -, @) is prefixed with a quote so
+ * spreadsheets show it instead of evaluating it (CSV injection); unescapeCsvValue
+ * removes that quote again when a file is read back.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one value as a CSV field
+ * @param {*} value - Value (null/undefined become empty, dates ISO strings)
+ * @returns {string} CSV field
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : value.toString();
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo the formula guard of escapeCsvValue on a parsed field
+ * @param {string} text - Field text
+ * @returns {string} Original text
+ */
+function unescapeCsvValue(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Format a row of values as a CSV line (with the line break)
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+function toCsvRow(values) {
+    return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields (with commas,
+ * doubled quotes and line breaks), CRLF or LF line endings and a UTF-8 BOM.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, blank lines included as a single empty field
+ * @throws {Error} When a quoted field is never closed
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+
+    // Last line without a trailing line break
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+module.exports = {
+    escapeCsvValue,
+    unescapeCsvValue,
+    toCsvRow,
+    parseCsv
+};
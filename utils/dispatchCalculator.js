@@ -0,0 +1,157 @@
+/**
+ * Dispatch Calculator Utility
+ * Blends a request's priority with its distance from the volunteer so that
+ * dispatch stays priority-driven but geographically sane
+ *
+ * Formula: dispatchScore = priorityScore - (distanceKm × distancePenaltyPerKm)
+ */
+
+const { readNumber } = require('./env');
+const { getRequestLoad, getAidRequirements } = require('./aidRequirements');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Dispatch tuning (configurable through environment variables)
+const DISPATCH_CONFIG = {
+    // Priority points lost for every kilometre between volunteer and request
+    DISTANCE_PENALTY_PER_KM: readNumber('DISPATCH_DISTANCE_PENALTY_PER_KM', 0.5),
+    // Requests further than this are never offered (null = no limit)
+    MAX_DISTANCE_KM: readNumber('DISPATCH_MAX_DISTANCE_KM', null),
+    // Penalty when the distance is unknown and the request is outside the volunteer's district
+    DISTRICT_MISMATCH_PENALTY: readNumber('DISPATCH_DISTRICT_MISMATCH_PENALTY', 25),
+    // Batch dequeue only groups requests within this distance of the head request
+    BATCH_CLUSTER_RADIUS_KM: readNumber('DISPATCH_BATCH_CLUSTER_RADIUS_KM', 10)
+};
+
+/**
+ * Check whether an object carries usable latitude/longitude values
+ * @param {Object} point - Object with latitude and longitude
+ * @returns {boolean}
+ */
+function hasCoordinates(point) {
+    return Boolean(point) &&
+        typeof point.latitude === 'number' && Number.isFinite(point.latitude) &&
+        typeof point.longitude === 'number' && Number.isFinite(point.longitude);
+}
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in kilometres
+ */
+function haversineDistance(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Normalize a district name for comparisons
+ * @param {string} district - District name
+ * @returns {string} Lower-cased, trimmed district
+ */
+function normalizeDistrict(district) {
+    return (district || '').toString().trim().toLowerCase();
+}
+
+/**
+ * Calculate the dispatch score of a queued request for a volunteer origin
+ * @param {Object} request - Queued request (needs priorityScore and location)
+ * @param {Object} origin - Volunteer position { latitude, longitude, district }
+ * @returns {Object|null} { dispatchScore, distanceKm } or null if the request is out of range
+ */
+function calculateDispatchScore(request, origin) {
+    const location = request.location || {};
+    const sameDistrict = Boolean(origin.district) &&
+        normalizeDistrict(origin.district) === normalizeDistrict(location.district);
+
+    if (hasCoordinates(origin) && hasCoordinates(location)) {
+        const distanceKm = haversineDistance(origin, location);
+
+        if (DISPATCH_CONFIG.MAX_DISTANCE_KM !== null && distanceKm > DISPATCH_CONFIG.MAX_DISTANCE_KM) {
+            return null;
+        }
+
+        return {
+            dispatchScore: request.priorityScore - (distanceKm * DISPATCH_CONFIG.DISTANCE_PENALTY_PER_KM),
+            distanceKm: Math.round(distanceKm * 100) / 100
+        };
+    }
+
+    // Distance unknown: fall back to comparing districts
+    return {
+        dispatchScore: sameDistrict
+            ? request.priorityScore
+            : request.priorityScore - DISPATCH_CONFIG.DISTRICT_MISMATCH_PENALTY,
+        distanceKm: null
+    };
+}
+
+/**
+ * Pick a batch of requests for one volunteer trip.
+ * The head is the highest-priority request the volunteer can carry; the rest
+ * are compatible requests clustered around it, taken in priority order until
+ * the capacity is used up.
+ * @param {Object[]} candidates - Queued requests sorted by priority (highest first)
+ * @param {Object} options
+ * @param {number} options.capacity - Kits the volunteer can carry
+ * @param {string[]} [options.supportedAidTypes] - Aid types the volunteer handles (empty = all)
+ * @param {number} [options.clusterRadiusKm] - Max distance from the head request
+ * @returns {Object[]} Selected requests, head first, each with distanceFromHeadKm
+ */
+function selectBatch(candidates, { capacity, supportedAidTypes = [], clusterRadiusKm = DISPATCH_CONFIG.BATCH_CLUSTER_RADIUS_KM }) {
+    const isCompatible = (request) =>
+        (supportedAidTypes.length === 0 ||
+            getAidRequirements(request).every(({ aidType }) => supportedAidTypes.includes(aidType))) &&
+        getRequestLoad(request) <= capacity;
+
+    const head = candidates.find(isCompatible);
+    if (!head) {
+        return [];
+    }
+
+    const headLocation = head.location || {};
+    const batch = [{ request: head, distanceFromHeadKm: 0 }];
+    let remaining = capacity - getRequestLoad(head);
+
+    for (const request of candidates) {
+        if (remaining <= 0) break;
+        if (request === head || !isCompatible(request) || getRequestLoad(request) > remaining) continue;
+
+        const location = request.location || {};
+        let distanceKm = null;
+
+        if (hasCoordinates(headLocation) && hasCoordinates(location)) {
+            distanceKm = haversineDistance(headLocation, location);
+            if (distanceKm > clusterRadiusKm) continue;
+        } else if (normalizeDistrict(headLocation.district) !== normalizeDistrict(location.district)) {
+            // Without coordinates, only cluster within the head's district
+            continue;
+        }
+
+        batch.push({
+            request,
+            distanceFromHeadKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100
+        });
+        remaining -= getRequestLoad(request);
+    }
+
+    return batch;
+}
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    selectBatch,
+    hasCoordinates,
+    haversineDistance,
+    normalizeDistrict,
+    calculateDispatchScore,
+    DISPATCH_CONFIG
+};
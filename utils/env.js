@@ -0,0 +1,19 @@
+/**
+ * Environment Helpers
+ * Read typed settings from environment variables
+ */
+
+/**
+ * Read a numeric setting, falling back when unset or invalid
+ * @param {string} name - Environment variable name
+ * @param {*} fallback - Value used when the variable is missing or not a number
+ * @returns {number|*} Parsed number or the fallback
+ */
+function readNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+module.exports = {
+    readNumber
+};
@@ -0,0 +1,15 @@
+/**
+ * HTTP Error
+ * Error carrying the HTTP status a route should answer with
+ * (the error handler in server.js also reads `status`)
+ */
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = HttpError;
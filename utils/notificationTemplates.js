@@ -0,0 +1,72 @@
+/**
+ * Notification Templates
+ * Message text sent to users for each request event, per channel
+ */
+
+// Events users can be notified about
+const NOTIFICATION_EVENTS = {
+    NEW_REQUEST: 'newRequest',
+    REQUEST_DEQUEUED: 'requestDequeued',
+    STATUS_UPDATED: 'statusUpdated'
+};
+
+// Transports notifications can go out on
+const NOTIFICATION_CHANNELS = ['sms', 'email', 'push', 'webhook'];
+
+// Readable status ("IN_TRANSIT" -> "in transit")
+const describeStatus = (status) => (status || '').replace(/_/g, ' ').toLowerCase();
+
+// Reference victims can quote (tracking code, else the request ID)
+const reference = (request) => request.trackingCode || request._id.toString();
+
+const TEMPLATES = {
+    [NOTIFICATION_EVENTS.NEW_REQUEST]: {
+        subject: ({ request }) => `Relief request ${reference(request)} received`,
+        text: ({ request }) => `Your request for ${request.name} in ${request.location.district} was received ` +
+            `and is in the queue. Tracking code: ${reference(request)}.`
+    },
+    [NOTIFICATION_EVENTS.REQUEST_DEQUEUED]: {
+        subject: ({ request }) => `Aid on the way for request ${reference(request)}`,
+        // The delivery code is included so victims without the app can hand it to the volunteer
+        text: ({ request, deliveryCode }) => `A volunteer is on the way with your aid (request ${reference(request)}).` +
+            (deliveryCode ? ` Give them delivery code ${deliveryCode} when it arrives.` : '')
+    },
+    [NOTIFICATION_EVENTS.STATUS_UPDATED]: {
+        subject: ({ request }) => `Request ${reference(request)} is ${describeStatus(request.status)}`,
+        text: ({ request, previousStatus, reason }) => `Your request ${reference(request)} changed from ` +
+            `${describeStatus(previousStatus)} to ${describeStatus(request.status)}.` +
+            (reason ? ` ${reason}.` : '')
+    }
+};
+
+// SMS are kept to a single message
+const SMS_MAX_LENGTH = 160;
+
+/**
+ * Render the message for an event
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {string} channel - Channel the message goes out on
+ * @param {Object} context - { request, previousStatus, deliveryCode, reason }
+ * @returns {Object} { subject, body }
+ */
+function renderNotification(event, channel, context) {
+    const template = TEMPLATES[event];
+    if (!template) {
+        throw new Error(`No notification template for event ${event}`);
+    }
+
+    const subject = template.subject(context);
+    let body = template.text(context);
+
+    if (channel === 'sms' && body.length > SMS_MAX_LENGTH) {
+        body = `${body.slice(0, SMS_MAX_LENGTH - 3)}...`;
+    }
+
+    return { subject, body };
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_CHANNELS,
+    renderNotification
+};
@@ -1,8 +1,18 @@
 /**
  * Priority Calculator Utility
  * Calculates dynamic priority score for relief requests
- * 
- * Formula: priorityScore = (vulnerabilityScore × 5) + (medicalUrgencyScore × 10) + (waitingTimeInMinutes × 0.1)
+ *
+ * Formula: priorityScore = (vulnerabilityScore × W1) + (medicalUrgencyScore × W2) + (waitingTimeInMinutes × agingRate)
+ *
+ * For a household, vulnerabilityScore = score of the most vulnerable member
+ *                                      + householdWeight × (sum of the other members' scores),
+ *                                      capped at caps.householdVulnerabilityScore
+ * People counted in the headcount but not listed as members score as adults.
+ * For several aid items, medicalUrgencyScore = score of the most urgent outstanding item
+ *                                            + itemWeight × (sum of the other outstanding items' scores)
+ *
+ * Weights, score tables, aging rate and caps come from the active priority policy
+ * (see models/PriorityPolicy.js). DEFAULT_POLICY applies until one is saved.
  */
 
 // Vulnerability category to score mapping
@@ -23,77 +33,313 @@ const MEDICAL_URGENCY_SCORES = {
     'shelter': 1
 };
 
+// Category of people in a request's headcount who are not listed as members
+const UNLISTED_MEMBER_CATEGORY = 'adult';
+
 // Weights for priority calculation
 const WEIGHTS = {
     VULNERABILITY: 5,
     MEDICAL_URGENCY: 10,
-    WAITING_TIME: 0.1
+    WAITING_TIME: 0.1,
+    HOUSEHOLD_MEMBER: 0.25,
+    ADDITIONAL_ITEM: 0.25
 };
 
+// Built-in policy, used until an admin saves the first version
+const DEFAULT_POLICY = Object.freeze({
+    version: 0,
+    weights: {
+        vulnerability: WEIGHTS.VULNERABILITY,
+        medicalUrgency: WEIGHTS.MEDICAL_URGENCY
+    },
+    agingRate: WEIGHTS.WAITING_TIME, // Points per minute of waiting
+    householdWeight: WEIGHTS.HOUSEHOLD_MEMBER, // Share of each additional member's score
+    itemWeight: WEIGHTS.ADDITIONAL_ITEM, // Share of each additional aid item's score
+    vulnerabilityScores: VULNERABILITY_SCORES,
+    medicalUrgencyScores: MEDICAL_URGENCY_SCORES,
+    caps: {
+        vulnerabilityScore: 5,  // Highest vulnerability score a single person can carry
+        medicalUrgencyScore: 5, // Highest medical urgency score a single aid item can carry
+        householdVulnerabilityScore: 10 // Highest vulnerability score a whole household can carry
+    }
+});
+
+let activePolicy = DEFAULT_POLICY;
+
+// Reference time for queue ordering keys (see calculateQueueKey)
+const QUEUE_KEY_EPOCH = Date.UTC(2024, 0, 1);
+
 /**
- * Calculate priority score for a relief request
- * @param {number} vulnerabilityScore - Score from 1-5
- * @param {number} medicalUrgencyScore - Score from 1-5
+ * Get the policy currently used for scoring
+ * @returns {Object} Active priority policy
+ */
+function getActivePolicy() {
+    return activePolicy;
+}
+
+/**
+ * Replace the policy used for scoring
+ * @param {Object} policy - Plain policy object (see DEFAULT_POLICY)
+ */
+function setActivePolicy(policy) {
+    activePolicy = policy || DEFAULT_POLICY;
+}
+
+/**
+ * Clamp a component score to the policy cap
+ */
+function applyCap(score, cap) {
+    return typeof cap === 'number' ? Math.min(score, cap) : score;
+}
+
+/**
+ * Break a priority score down into its weighted components
+ * @param {number} vulnerabilityScore - Vulnerability score
+ * @param {number} medicalUrgencyScore - Medical urgency score
  * @param {Date|string} createdAt - When the request was created
- * @returns {number} Calculated priority score
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
+ * @returns {Object} Vulnerability, medical and waiting-time components plus the total
  */
-function calculatePriority(vulnerabilityScore, medicalUrgencyScore, createdAt) {
+function calculatePriorityBreakdown(vulnerabilityScore, medicalUrgencyScore, createdAt, policy = getActivePolicy()) {
     const now = new Date();
     const createdTime = new Date(createdAt);
     const waitingTimeMs = now - createdTime;
     const waitingTimeMinutes = Math.max(0, waitingTimeMs / 60000);
 
-    const priorityScore =
-        (vulnerabilityScore * WEIGHTS.VULNERABILITY) +
-        (medicalUrgencyScore * WEIGHTS.MEDICAL_URGENCY) +
-        (waitingTimeMinutes * WEIGHTS.WAITING_TIME);
+    const round = (value) => Math.round(value * 100) / 100; // Round to 2 decimal places
 
-    return Math.round(priorityScore * 100) / 100; // Round to 2 decimal places
+    const vulnerabilityPoints = vulnerabilityScore * policy.weights.vulnerability;
+    const medicalUrgencyPoints = medicalUrgencyScore * policy.weights.medicalUrgency;
+    const waitingTimePoints = waitingTimeMinutes * policy.agingRate;
+
+    return {
+        vulnerability: {
+            score: vulnerabilityScore,
+            weight: policy.weights.vulnerability,
+            points: round(vulnerabilityPoints)
+        },
+        medicalUrgency: {
+            score: medicalUrgencyScore,
+            weight: policy.weights.medicalUrgency,
+            points: round(medicalUrgencyPoints)
+        },
+        waitingTime: {
+            minutes: round(waitingTimeMinutes),
+            rate: policy.agingRate,
+            points: round(waitingTimePoints)
+        },
+        priorityScore: round(vulnerabilityPoints + medicalUrgencyPoints + waitingTimePoints),
+        policyVersion: policy.version
+    };
+}
+
+/**
+ * Calculate priority score for a relief request
+ * @param {number} vulnerabilityScore - Vulnerability score
+ * @param {number} medicalUrgencyScore - Medical urgency score
+ * @param {Date|string} createdAt - When the request was created
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
+ * @returns {number} Calculated priority score
+ */
+function calculatePriority(vulnerabilityScore, medicalUrgencyScore, createdAt, policy = getActivePolicy()) {
+    return calculatePriorityBreakdown(vulnerabilityScore, medicalUrgencyScore, createdAt, policy).priorityScore;
+}
+
+/**
+ * Time-invariant ordering key for a queued request: its priority as of
+ * QUEUE_KEY_EPOCH, with waiting time going negative for later requests.
+ * Every request ages at the same rate, so ordering by this key matches ordering
+ * by current priority at any moment without re-scoring anything
+ * (current priority = key + agingRate × minutes since QUEUE_KEY_EPOCH).
+ * @param {number} vulnerabilityScore - Vulnerability score
+ * @param {number} medicalUrgencyScore - Medical urgency score
+ * @param {Date|string} createdAt - When the request was created
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
+ * @returns {number} Ordering key
+ */
+function calculateQueueKey(vulnerabilityScore, medicalUrgencyScore, createdAt, policy = getActivePolicy()) {
+    const staticPoints = vulnerabilityScore * policy.weights.vulnerability +
+        medicalUrgencyScore * policy.weights.medicalUrgency;
+    const minutesAfterEpoch = (new Date(createdAt).getTime() - QUEUE_KEY_EPOCH) / 60000;
+
+    return staticPoints - minutesAfterEpoch * policy.agingRate;
 }
 
 /**
  * Get vulnerability score from category
  * @param {string} category - Vulnerability category
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
  * @returns {number} Vulnerability score
  */
-function getVulnerabilityScore(category) {
-    return VULNERABILITY_SCORES[category.toLowerCase()] || 1;
+function getVulnerabilityScore(category, policy = getActivePolicy()) {
+    const key = category.toLowerCase();
+    // A score of 0 set by an admin counts; only unknown keys fall back to 1
+    const score = Object.hasOwn(policy.vulnerabilityScores, key) ? policy.vulnerabilityScores[key] : 1;
+    return applyCap(score, policy.caps.vulnerabilityScore);
 }
 
 /**
  * Get medical urgency score from aid type
  * @param {string} aidType - Type of aid requested
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
+ * @returns {number} Medical urgency score
+ */
+function getMedicalUrgencyScore(aidType, policy = getActivePolicy()) {
+    const key = aidType.toLowerCase();
+    // A score of 0 set by an admin counts; only unknown keys fall back to 1
+    const score = Object.hasOwn(policy.medicalUrgencyScores, key) ? policy.medicalUrgencyScores[key] : 1;
+    return applyCap(score, policy.caps.medicalUrgencyScore);
+}
+
+/**
+ * Combine several component scores: the highest counts in full, the others
+ * add the given share of their score
+ */
+function combineScores(scores, weight) {
+    const sorted = [...scores].sort((a, b) => b - a);
+    const others = sorted.slice(1).reduce((total, score) => total + score, 0);
+
+    return Math.round((sorted[0] + weight * others) * 100) / 100;
+}
+
+/**
+ * Get the vulnerability score of a household from its members' categories
+ * @param {string|string[]} categories - Vulnerability category of each member
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
+ * @returns {number} Vulnerability score
+ */
+function getHouseholdVulnerabilityScore(categories, policy = getActivePolicy()) {
+    const scores = [].concat(categories).map(category => getVulnerabilityScore(category, policy));
+
+    if (scores.length === 0) {
+        return getVulnerabilityScore('', policy);
+    }
+
+    const householdWeight = typeof policy.householdWeight === 'number'
+        ? policy.householdWeight
+        : WEIGHTS.HOUSEHOLD_MEMBER;
+
+    // Large households rank above single people, but not without bound
+    return applyCap(combineScores(scores, householdWeight), policy.caps.householdVulnerabilityScore);
+}
+
+/**
+ * Get the medical urgency score of a request for several aid items
+ * @param {string|string[]} aidTypes - Aid type of each outstanding item
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
  * @returns {number} Medical urgency score
  */
-function getMedicalUrgencyScore(aidType) {
-    return MEDICAL_URGENCY_SCORES[aidType.toLowerCase()] || 1;
+function getMixedMedicalUrgencyScore(aidTypes, policy = getActivePolicy()) {
+    const scores = [].concat(aidTypes).map(aidType => getMedicalUrgencyScore(aidType, policy));
+
+    if (scores.length === 0) {
+        return getMedicalUrgencyScore('', policy);
+    }
+
+    const itemWeight = typeof policy.itemWeight === 'number'
+        ? policy.itemWeight
+        : WEIGHTS.ADDITIONAL_ITEM;
+
+    return combineScores(scores, itemWeight);
+}
+
+/**
+ * Vulnerability categories a request is scored on: one per listed household
+ * member (or the request's own category when none are listed), plus
+ * UNLISTED_MEMBER_CATEGORY for each other person in the headcount
+ * @param {Object} request - Relief request ({ members, vulnerabilityCategory, headcount })
+ * @returns {string[]} Categories
+ */
+function getRequestCategories(request) {
+    const listed = Array.isArray(request.members) && request.members.length > 0
+        ? request.members.map(member => member.vulnerabilityCategory)
+        : [request.vulnerabilityCategory];
+    const unlisted = Math.max(0, (Number.isInteger(request.headcount) ? request.headcount : 0) - listed.length);
+
+    return [...listed, ...Array(unlisted).fill(UNLISTED_MEMBER_CATEGORY)];
+}
+
+/**
+ * Aid types a request is scored on: its items that are not fully delivered,
+ * or the request's own aid type for single-item requests
+ * @param {Object} request - Relief request
+ * @returns {string[]} Aid types
+ */
+function getRequestAidTypes(request) {
+    const outstanding = (request.items || [])
+        .filter(item => (item.fulfilledQuantity || 0) < item.quantity)
+        .map(item => item.aidType);
+
+    return outstanding.length > 0 ? outstanding : [request.aidType];
+}
+
+/**
+ * Get the vulnerability category score table of the active policy
+ * @returns {Object} Category to score mapping
+ */
+function getVulnerabilityScores() {
+    return getActivePolicy().vulnerabilityScores;
+}
+
+/**
+ * Get the aid type score table of the active policy
+ * @returns {Object} Aid type to score mapping
+ */
+function getMedicalUrgencyScores() {
+    return getActivePolicy().medicalUrgencyScores;
 }
 
 /**
  * Calculate full priority from categories
- * @param {string} vulnerabilityCategory - Vulnerability category
- * @param {string} aidType - Type of aid
+ * @param {string|string[]} vulnerabilityCategory - Vulnerability category, or one per household member
+ * @param {string|string[]} aidType - Type of aid, or one per aid item
  * @param {Date|string} createdAt - Creation time
- * @returns {Object} Scores and calculated priority
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
+ * @returns {Object} Scores, calculated priority and the policy version used
  */
-function calculateFullPriority(vulnerabilityCategory, aidType, createdAt) {
-    const vulnerabilityScore = getVulnerabilityScore(vulnerabilityCategory);
-    const medicalUrgencyScore = getMedicalUrgencyScore(aidType);
-    const priorityScore = calculatePriority(vulnerabilityScore, medicalUrgencyScore, createdAt);
+function calculateFullPriority(vulnerabilityCategory, aidType, createdAt, policy = getActivePolicy()) {
+    const vulnerabilityScore = getHouseholdVulnerabilityScore(vulnerabilityCategory, policy);
+    const medicalUrgencyScore = getMixedMedicalUrgencyScore(aidType, policy);
+    const priorityScore = calculatePriority(vulnerabilityScore, medicalUrgencyScore, createdAt, policy);
 
     return {
         vulnerabilityScore,
         medicalUrgencyScore,
-        priorityScore
+        priorityScore,
+        policyVersion: policy.version
     };
 }
 
+/**
+ * Re-score an existing request under a policy
+ * @param {Object} request - Request with vulnerabilityCategory (or members), aidType (or items) and createdAt
+ * @param {Object} [policy] - Priority policy (defaults to the active policy)
+ * @returns {Object} Scores, calculated priority and the policy version used
+ */
+function scoreRequest(request, policy = getActivePolicy()) {
+    return calculateFullPriority(getRequestCategories(request), getRequestAidTypes(request), request.createdAt, policy);
+}
+
 module.exports = {
     calculatePriority,
+    calculatePriorityBreakdown,
+    calculateQueueKey,
     getVulnerabilityScore,
     getMedicalUrgencyScore,
+    getHouseholdVulnerabilityScore,
+    getRequestCategories,
+    getMixedMedicalUrgencyScore,
+    getRequestAidTypes,
+    getVulnerabilityScores,
+    getMedicalUrgencyScores,
     calculateFullPriority,
+    scoreRequest,
+    getActivePolicy,
+    setActivePolicy,
+    DEFAULT_POLICY,
+    QUEUE_KEY_EPOCH,
+    UNLISTED_MEMBER_CATEGORY,
     VULNERABILITY_SCORES,
     MEDICAL_URGENCY_SCORES,
     WEIGHTS
-};
\ No newline at end of file
+};
@@ -0,0 +1,256 @@
+/**
+ * Request Filters Utility
+ * Turns request search query parameters into a MongoDB filter, and handles
+ * limit/offset values and cursor pagination for list endpoints
+ *
+ * Cursors encode the sort value and _id of the last request of a page, so the
+ * next page starts right after it even when new requests arrive in between.
+ */
+
+const { isValidStatus } = require('./requestStateMachine');
+
+// Page size limits for GET /api/requests
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Longest accepted text search
+const MAX_SEARCH_LENGTH = 100;
+
+// Orders a search can be sorted in (always descending, ties broken by _id)
+const SORT_FIELDS = {
+    newest: 'createdAt',
+    priority: 'priorityScore'
+};
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Escape a user value for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a comma-separated (or repeated) query value into a list
+ * @param {string|string[]} value - Query value
+ * @returns {string[]|undefined} Values, or undefined when none are given
+ */
+function parseList(value) {
+    if (value === undefined || value === null) return undefined;
+
+    const values = [].concat(value)
+        .flatMap(entry => entry.toString().split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    return values.length > 0 ? values : undefined;
+}
+
+/**
+ * Condition matching requests in any of the given districts (case-insensitive)
+ * @param {string[]} districts - District names
+ * @returns {Object} MongoDB condition
+ */
+function matchDistricts(districts) {
+    return {
+        'location.district': { $in: districts.map(district => new RegExp(`^${escapeRegex(district)}$`, 'i')) }
+    };
+}
+
+/**
+ * Parse a limit (or offset) query value
+ * @param {string} value - Query value
+ * @param {Object} options - { defaultValue, min, max }
+ * @returns {number|null} The value, or null when it is not a whole number in range
+ */
+function parseInteger(value, { defaultValue, min = 0, max = Infinity }) {
+    if (value === undefined || value === '') return defaultValue;
+
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Encode the position after a request as a cursor
+ * @param {Object} request - Last request of a page
+ * @param {string} sort - SORT_FIELDS key
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(request, sort) {
+    const value = request[SORT_FIELDS[sort]];
+    const cursor = { s: sort, v: value instanceof Date ? value.toISOString() : value, i: request._id.toString() };
+
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a cursor into a filter matching the requests after it
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - SORT_FIELDS key the search uses
+ * @returns {Object|null} Filter, or null when the cursor is invalid or for another sort
+ */
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+
+    if (!decoded || decoded.s !== sort || !OBJECT_ID_PATTERN.test(decoded.i || '')) {
+        return null;
+    }
+
+    const field = SORT_FIELDS[sort];
+    const value = field === 'createdAt' ? new Date(decoded.v) : decoded.v;
+    if (field === 'createdAt' ? Number.isNaN(value.getTime()) : typeof value !== 'number') {
+        return null;
+    }
+
+    return {
+        $or: [
+            { [field]: { $lt: value } },
+            { [field]: value, _id: { $lt: decoded.i } }
+        ]
+    };
+}
+
+/**
+ * Build a request search from query parameters
+ *
+ * Filters: status, district, aidType, vulnerabilityCategory (comma-separated lists),
+ * from/to (createdAt range), assignedTo (user ID, or "me" with options.userId),
+ * minPriority/maxPriority (stored priority score) and q (text in name, description
+ * or address). Paging: limit, cursor and sort ("newest" or "priority").
+ *
+ * @param {Object} query - Query parameters
+ * @param {Object} [options]
+ * @param {string} [options.userId] - ID "assignedTo=me" stands for
+ * @returns {Object} { filter, sort, sortSpec, limit, errors }
+ */
+function buildRequestSearch(query, { userId } = {}) {
+    const errors = [];
+    const conditions = [];
+
+    const statuses = parseList(query.status);
+    if (statuses) {
+        const normalized = statuses.map(status => status.toUpperCase());
+        const unknown = normalized.filter(status => !isValidStatus(status));
+
+        if (unknown.length > 0) {
+            errors.push(`Unknown status: ${unknown.join(', ')}`);
+        } else {
+            conditions.push({ status: { $in: normalized } });
+        }
+    }
+
+    const districts = parseList(query.district);
+    if (districts) {
+        conditions.push(matchDistricts(districts));
+    }
+
+    // Match a request's own value or any of its items/members
+    const aidTypes = parseList(query.aidType);
+    if (aidTypes) {
+        conditions.push({ $or: [{ aidType: { $in: aidTypes } }, { 'items.aidType': { $in: aidTypes } }] });
+    }
+
+    const categories = parseList(query.vulnerabilityCategory);
+    if (categories) {
+        conditions.push({
+            $or: [
+                { vulnerabilityCategory: { $in: categories } },
+                { 'members.vulnerabilityCategory': { $in: categories } }
+            ]
+        });
+    }
+
+    const createdAt = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+        if (query[param] === undefined) continue;
+
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            errors.push(`${param} must be a valid date`);
+        } else {
+            createdAt[operator] = date;
+        }
+    }
+    if (Object.keys(createdAt).length > 0) {
+        conditions.push({ createdAt });
+    }
+
+    if (query.assignedTo !== undefined) {
+        const assignee = query.assignedTo === 'me' ? userId && userId.toString() : query.assignedTo;
+
+        if (!assignee || !OBJECT_ID_PATTERN.test(assignee)) {
+            errors.push('assignedTo must be a user ID or "me"');
+        } else {
+            conditions.push({ assignedTo: assignee });
+        }
+    }
+
+    const priorityScore = {};
+    for (const [param, operator] of [['minPriority', '$gte'], ['maxPriority', '$lte']]) {
+        if (query[param] === undefined) continue;
+
+        const value = Number(query[param]);
+        if (query[param] === '' || !Number.isFinite(value)) {
+            errors.push(`${param} must be a number`);
+        } else {
+            priorityScore[operator] = value;
+        }
+    }
+    if (Object.keys(priorityScore).length > 0) {
+        conditions.push({ priorityScore });
+    }
+
+    if (query.q !== undefined) {
+        const text = query.q.toString().trim();
+
+        if (text.length > MAX_SEARCH_LENGTH) {
+            errors.push(`q must be at most ${MAX_SEARCH_LENGTH} characters`);
+        } else if (text) {
+            const pattern = new RegExp(escapeRegex(text), 'i');
+            conditions.push({
+                $or: [{ name: pattern }, { description: pattern }, { 'location.address': pattern }]
+            });
+        }
+    }
+
+    const sort = query.sort || 'newest';
+    if (!SORT_FIELDS[sort]) {
+        errors.push(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const limit = parseInteger(query.limit, { defaultValue: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE });
+    if (limit === null) {
+        errors.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+
+    if (query.cursor !== undefined && SORT_FIELDS[sort]) {
+        const after = decodeCursor(query.cursor.toString(), sort);
+
+        if (!after) {
+            errors.push('cursor is invalid or belongs to a search with another sort');
+        } else {
+            conditions.push(after);
+        }
+    }
+
+    return {
+        filter: conditions.length > 0 ? { $and: conditions } : {},
+        sort,
+        sortSpec: { [SORT_FIELDS[sort]]: -1, _id: -1 },
+        limit,
+        errors
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    SORT_FIELDS,
+    parseList,
+    matchDistricts,
+    parseInteger,
+    encodeCursor,
+    buildRequestSearch
+};
@@ -0,0 +1,112 @@
+/**
+ * Request State Machine
+ * Lifecycle of a relief request and which roles may move it between states
+ *
+ * PENDING ──► IN_TRANSIT ──► DELIVERED ──► VERIFIED
+ *    │            │
+ *    │            ├──► DELIVERY_DISPUTED ──► (admin review)
+ *    │            ├──► FAILED_DELIVERY ──► PENDING
+ *    │            └──► PENDING (released back to the queue)
+ *    ├──► CANCELLED
+ *    └──► REJECTED_DUPLICATE
+ */
+
+const REQUEST_STATUSES = {
+    PENDING: 'PENDING',
+    IN_TRANSIT: 'IN_TRANSIT',
+    DELIVERED: 'DELIVERED',
+    VERIFIED: 'VERIFIED',
+    CANCELLED: 'CANCELLED',
+    FAILED_DELIVERY: 'FAILED_DELIVERY',
+    DELIVERY_DISPUTED: 'DELIVERY_DISPUTED',
+    REJECTED_DUPLICATE: 'REJECTED_DUPLICATE'
+};
+
+// from status -> to status -> roles allowed to make the move
+const TRANSITIONS = {
+    PENDING: {
+        // Only by dequeuing, which claims the request from the queue (see transitionStatus)
+        IN_TRANSIT: ['volunteer', 'admin'],
+        CANCELLED: ['victim', 'admin'],
+        REJECTED_DUPLICATE: ['admin']
+    },
+    IN_TRANSIT: {
+        // Volunteers need the victim's delivery code; victims confirm in-app
+        DELIVERED: ['volunteer', 'victim', 'admin'],
+        DELIVERY_DISPUTED: ['volunteer', 'admin'],
+        FAILED_DELIVERY: ['volunteer', 'admin'],
+        // 'system' re-queues assignments that exceed the SLA without progress
+        PENDING: ['volunteer', 'admin', 'system'],
+        CANCELLED: ['admin']
+    },
+    FAILED_DELIVERY: {
+        PENDING: ['volunteer', 'admin'],
+        CANCELLED: ['admin']
+    },
+    DELIVERY_DISPUTED: {
+        DELIVERED: ['admin'],
+        FAILED_DELIVERY: ['admin'],
+        PENDING: ['admin'],
+        CANCELLED: ['admin']
+    },
+    DELIVERED: {
+        VERIFIED: ['admin']
+    },
+    VERIFIED: {},
+    CANCELLED: {},
+    REJECTED_DUPLICATE: {}
+};
+
+// Statuses in which a request still needs work
+const OPEN_STATUSES = ['PENDING', 'IN_TRANSIT', 'FAILED_DELIVERY', 'DELIVERY_DISPUTED'];
+
+/**
+ * Check whether a value is a known status
+ * @param {string} status - Status to check
+ * @returns {boolean}
+ */
+function isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+}
+
+/**
+ * List the statuses a role may move a request to from its current status
+ * @param {string} fromStatus - Current status
+ * @param {string} role - Role of the actor
+ * @returns {string[]} Reachable statuses
+ */
+function getAllowedTransitions(fromStatus, role) {
+    const targets = TRANSITIONS[fromStatus] || {};
+    return Object.keys(targets).filter(status => targets[status].includes(role));
+}
+
+/**
+ * Check whether a status change exists at all (for any role)
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Desired status
+ * @returns {boolean}
+ */
+function isTransitionDefined(fromStatus, toStatus) {
+    return Boolean(TRANSITIONS[fromStatus] && TRANSITIONS[fromStatus][toStatus]);
+}
+
+/**
+ * Check whether a role may make a status change
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Desired status
+ * @param {string} role - Role of the actor
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus, role) {
+    return isTransitionDefined(fromStatus, toStatus) && TRANSITIONS[fromStatus][toStatus].includes(role);
+}
+
+module.exports = {
+    REQUEST_STATUSES,
+    TRANSITIONS,
+    OPEN_STATUSES,
+    isValidStatus,
+    getAllowedTransitions,
+    isTransitionDefined,
+    canTransition
+};
@@ -0,0 +1,75 @@
+/**
+ * String Similarity Utility
+ * Fuzzy comparison of names and phone numbers for duplicate detection
+ */
+
+/**
+ * Normalize a person's name: lower-case, strip punctuation, collapse spaces
+ * @param {string} name - Name to normalize
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    return (name || '')
+        .toString()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize a phone number to its last 10 digits (drops country code and formatting)
+ * @param {string} phone - Phone number
+ * @returns {string} Digits only
+ */
+function normalizePhone(phone) {
+    return (phone || '').toString().replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two names between 0 (different) and 1 (identical)
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Similarity ratio
+ */
+function nameSimilarity(a, b) {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+
+    if (!first || !second) return 0;
+
+    const longest = Math.max(first.length, second.length);
+    return 1 - levenshteinDistance(first, second) / longest;
+}
+
+module.exports = {
+    normalizeName,
+    normalizePhone,
+    levenshteinDistance,
+    nameSimilarity
+};
@@ -0,0 +1,156 @@
+/**
+ * URL Helpers
+ * Validation of URLs the server will call (webhooks, push endpoints)
+ *
+ * URLs set by users or partners must not point the server at itself or the
+ * internal network (loopback, private and link-local addresses, which include
+ * cloud metadata endpoints). postToPublicUrl checks the address it actually
+ * connects to, so a DNS answer that changes between check and call can't get through.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses a user-supplied URL must not reach (IPv4-mapped IPv6 is checked against the IPv4 rules)
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+].forEach(([network, prefix, type]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, type));
+
+/**
+ * Check that a URL can be called back: https, or http outside production
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+function isAllowedCallbackUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'https:' || (protocol === 'http:' && process.env.NODE_ENV !== 'production');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check whether an IP address is public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that every address a URL's host resolves to is public
+ * @param {string} value - URL
+ * @returns {Promise<boolean>} false when the URL is invalid or the host does not resolve
+ */
+async function resolvesToPublicHost(value) {
+    let hostname;
+    try {
+        hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+        return false;
+    }
+
+    try {
+        const addresses = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+        return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * dns.lookup for connections to user-supplied hosts: fails unless every address
+ * the host resolves to is public, and hands the connection those same addresses
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+        } else if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+            callback(Object.assign(new Error(`${hostname} does not resolve to a public address`), { code: 'ENOTPUBLIC' }));
+        } else if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+/**
+ * POST to a user-supplied URL, connecting only to public addresses. The host is
+ * resolved once, by the connection itself, so the address checked is the address
+ * called. Redirects are not followed.
+ * @param {string} url - http(s) URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.body] - Request body
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @returns {Promise<Object>} { status, ok, text } (text: start of the response body)
+ */
+function postToPublicUrl(url, { headers = {}, body = '', timeoutMs = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = { 'https:': https, 'http:': http }[target.protocol];
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+
+        if (!client) {
+            reject(new Error(`Cannot call ${target.protocol} URLs`));
+            return;
+        }
+        // Connections to IP literals skip the lookup, so those are checked here
+        if (net.isIP(host) && !isPublicAddress(host)) {
+            reject(Object.assign(new Error(`${host} is not a public address`), { code: 'ENOTPUBLIC' }));
+            return;
+        }
+
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { 'Content-Length': Buffer.byteLength(body), ...headers },
+            lookup: lookupPublicAddress,
+            signal: AbortSignal.timeout(timeoutMs)
+        }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                text = (text + chunk).slice(0, 1000);
+            });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                ok: response.statusCode >= 200 && response.statusCode < 300,
+                text
+            }));
+            response.on('error', reject);
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+module.exports = {
+    isAllowedCallbackUrl,
+    isPublicAddress,
+    resolvesToPublicHost,
+    postToPublicUrl
+};
@@ -0,0 +1,58 @@
+/**
+ * Webhook Signature Utility
+ * Events partners can subscribe to, and the HMAC signature on each payload
+ *
+ * Receivers verify a delivery by computing HMAC-SHA256 over
+ * "<X-Relief-Timestamp>.<raw body>" with their secret and comparing it with
+ * X-Relief-Signature ("sha256=<hex>"). Rejecting old timestamps stops replays.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = {
+    NEW_REQUEST: 'newRequest',
+    HIGH_PRIORITY_ALERT: 'highPriorityAlert',
+    STATUS_UPDATED: 'statusUpdated',
+    DELIVERED: 'requestDelivered'
+};
+
+/**
+ * Generate a subscription secret
+ * @returns {string} Random secret
+ */
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a payload
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signWebhookPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Check a signature (constant time), as a receiver would
+ * @param {string} secret - Subscription secret
+ * @param {number|string} timestamp - X-Relief-Timestamp
+ * @param {string} body - Raw JSON body
+ * @param {string} signature - X-Relief-Signature
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+    const actual = Buffer.from((signature || '').toString());
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    generateWebhookSecret,
+    signWebhookPayload,
+    verifyWebhookSignature
+};